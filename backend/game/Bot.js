@@ -0,0 +1,286 @@
+/**
+ * Computer-controlled players for Buraco
+ * Bots play one action at a time through the same GameState methods as humans
+ */
+
+import { validateMeld, canExtendMeld, isWildCard } from './MeldValidator.js';
+import { calculateCardsValue } from './Deck.js';
+import { DEFAULT_RULESET } from './Ruleset.js';
+
+const SEQUENCE_ORDER = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+
+/**
+ * Largest meld the ruleset allows (no limit = the whole group)
+ */
+function maxMeldSize(rules) {
+    return rules.melds.maxSize ?? Infinity;
+}
+
+/**
+ * Find runs of consecutive ranks in cards of a single suit
+ * Ace is tried both low (A-2-3) and high (Q-K-A)
+ */
+function findRuns(cards, rules) {
+    const byRank = new Map();
+    for (const card of cards) {
+        if (!byRank.has(card.rank)) byRank.set(card.rank, card);
+    }
+
+    const runs = [];
+    let current = [];
+    for (const rank of SEQUENCE_ORDER) {
+        const card = byRank.get(rank);
+        if (card && !current.includes(card)) {
+            current.push(card);
+        } else {
+            if (current.length >= 3) runs.push(current);
+            current = card ? [card] : [];
+        }
+    }
+    if (current.length >= 3) runs.push(current);
+
+    return runs.map(run => run.slice(0, maxMeldSize(rules)));
+}
+
+/**
+ * Find disjoint groups of cards in a hand that form valid melds
+ * Natural melds are preferred; wild cards are only used to complete pairs
+ * @param {Array} hand - Cards to search
+ * @param {Object} rules - Ruleset the melds must satisfy
+ * @returns {Array} - Array of card arrays, each a valid meld
+ */
+export function findMelds(hand, rules = DEFAULT_RULESET) {
+    const melds = [];
+    const used = new Set();
+
+    const tryMeld = (cards) => {
+        if (cards.length < 3 || cards.some(c => used.has(c.id))) return false;
+        if (!validateMeld(cards, rules).valid) return false;
+        cards.forEach(c => used.add(c.id));
+        melds.push(cards);
+        return true;
+    };
+
+    const naturals = hand.filter(c => !isWildCard(c, rules));
+    const wilds = hand.filter(c => isWildCard(c, rules));
+
+    // Natural sets (same rank)
+    const byRank = new Map();
+    for (const card of naturals) {
+        if (!byRank.has(card.rank)) byRank.set(card.rank, []);
+        byRank.get(card.rank).push(card);
+    }
+    for (const cards of byRank.values()) {
+        tryMeld(cards.slice(0, maxMeldSize(rules)));
+    }
+
+    // Natural sequences (same suit)
+    const bySuit = new Map();
+    for (const card of naturals) {
+        if (!bySuit.has(card.suit)) bySuit.set(card.suit, []);
+        bySuit.get(card.suit).push(card);
+    }
+    for (const cards of bySuit.values()) {
+        for (const run of findRuns(cards.filter(c => !used.has(c.id)), rules)) {
+            tryMeld(run);
+        }
+    }
+
+    // Complete pairs with a wild card
+    for (const wild of wilds) {
+        const free = naturals.filter(c => !used.has(c.id));
+        let placed = false;
+        for (let i = 0; i < free.length && !placed; i++) {
+            for (let j = i + 1; j < free.length && !placed; j++) {
+                placed = tryMeld([free[i], free[j], wild]);
+            }
+        }
+    }
+
+    return melds;
+}
+
+/**
+ * Check if a card would be useful to the bot (forms or extends a meld)
+ */
+function isUsefulCard(card, hand, teamMelds, rules) {
+    if (teamMelds.some(meld => canExtendMeld(meld.cards, [card], meld, rules).valid)) {
+        return true;
+    }
+    return findMelds([card, ...hand], rules).some(cards => cards.includes(card));
+}
+
+/**
+ * How well a card fits the rest of the hand (pairs and close same-suit cards)
+ */
+function cardConnections(card, hand, rules) {
+    if (isWildCard(card, rules)) return Infinity;
+
+    const rankIdx = SEQUENCE_ORDER.indexOf(card.rank);
+    let connections = 0;
+    for (const other of hand) {
+        if (other.id === card.id || isWildCard(other, rules)) continue;
+        if (other.rank === card.rank) connections++;
+        if (other.suit === card.suit && Math.abs(SEQUENCE_ORDER.indexOf(other.rank) - rankIdx) <= 2) {
+            connections++;
+        }
+    }
+    return connections;
+}
+
+/**
+ * Check whether the melds the bot would lay this turn add up to the points its team
+ * still needs to open. Plays the turn out the way takeBotStep does - extend the melds
+ * on the table first, then lay the next meld found, always keeping a card to discard -
+ * so only melds the bot will actually lay are counted
+ */
+function reachesOpening(hand, teamMelds, rules, pointsNeeded) {
+    let cards = [...hand];
+    const melds = teamMelds.map(meld => ({ ...meld, cards: [...meld.cards] }));
+    let points = 0;
+
+    const play = (played) => {
+        cards = cards.filter(c => !played.includes(c));
+        points += calculateCardsValue(played);
+    };
+
+    while (points < pointsNeeded) {
+        const extension = cards.length > 1 && melds
+            .map(meld => ({ meld, card: cards.find(c => canExtendMeld(meld.cards, [c], meld, rules).valid) }))
+            .find(({ card }) => card);
+        if (extension) {
+            extension.meld.cards.push(extension.card);
+            play([extension.card]);
+            continue;
+        }
+
+        const next = findMelds(cards, rules).find(meld => cards.length - meld.length >= 1);
+        if (!next) break;
+        const { type, rank, suit } = validateMeld(next, rules);
+        melds.push({ type, rank, suit, cards: [...next] });
+        play(next);
+    }
+    return points >= pointsNeeded;
+}
+
+/**
+ * Whether the current player has undone a move since drawing this turn
+ */
+function undidThisTurn(game) {
+    for (let i = game.log.length - 1; i >= 0; i--) {
+        const { type } = game.log[i];
+        if (type === 'undo') return true;
+        if (type === 'draw' || type === 'takeDiscard') return false;
+    }
+    return false;
+}
+
+/**
+ * Pick the least useful card to discard (never a wild card if avoidable)
+ * Cards are ordered best-first so callers can fall back if a discard is refused
+ */
+export function rankDiscards(hand, rules = DEFAULT_RULESET) {
+    return [...hand].sort((a, b) => {
+        const diff = cardConnections(a, hand, rules) - cardConnections(b, hand, rules);
+        if (diff !== 0) return diff;
+        return (b.value || 0) - (a.value || 0); // Shed high-value cards first
+    });
+}
+
+/**
+ * Play a single action for the bot whose turn it is
+ * @param {GameState} game - Current game
+ * @param {string} botId - Bot's player ID
+ * @returns {Object} - { type, result } where type matches the player action
+ */
+export function takeBotStep(game, botId) {
+    if (game.isGameOver || game.getCurrentPlayerId() !== botId) {
+        return { type: null, result: { success: false, reason: 'Not the bot\'s turn' } };
+    }
+
+    const player = game.players.find(p => p.socketId === botId);
+    const team = game.teams[player.team];
+    const hand = game.hands.get(botId);
+
+    // Draw phase: take the discard pile when its top card helps, otherwise draw.
+    // Before the team has opened, the pile only helps if it lets the bot open this turn
+    // (otherwise two bots could pass the same card back and forth for ever)
+    if (game.currentPhase === 'draw') {
+        const topDiscard = game.discardPile[game.discardPile.length - 1];
+        const { pointsNeeded } = game.getOpeningStatus(team);
+        const wantsPile = topDiscard && isUsefulCard(topDiscard, hand, team.melds, game.rules) &&
+            (pointsNeeded === 0 || reachesOpening([...hand, ...game.discardPile], team.melds, game.rules, pointsNeeded));
+
+        if (wantsPile || game.drawPile.length === 0) {
+            const result = game.takeDiscardPile(botId);
+            if (result.success) return { type: 'takeDiscardPile', result };
+        }
+
+        return { type: 'drawFromPile', result: game.drawFromPile(botId) };
+    }
+
+    // A pile taken on condition of melding its top card: meld that card first
+    const pickupPlay = game.findPickupPlay(botId);
+    if (pickupPlay) {
+        const result = pickupPlay.meldId
+            ? game.extendMeld(botId, pickupPlay.meldId, pickupPlay.cardIds)
+            : game.playMeld(botId, pickupPlay.cardIds);
+        return { type: pickupPlay.meldId ? 'extendMeld' : 'meld', result };
+    }
+
+    // A wild taken back from a meld that must be melded this turn (say, the player was
+    // swapping when a bot took over): meld it, or undo the swap
+    const [owedWild] = game.getOwedWilds(botId);
+    if (owedWild) {
+        const play = game.findPlayFor(owedWild, hand.filter(c => c !== owedWild), team);
+        if (!play) return { type: 'undo', result: game.undoLastMove(botId) };
+        const result = play.meldId
+            ? game.extendMeld(botId, play.meldId, play.cardIds)
+            : game.playMeld(botId, play.cardIds);
+        return { type: play.meldId ? 'extendMeld' : 'meld', result };
+    }
+
+    // An opening that cannot reach the minimum any more (a meld was refused, or the bot already
+    // started taking it back) is undone one meld per step, rather than blocking the discard
+    const { pointsNeeded } = game.getOpeningStatus(team);
+    const undid = undidThisTurn(game);
+    if (game.checkOpening(team) && (undid || !reachesOpening(hand, team.melds, game.rules, pointsNeeded))) {
+        return { type: 'undo', result: game.undoLastMove(botId) };
+    }
+
+    // Meld phase: extend team melds, then lay new melds, always keeping a card to discard
+    for (const meld of team.melds) {
+        for (const card of hand) {
+            if (hand.length <= 1) break;
+            if (!canExtendMeld(meld.cards, [card], meld, game.rules).valid) continue;
+
+            const result = game.extendMeld(botId, meld.id, [card.id]);
+            if (result.success) return { type: 'extendMeld', result };
+        }
+    }
+
+    // Before the team has opened, only start laying melds that together reach the minimum
+    // (and never lay again an opening taken back this turn)
+    const candidates = findMelds(hand, game.rules);
+    const canOpen = pointsNeeded === 0 || (!undid && reachesOpening(hand, team.melds, game.rules, pointsNeeded));
+
+    for (const cards of canOpen ? candidates : []) {
+        if (hand.length - cards.length < 1) continue;
+
+        const result = game.playMeld(botId, cards.map(c => c.id));
+        if (result.success) return { type: 'meld', result };
+    }
+
+    // Out of moves with the opening still short: start taking it back
+    if (game.checkOpening(team)) {
+        return { type: 'undo', result: game.undoLastMove(botId) };
+    }
+
+    // Discard the least useful card
+    let result = { success: false, reason: 'No card to discard' };
+    for (const card of rankDiscards(hand, game.rules)) {
+        result = game.discard(botId, card.id);
+        if (result.success) break;
+    }
+    return { type: 'discard', result };
+}
@@ -4,7 +4,7 @@
  */
 
 const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
-const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+export const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
 
 /**
  * Card point values for scoring
@@ -28,12 +28,61 @@ function createCard(suit, rank, deckIndex) {
   };
 }
 
+/**
+ * Deterministic pseudo-random generator (mulberry32)
+ * The same seed always gives the same sequence of numbers in [0, 1)
+ */
+export function createRng(seed = Date.now()) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn a seed from config into a 32-bit unsigned integer
+ * Accepts numbers, numeric strings and free text (e.g. "finals-table-3")
+ * @returns {number|null} - null when no usable seed was given
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  if (typeof seed !== 'string' || seed.trim() === '') {
+    return null;
+  }
+
+  const text = seed.trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash of the text
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed for an unseeded deal (so every deal can still be reproduced)
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
 /**
  * Create a configurable deck
  * @param {number} deckCount - Number of standard 52-card decks (default 3)
  * @param {number} jokersPerDeck - Number of jokers per deck (default 2)
+ * @param {number|string|null} seed - If given, the deck comes back shuffled with this seed
  */
-export function createDeck(deckCount = 3, jokersPerDeck = 2) {
+export function createDeck(deckCount = 3, jokersPerDeck = 2, seed = null) {
   const deck = [];
 
   // Create copies of the standard deck
@@ -49,48 +98,73 @@ export function createDeck(deckCount = 3, jokersPerDeck = 2) {
     }
   }
 
-  return deck;
+  const normalizedSeed = normalizeSeed(seed);
+  return normalizedSeed === null ? deck : shuffle(deck, createRng(normalizedSeed));
 }
 
 /**
  * Fisher-Yates shuffle
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  */
-export function shuffle(deck) {
+export function shuffle(deck, rng = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
+export const DEFAULT_HAND_SIZE = 14;
+export const DEFAULT_POZZETTO_SIZE = 14;
+
+/**
+ * Clamp the number of pozzetti to 2-4
+ */
+function clampPozzettoCount(pozzettoCount) {
+  return Math.max(2, Math.min(4, pozzettoCount));
+}
+
+/**
+ * Count the cards a deal uses and what is left for the draw pile
+ * @returns {object} - { totalCards, dealtCards, drawPileSize } (dealt includes the first discard)
+ */
+export function countDeal(playerCount, deckCount, jokersPerDeck, pozzettoCount,
+  { handSize = DEFAULT_HAND_SIZE, pozzettoSize = DEFAULT_POZZETTO_SIZE } = {}) {
+  const totalCards = deckCount * (52 + jokersPerDeck);
+  const dealtCards = playerCount * handSize + clampPozzettoCount(pozzettoCount) * pozzettoSize + 1;
+  return { totalCards, dealtCards, drawPileSize: totalCards - dealtCards };
+}
+
 /**
  * Deal cards for a game
  * @param {number} playerCount - Number of players (2, 4, or 6)
  * @param {number} deckCount - Number of decks to use (default 3)
  * @param {number} jokersPerDeck - Jokers per deck (default 2)
  * @param {number} pozzettoCount - Number of pozzetti (default 2, max 4)
- * @returns {object} - { hands, pozzetti, drawPile, discardPile }
+ * @param {number|string|null} seed - Same seed, same deal (a random seed is picked if omitted)
+ * @param {object} sizes - { handSize, pozzettoSize } cards per hand and per pozzetto (default 14 each)
+ * @returns {object} - { hands, pozzetti, drawPile, discardPile, seed }
  */
-export function dealCards(playerCount, deckCount = 3, jokersPerDeck = 2, pozzettoCount = 2) {
-  const deck = shuffle(createDeck(deckCount, jokersPerDeck));
+export function dealCards(playerCount, deckCount = 3, jokersPerDeck = 2, pozzettoCount = 2, seed = null,
+  { handSize = DEFAULT_HAND_SIZE, pozzettoSize = DEFAULT_POZZETTO_SIZE } = {}) {
+  const dealSeed = normalizeSeed(seed) ?? generateSeed();
+  const deck = createDeck(deckCount, jokersPerDeck, dealSeed);
 
+  // Deal a hand to each player
   const hands = [];
-  const cardsPerHand = 14;
-
-  // Deal 14 cards to each player
   for (let i = 0; i < playerCount; i++) {
-    hands.push(deck.splice(0, cardsPerHand));
+    hands.push(deck.splice(0, handSize));
   }
 
-  // Create configurable number of pozzetti (14 cards each)
+  // Create configurable number of pozzetti
   // Default: 2 pozzetti
   // Can be configured to 2, 3, or 4 pozzetti
   const pozzetti = [];
-  const validPozzettoCount = Math.max(2, Math.min(4, pozzettoCount)); // Clamp 2-4
+  const validPozzettoCount = clampPozzettoCount(pozzettoCount);
 
   for (let i = 0; i < validPozzettoCount; i++) {
-    pozzetti.push(deck.splice(0, 14));
+    pozzetti.push(deck.splice(0, pozzettoSize));
   }
 
   // First card of discard pile
@@ -103,7 +177,8 @@ export function dealCards(playerCount, deckCount = 3, jokersPerDeck = 2, pozzett
     hands,
     pozzetti,
     drawPile,
-    discardPile
+    discardPile,
+    seed: dealSeed
   };
 }
 
@@ -3,8 +3,10 @@
  * Manages turns, actions, and game flow
  */
 
-import { validateMeld, canExtendMeld, sortSequenceMeld } from './MeldValidator.js';
+import { validateMeld, canExtendMeld, canReplaceWild, diagnoseMeld, sortSequenceMeld, wildStandIns } from './MeldValidator.js';
 import { calculateTeamScore, calculateMeldScore, checkGameEnd } from './Scoring.js';
+import { DEFAULT_RULESET, openingMinPoints } from './Ruleset.js';
+import { calculateCardsValue } from './Deck.js';
 
 /**
  * Game phases within a turn
@@ -15,17 +17,50 @@ const PHASES = {
     DISCARD: 'discard'
 };
 
+/**
+ * Full rounds of turns off an empty draw pile, with nothing added to the table,
+ * after which the hand is a stalemate
+ */
+const STALEMATE_ROUNDS = 2;
+
+/**
+ * Generate a unique id for a dealt hand (used to look up its log later)
+ */
+function generateGameId() {
+    return `game-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Copy a meld for the log so later changes to the meld don't rewrite history
+ */
+function snapshotMeld(meld) {
+    return { ...meld, cards: [...meld.cards] };
+}
+
+/**
+ * The rank each wild in a meld stands for, by card id (e.g. { 'joker-1': '6' })
+ * Recalculated whenever the meld's cards change, so the table never has to guess
+ */
+function wildRanks(meld, rules) {
+    return Object.fromEntries(wildStandIns(meld.cards, meld, rules).map(w => [w.card.id, w.rank]));
+}
+
 export default class GameState {
-    constructor({ playerCount, players, hands, pozzetti, drawPile, discardPile, config = {} }) {
+    constructor({ playerCount, players, hands, pozzetti, drawPile, discardPile, config = {}, seed = null, round = 1, startingPlayerIndex = 0, matchTotals = {} }) {
+        this.gameId = generateGameId();
+        this.seed = seed; // Deal seed - dealCards with the same seed gives the same deal
+        this.seedFixed = Number.isInteger(config.seed); // The host chose the room seed, so deal seeds may be shown
         this.playerCount = playerCount;
+        this.round = round; // Hand number within the match
         this.players = players; // Array of { socketId, nickname, team, seat }
 
         // Room configuration
         this.config = {
             turnTimer: config.turnTimer ?? 60,
-            deckCount: config.deckCount ?? 3,
-            jokersPerDeck: config.jokersPerDeck ?? 2
+            deckCount: config.deckCount, // Checked and defaulted by the room
+            jokersPerDeck: config.jokersPerDeck
         };
+        this.rules = config.ruleset ?? DEFAULT_RULESET; // Resolved ruleset (see Ruleset.js)
 
         // Card state
         this.hands = new Map(); // socketId -> cards array
@@ -33,11 +68,18 @@ export default class GameState {
         this.discardPile = discardPile;
         this.pozzetti = pozzetti; // [pozzetto1, pozzetto2]
 
-        // Team state
-        this.teams = {
-            A: { melds: [], tookPozzetto: false, wentOut: false, playerIds: [] },
-            B: { melds: [], tookPozzetto: false, wentOut: false, playerIds: [] }
-        };
+        // Team state - one entry per team at the table: A/B for partnerships,
+        // or one per player (A, B, C, ...) when everyone plays alone
+        this.teams = {};
+        for (const teamId of [...new Set(players.map(p => p.team))].sort()) {
+            this.teams[teamId] = { id: teamId, melds: [], tookPozzetto: false, pozzettoIndices: [], wentOut: false, playerIds: [] };
+        }
+
+        // Opening minimum for each team, from its match total before this hand
+        for (const [teamId, team] of Object.entries(this.teams)) {
+            team.opened = false;
+            team.openingMinPoints = openingMinPoints(this.rules, matchTotals[teamId] ?? 0);
+        }
 
         // Initialize hands and team memberships
         for (let i = 0; i < players.length; i++) {
@@ -47,17 +89,124 @@ export default class GameState {
         }
 
         // Turn state
-        this.currentPlayerIndex = 0;
+        this.currentPlayerIndex = startingPlayerIndex % playerCount;
         this.currentPhase = PHASES.DRAW;
         this.turnCount = 0;
+        this.turnDeadline = null; // Timestamp (ms) when the current turn times out
+        this.undoStack = []; // Hand + team melds before each meld move this turn
+        this.undoLocked = false; // Set once a pozzetto is picked up (its cards have been seen)
+        this.pickupObligation = null; // Top card of a taken pile that must be melded before discarding
+        this.returnedWildIds = []; // Wilds swapped out of melds this turn that must be melded again
+        this.startTurnClock();
 
         // Game state
         this.isGameOver = false;
         this.winner = null;
-        this.scores = { A: 0, B: 0 };
+        this.scores = this.mapTeams(() => 0);
 
-        // Stalemate detection
+        // Stalemate detection (turns in a row off an empty draw pile that added nothing to the table)
         this.stalemateMoves = 0;
+        this.stalemateTableCards = 0;
+
+        // Append-only record of everything that happened (see getGameLog)
+        this.log = [];
+        this.logEvent('deal', null, {
+            players: this.getSeatInfo(),
+            hands: this.players.map(p => [...this.hands.get(p.socketId)]),
+            pozzetti: this.pozzetti.map(p => [...p]),
+            drawPile: [...this.drawPile],
+            discardPile: [...this.discardPile],
+            startingSeat: this.getCurrentPlayer().seat,
+            seed: this.getShownSeed()
+        });
+    }
+
+    /**
+     * Append an event to the game log
+     * @param {string} type - deal, draw, takeDiscard, meld, extendMeld, replaceWild, undo, pozzetto, discard, restock, gameEnd
+     * @param {string|null} socketId - acting player (null for table events)
+     * @param {Object} details - cards and other data needed to replay the event
+     */
+    logEvent(type, socketId, details = {}) {
+        const player = socketId ? this.players.find(p => p.socketId === socketId) : null;
+        this.log.push({
+            seq: this.log.length,
+            type,
+            timestamp: Date.now(),
+            seat: player ? player.seat : null,
+            nickname: player ? player.nickname : null,
+            ...details
+        });
+    }
+
+    /**
+     * Remember the player's hand and team melds before a meld move, so it can be undone this turn
+     */
+    saveUndoPoint(socketId, type) {
+        const player = this.players.find(p => p.socketId === socketId);
+        const step = {
+            type,
+            hand: [...this.hands.get(socketId)],
+            melds: this.teams[player.team].melds.map(snapshotMeld)
+        };
+        // A conditional pile pickup can be given back, so remember the pile too
+        if (type === 'takeDiscard') {
+            step.discardPile = [...this.discardPile];
+        }
+        this.undoStack.push(step);
+    }
+
+    /**
+     * Take back the last meld, extension or wild swap made this turn
+     * Restores the hand and team melds exactly as they were before it
+     */
+    undoLastMove(socketId) {
+        if (socketId !== this.getCurrentPlayerId()) {
+            return { success: false, reason: 'Not your turn' };
+        }
+        if (this.undoLocked) {
+            return { success: false, reason: 'Cannot undo after picking up the pozzetto' };
+        }
+        if (this.undoStack.length === 0) {
+            return { success: false, reason: 'Nothing to undo this turn' };
+        }
+
+        const player = this.players.find(p => p.socketId === socketId);
+        const step = this.undoStack.pop();
+
+        this.hands.set(socketId, step.hand);
+        this.teams[player.team].melds = step.melds;
+
+        const details = {
+            team: player.team,
+            undone: step.type,
+            hand: [...step.hand],
+            melds: step.melds.map(snapshotMeld)
+        };
+
+        // Giving the discard pile back: the player draws again
+        if (step.discardPile) {
+            this.discardPile = step.discardPile;
+            this.currentPhase = PHASES.DRAW;
+            this.pickupObligation = null;
+            details.discardPile = [...step.discardPile];
+        }
+
+        this.logEvent('undo', socketId, details);
+
+        return { success: true, undone: step.type };
+    }
+
+    /**
+     * Public seat list (no socket IDs) for logs and results
+     */
+    getSeatInfo() {
+        return this.players.map(p => ({
+            seat: p.seat,
+            nickname: p.nickname,
+            team: p.team,
+            avatarId: p.avatarId
+        }));
     }
 
     /**
@@ -74,6 +223,25 @@ export default class GameState {
         return this.players[this.currentPlayerIndex];
     }
 
+    /**
+     * Move a seat to a new socket ID (used when a player rejoins)
+     */
+    replacePlayerId(oldSocketId, newSocketId) {
+        const player = this.players.find(p => p.socketId === oldSocketId);
+        if (!player) return false;
+
+        player.socketId = newSocketId;
+
+        this.hands.set(newSocketId, this.hands.get(oldSocketId));
+        this.hands.delete(oldSocketId);
+
+        for (const team of Object.values(this.teams)) {
+            team.playerIds = team.playerIds.map(id => id === oldSocketId ? newSocketId : id);
+        }
+
+        return true;
+    }
+
     /**
      * Get the view of game state for a specific player
      * Hides other players' hands, shows only card counts
@@ -97,6 +265,7 @@ export default class GameState {
                 seat: p.seat,
                 team: p.team,
                 avatarId: p.avatarId,
+                isBot: p.isBot === true,
                 cardCount: this.hands.get(p.socketId)?.length || 0,
                 isCurrentPlayer: p.socketId === this.getCurrentPlayerId()
             })),
@@ -107,10 +276,7 @@ export default class GameState {
             topDiscard: this.discardPile[this.discardPile.length - 1],
 
             // Team melds
-            teamsMelds: {
-                A: this.teams.A.melds,
-                B: this.teams.B.melds
-            },
+            teamsMelds: this.mapTeams(team => team.melds),
 
             // Pozzetti status (shared - not team-specific)
             // Dynamically map all pozzetti (could be 2, 3, or 4)
@@ -119,18 +285,31 @@ export default class GameState {
             // Pozzetti card counts
             pozzettiCounts: this.pozzetti.map(p => p?.length || 0),
 
+            // Which team each pozzetto is reserved for (null = shared) and which team took it
+            pozzettiOwners: this.pozzetti.map((p, i) => this.getPozzettoOwner(i)),
+            pozzettiTakenBy: this.pozzetti.map((p, i) =>
+                Object.values(this.teams).find(team => team.pozzettoIndices?.includes(i))?.id ?? null),
+
             // Turn info
             isMyTurn: socketId === this.getCurrentPlayerId(),
+            canUndo: socketId === this.getCurrentPlayerId() && this.undoStack.length > 0 && !this.undoLocked,
+            mustMeldCardId: socketId === this.getCurrentPlayerId() ? this.pickupObligation : null,
+            mustMeldWildIds: socketId === this.getCurrentPlayerId() ? this.getOwedWilds(socketId).map(c => c.id) : [],
+            closing: this.getClosingStatus(this.teams[playerInfo.team]),
+            opening: this.getOpeningStatus(this.teams[playerInfo.team]),
             currentPhase: this.currentPhase,
             currentPlayerNickname: this.getCurrentPlayer().nickname,
+            turnDeadline: this.turnDeadline,
+            serverTime: Date.now(), // Lets clients correct for clock skew
 
             // Game status
             isGameOver: this.isGameOver,
             winner: this.winner,
             scores: this.getLiveScores(),
 
-            // Room config (for timer, etc.)
-            config: this.config
+            // Room config (for timer, etc.) and the rules in play
+            config: this.config,
+            rules: this.rules
         };
     }
 
@@ -152,12 +331,15 @@ export default class GameState {
         this.hands.get(socketId).unshift(card);  // Add to left side
 
         this.currentPhase = PHASES.MELD;
+        this.logEvent('draw', socketId, { card });
 
         return { success: true, card };
     }
 
     /**
-     * Take the entire discard pile
+     * Take the discard pile (all of it, or only the top card, per the ruleset)
+     * Under 'mustMeldTop' the take is refused when its top card cannot be melded,
+     * and the player must meld that card (or undo the take) before discarding
      */
     takeDiscardPile(socketId) {
         if (socketId !== this.getCurrentPlayerId()) {
@@ -166,19 +348,51 @@ export default class GameState {
         if (this.currentPhase !== PHASES.DRAW) {
             return { success: false, reason: 'Cannot take discard pile now' };
         }
-        if (this.discardPile.length === 0) {
-            return { success: false, reason: 'Discard pile is empty' };
+        const pickupError = this.discardPickupError(socketId);
+        if (pickupError) {
+            return { success: false, reason: pickupError };
+        }
+
+        const pickup = this.rules.drawing?.discardPickup ?? 'wholePile';
+        const hand = this.hands.get(socketId);
+        const topCard = this.discardPile[this.discardPile.length - 1];
+        const cards = pickup === 'topCard' ? [topCard] : [...this.discardPile];
+
+        if (pickup === 'mustMeldTop') {
+            this.saveUndoPoint(socketId, 'takeDiscard');
+            this.pickupObligation = topCard.id;
         }
 
-        const cards = [...this.discardPile];
-        this.discardPile = [];
-        this.hands.get(socketId).unshift(...cards);  // Add to left side
+        this.discardPile = pickup === 'topCard' ? this.discardPile.slice(0, -1) : [];
+        hand.unshift(...cards);  // Add to left side
 
         this.currentPhase = PHASES.MELD;
+        this.logEvent('takeDiscard', socketId, { cards });
 
         return { success: true, cards };
     }
 
+    /**
+     * Why a player may not take the discard pile, or null if they may
+     * (under 'mustMeldTop' only when its top card can be melded)
+     */
+    discardPickupError(socketId) {
+        if (this.discardPile.length === 0) {
+            return 'Discard pile is empty';
+        }
+        if ((this.rules.drawing?.discardPickup ?? 'wholePile') !== 'mustMeldTop') {
+            return null;
+        }
+
+        const player = this.players.find(p => p.socketId === socketId);
+        const topCard = this.discardPile[this.discardPile.length - 1];
+        const otherCards = [...this.hands.get(socketId), ...this.discardPile.slice(0, -1)];
+        if (!this.findPlayFor(topCard, otherCards, this.teams[player.team])) {
+            return 'You may only take the pile if you can meld its top card';
+        }
+        return null;
+    }
+
     /**
      * Play a new meld
      */
@@ -205,7 +419,7 @@ export default class GameState {
         }
 
         // Validate meld
-        const validation = validateMeld(cards);
+        const validation = validateMeld(cards, this.rules);
         if (!validation.valid) {
             return { success: false, reason: validation.reason };
         }
@@ -213,6 +427,13 @@ export default class GameState {
         // Note: In Buraco with multiple decks, teams CAN have multiple sets of the same rank
         // For example, two separate 10-10-10 melds are valid
 
+        const closingError = this.checkCardsLeft(team, hand.length - cards.length, validation);
+        if (closingError) {
+            return { success: false, reason: closingError };
+        }
+
+        this.saveUndoPoint(socketId, 'meld');
+
         // Remove cards from hand
         for (const card of cards) {
             const idx = hand.findIndex(c => c.id === card.id);
@@ -222,11 +443,11 @@ export default class GameState {
         // Sort sequence melds to place wild cards in correct positions
         let sortedCards = cards;
         if (validation.type === 'sequence') {
-            sortedCards = sortSequenceMeld(cards, validation.suit);
+            sortedCards = sortSequenceMeld(cards, validation.suit, this.rules);
         }
 
         // Add meld to team
-        team.melds.push({
+        const meld = {
             id: `meld-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
             cards: sortedCards,
             type: validation.type,
@@ -234,7 +455,10 @@ export default class GameState {
             suit: validation.suit,
             isClean: validation.isClean,
             isBurraco: validation.isBurraco
-        });
+        };
+        meld.represents = wildRanks(meld, this.rules);
+        team.melds.push(meld);
+        this.logEvent('meld', socketId, { team: player.team, cards, meld: snapshotMeld(meld) });
 
         // Check if hand is empty - take pozzetto
         if (hand.length === 0) {
@@ -276,11 +500,18 @@ export default class GameState {
         }
 
         // Validate extended meld
-        const validation = canExtendMeld(meld.cards, cards, meld);
+        const validation = canExtendMeld(meld.cards, cards, meld, this.rules);
         if (!validation.valid) {
             return { success: false, reason: validation.reason };
         }
 
+        const closingError = this.checkCardsLeft(team, hand.length - cards.length, validation);
+        if (closingError) {
+            return { success: false, reason: closingError };
+        }
+
+        this.saveUndoPoint(socketId, 'extendMeld');
+
         // Remove cards from hand
         for (const card of cards) {
             const idx = hand.findIndex(c => c.id === card.id);
@@ -294,8 +525,10 @@ export default class GameState {
 
         // Sort sequence melds to place cards in correct order
         if (meld.type === 'sequence') {
-            meld.cards = sortSequenceMeld(meld.cards, meld.suit);
+            meld.cards = sortSequenceMeld(meld.cards, meld.suit, this.rules);
         }
+        meld.represents = wildRanks(meld, this.rules);
+        this.logEvent('extendMeld', socketId, { team: player.team, cards, meld: snapshotMeld(meld) });
 
         // Check if hand is empty - take pozzetto
         if (hand.length === 0) {
@@ -306,8 +539,32 @@ export default class GameState {
     }
 
     /**
-     * Replace a wild card in a meld with a natural card from hand
-     * The wild card goes back to the player's hand
+     * Explain whether cards from the player's hand form a meld, and what would complete it
+     * (read-only - lets the table hint at near misses while cards are being picked)
+     * @returns {Object} - { success: true, diagnosis } (see diagnoseMeld) or { success: false, reason }
+     */
+    checkMeld(socketId, cardIds) {
+        const hand = this.hands.get(socketId);
+        if (!hand) {
+            return { success: false, reason: 'Player not in game' };
+        }
+
+        const cards = [];
+        for (const cardId of cardIds ?? []) {
+            const card = hand.find(c => c.id === cardId);
+            if (!card) {
+                return { success: false, reason: 'Card not in hand' };
+            }
+            cards.push(card);
+        }
+
+        return { success: true, diagnosis: diagnoseMeld(cards, this.rules, hand) };
+    }
+
+    /**
+     * Replace a wild card in a meld with the natural card it stands for, from hand
+     * The wild card goes back to the player's hand; under melds.returnedWild 'meldThisTurn'
+     * it must be melded again before the player discards
      */
     replaceWildInMeld(socketId, meldId, wildCardId, naturalCardId) {
         if (socketId !== this.getCurrentPlayerId()) {
@@ -327,95 +584,119 @@ export default class GameState {
             return { success: false, reason: 'Meld not found' };
         }
 
-        // Only works for sequences
-        if (meld.type !== 'sequence') {
-            return { success: false, reason: 'Can only replace wilds in sequences' };
-        }
-
         // Find the wild card in the meld
-        const wildIdx = meld.cards.findIndex(c => c.id === wildCardId);
-        if (wildIdx === -1) {
+        const wildCard = meld.cards.find(c => c.id === wildCardId);
+        if (!wildCard) {
             return { success: false, reason: 'Wild card not found in meld' };
         }
 
-        const wildCard = meld.cards[wildIdx];
-        if (wildCard.rank !== 'JOKER') {
-            return { success: false, reason: 'Selected card is not a wild card (only Jokers are wild)' };
-        }
-
         // Find the natural card in hand
         const naturalCard = hand.find(c => c.id === naturalCardId);
         if (!naturalCard) {
             return { success: false, reason: 'Natural card not in hand' };
         }
 
-        // The natural card must be the same suit as the meld
-        if (naturalCard.suit !== meld.suit) {
-            return { success: false, reason: 'Card must match the meld suit' };
-        }
-
-        // Create new meld without the wild, add the natural
-        const newMeldCards = meld.cards.filter(c => c.id !== wildCardId);
-        newMeldCards.push(naturalCard);
-
-        // Validate the new meld
-        const validation = validateMeld(newMeldCards);
+        // The natural card must be exactly the card the wild stands for
+        const validation = canReplaceWild(meld.cards, wildCard, naturalCard, meld, this.rules);
         if (!validation.valid) {
-            return { success: false, reason: 'Replacement would create invalid meld' };
+            return { success: false, reason: validation.reason };
         }
 
-        // Perform the swap
-        // Remove natural from hand
-        const handIdx = hand.findIndex(c => c.id === naturalCardId);
-        hand.splice(handIdx, 1);
+        this.saveUndoPoint(socketId, 'replaceWild');
 
-        // Add wild to hand
+        // Perform the swap
+        hand.splice(hand.indexOf(naturalCard), 1);
         hand.push(wildCard);
 
-        // Update meld cards
-        meld.cards = sortSequenceMeld(newMeldCards, meld.suit);
+        const newMeldCards = meld.cards.map(c => c === wildCard ? naturalCard : c);
+        meld.cards = meld.type === 'sequence' ? sortSequenceMeld(newMeldCards, meld.suit, this.rules) : newMeldCards;
         meld.isClean = validation.isClean;
         meld.isBurraco = validation.isBurraco;
+        meld.represents = wildRanks(meld, this.rules);
+
+        const mustMeld = this.rules.melds.returnedWild === 'meldThisTurn';
+        if (mustMeld) {
+            this.returnedWildIds.push(wildCard.id);
+        }
+        this.logEvent('replaceWild', socketId, {
+            team: player.team,
+            card: naturalCard,
+            returnedWild: wildCard,
+            meld: snapshotMeld(meld)
+        });
 
-        return { success: true, returnedWild: wildCard };
+        return { success: true, returnedWild: wildCard, mustMeld };
     }
 
     /**
-     * Handle empty hand - take pozzetto
+     * Wilds the player took back from melds this turn and still holds, when the ruleset
+     * says they must be melded again before discarding
      */
-    handleEmptyHand(socketId) {
-        const player = this.players.find(p => p.socketId === socketId);
-        const team = this.teams[player.team];
+    getOwedWilds(socketId) {
+        return this.hands.get(socketId).filter(c => this.returnedWildIds.includes(c.id));
+    }
 
-        if (team.tookPozzetto) {
-            // Already took pozzetto - player can go out
-            // Going out is handled in discard
-            return { success: true, canGoOut: true };
-        }
-
-        // Take the first available pozzetto (any team can take any pozzetto)
-        for (let i = 0; i < this.pozzetti.length; i++) {
-            // Check if this pozzetto is still available (not taken by any team)
-            const isTaken = Object.values(this.teams).some(t => t.pozzettoIndex === i);
-            if (!isTaken && this.pozzetti[i] && this.pozzetti[i].length > 0) {
-                const pozzetto = this.pozzetti[i];
-                this.hands.set(socketId, [...pozzetto]);
-                team.tookPozzetto = true;
-                team.pozzettoIndex = i; // Track which pozzetto was taken
-                team.pozzettoCount = (team.pozzettoCount || 0) + 1; // Increment count (+50 per pozzetto)
-                this.pozzetti[i] = []; // Mark as taken
-                return {
-                    success: true,
-                    tookPozzetto: true,
-                    cards: pozzetto.length,
-                    pozzettoIndex: i,
-                    playerNickname: player.nickname,
-                    playerSeat: player.seat
-                };
+    /**
+     * Meld the wilds a timed-out player still owes, or undo back to before they were taken
+     */
+    settleReturnedWilds(socketId) {
+        const team = this.teams[this.players.find(p => p.socketId === socketId).team];
+        for (const wild of this.getOwedWilds(socketId)) {
+            const play = this.findPlayFor(wild, this.hands.get(socketId).filter(c => c !== wild), team);
+            if (!play) continue;
+            if (play.meldId) {
+                this.extendMeld(socketId, play.meldId, play.cardIds);
+            } else {
+                this.playMeld(socketId, play.cardIds);
             }
         }
 
-        return { success: true };
+        while (this.getOwedWilds(socketId).length > 0 && this.undoLastMove(socketId).success) {
+            // Each undo takes back one move; the swap itself puts the wild back
+        }
+    }
+
+    /**
+     * Handle empty hand after a meld - take a pozzetto "on the fly" and keep playing
+     */
+    handleEmptyHand(socketId) {
+        // Melds that would empty the hand with no pozzetto to pick up (or when pozzetti
+        // only come after discarding) are refused up front by checkCardsLeft
+        const pickup = this.takePozzetto(socketId, true);
+        return pickup ? { success: true, ...pickup } : { success: true };
+    }
+
+    /**
+     * Pick up the next pozzetto the player's team is allowed, as the player's new hand
+     * Every pickup goes through here, whether on the fly (hand melded out mid-turn)
+     * or after discarding the last card
+     * @returns {Object|null} - { tookPozzetto, pozzettoIndex, cards, team, onTheFly, playerNickname, playerSeat },
+     *   or null when no pozzetto is left for the team
+     */
+    takePozzetto(socketId, onTheFly) {
+        const player = this.players.find(p => p.socketId === socketId);
+        const team = this.teams[player.team];
+        const i = this.findPozzettoFor(team);
+        if (i === -1) return null;
+
+        const pozzetto = this.pozzetti[i];
+        this.hands.set(socketId, [...pozzetto]);
+        team.tookPozzetto = true;
+        team.pozzettoIndices.push(i);
+        team.pozzettoCount = (team.pozzettoCount || 0) + 1; // Scored per pozzetto
+        this.pozzetti[i] = []; // Mark as taken
+        if (onTheFly) this.undoLocked = true; // Its cards have been seen
+        this.logEvent('pozzetto', socketId, { team: player.team, pozzettoIndex: i, onTheFly, cards: pozzetto });
+
+        return {
+            tookPozzetto: true,
+            pozzettoIndex: i,
+            cards: pozzetto.length,
+            team: player.team,
+            onTheFly,
+            playerNickname: player.nickname,
+            playerSeat: player.seat
+        };
     }
 
     /**
@@ -439,75 +720,402 @@ export default class GameState {
             return { success: false, reason: 'Card not in hand' };
         }
 
+        if (this.pickupObligation && hand.some(c => c.id === this.pickupObligation)) {
+            return { success: false, reason: 'Meld the top card of the discard pile before discarding, or undo taking the pile' };
+        }
+        if (this.getOwedWilds(socketId).length > 0) {
+            return { success: false, reason: 'Meld the wild card you took back before discarding, or undo the swap' };
+        }
+
+        const openingError = this.checkOpening(team);
+        if (openingError) {
+            return { success: false, reason: openingError };
+        }
+
         const card = hand[cardIndex];
+        const availablePozzettoIndex = this.findPozzettoFor(team);
+
+        // Discarding the last card with no pozzetto to pick up closes the hand
+        if (hand.length === 1 && availablePozzettoIndex === -1) {
+            const closingError = this.checkClosing(team);
+            if (closingError) {
+                return { success: false, reason: closingError };
+            }
+        }
 
         // Remove from hand
         hand.splice(cardIndex, 1);
 
         // Add to discard pile
         this.discardPile.push(card);
+        this.logEvent('discard', socketId, { card });
+
+        // Melds that made it to the end of a turn open the team's table
+        if (team.melds.length > 0) {
+            team.opened = true;
+        }
 
         let pozzettoInfo = null;
 
         // If hand is empty, check for pozzetto or going out
         if (hand.length === 0) {
-            // Check if any pozzetto is available
-            const availablePozzettoIndex = this.pozzetti.findIndex(p => p && p.length > 0);
-
             if (availablePozzettoIndex === -1) {
-                // No pozzetti left - player goes out and wins!
+                // No pozzetti left (or the team has had its share) - player goes out and wins!
                 team.wentOut = true;
                 this.endGame('closing');
                 return { success: true, gameOver: true, winner: player.team };
-            } else {
-                // Take the available pozzetto
-                const pozzetto = this.pozzetti[availablePozzettoIndex];
-                this.hands.set(socketId, [...pozzetto]);
-                team.tookPozzetto = true;
-                team.pozzettoIndex = availablePozzettoIndex;
-                team.pozzettoCount = (team.pozzettoCount || 0) + 1; // +50 per pozzetto
-                this.pozzetti[availablePozzettoIndex] = []; // Mark as taken
-
-                // Store pozzetto info for broadcasting
-                pozzettoInfo = {
-                    tookPozzetto: true,
-                    cards: pozzetto.length,
-                    pozzettoIndex: availablePozzettoIndex,
-                    playerNickname: player.nickname,
-                    playerSeat: player.seat
-                };
             }
+            // The pozzetto is the player's hand from their next turn
+            pozzettoInfo = this.takePozzetto(socketId, false);
         }
 
-        // Next turn
+        // Next turn (the hand may end here if the draw pile has run out)
         this.nextTurn();
+        const restocked = this.handleEmptyStock();
+
+        if (this.isGameOver) {
+            return { success: true, pozzettoInfo, gameOver: true, winner: this.winner };
+        }
+        return { success: true, pozzettoInfo, restocked };
+    }
+
+    /**
+     * Check if a team may still pick up a pozzetto under the ruleset's closing rules
+     */
+    hasPozzettoAllowance(team) {
+        const limit = this.rules.closing.maxPozzettiPerTeam;
+        return limit === null || (team.pozzettoCount || 0) < limit;
+    }
+
+    /**
+     * Team a pozzetto is reserved for under 'reserved' allocation, or null when pozzetti are shared
+     * Pozzetto i goes to the i-th team in id order, round again when there are more pozzetti than teams
+     */
+    getPozzettoOwner(index) {
+        if (this.rules.closing.pozzettoAllocation !== 'reserved') return null;
+        const teamIds = Object.keys(this.teams).sort();
+        return teamIds[index % teamIds.length];
+    }
+
+    /**
+     * Whether a pozzetto may become the draw pile: shared pozzetti always may, a reserved one
+     * only once its team can take no more (otherwise that team could never close)
+     */
+    isSparePozzetto(index) {
+        const owner = this.getPozzettoOwner(index);
+        return owner === null || !this.hasPozzettoAllowance(this.teams[owner]);
+    }
+
+    /**
+     * Index of the pozzetto a team would pick up next, or -1 if none is left for it
+     */
+    findPozzettoFor(team) {
+        if (!this.hasPozzettoAllowance(team)) return -1;
+        return this.pozzetti.findIndex((p, i) => p && p.length > 0 &&
+            [null, team.id].includes(this.getPozzettoOwner(i)));
+    }
+
+    /**
+     * Check the ruleset's closing requirements for a team
+     * @param {Object} team - Team about to close
+     * @param {Object} [meld] - Meld (isBurraco/isClean) as it will be after the move being checked
+     * @returns {string|null} - Why the team may not close yet, or null if it may
+     */
+    checkClosing(team, meld = null) {
+        const { requirePozzetto, requireBurraco, requireCleanBurraco } = this.rules.closing;
+        const melds = meld ? [...team.melds, meld] : team.melds;
+
+        if (requirePozzetto && !team.tookPozzetto) {
+            return 'Your team must pick up a pozzetto before closing';
+        }
+        if (requireCleanBurraco && !melds.some(m => m.isBurraco && m.isClean)) {
+            return 'Your team needs a clean burraco before closing';
+        }
+        if (requireBurraco && !melds.some(m => m.isBurraco)) {
+            return 'Your team needs a burraco before closing';
+        }
+        return null;
+    }
+
+    /**
+     * Check that a meld leaves the player a legal way to end the turn.
+     * With no pozzetto left to pick up, they must keep a card to discard,
+     * and may only keep just one if their team is allowed to close.
+     * A pozzetto picked up after discarding also needs a card kept back.
+     */
+    checkCardsLeft(team, cardsLeft, meld) {
+        if (cardsLeft > 1) return null;
+        if (this.findPozzettoFor(team) !== -1) {
+            // Without on-the-fly pickup the pozzetto only comes after a discard
+            return cardsLeft === 0 && this.rules.closing.pozzettoOnTheFly === false
+                ? 'Keep a card to discard - the pozzetto is picked up after discarding'
+                : null;
+        }
+
+        const closingError = this.checkClosing(team, meld);
+        if (closingError) return closingError;
+        return cardsLeft === 0 ? 'Keep a card to discard when closing' : null;
+    }
+
+    /**
+     * Whether a player's team could close now, for the client to warn ahead of time
+     */
+    getClosingStatus(team) {
+        const reason = this.checkClosing(team);
+        return {
+            pozzettoAvailable: this.findPozzettoFor(team) !== -1,
+            pozzettoOnTheFly: this.rules.closing.pozzettoOnTheFly !== false,
+            canClose: reason === null,
+            needsPozzetto: this.rules.closing.requirePozzetto && !team.tookPozzetto,
+            reason
+        };
+    }
+
+    /**
+     * Where a team stands on its opening minimum
+     * Melds laid before the team has opened are counted together, since an opening
+     * may span several melds in the turn
+     * @returns {Object} - { opened, minPoints, laidPoints, pointsNeeded }
+     */
+    getOpeningStatus(team) {
+        const minPoints = team.openingMinPoints || 0;
+        const opened = team.opened === true || minPoints === 0;
+        const laidPoints = opened ? 0 : team.melds.reduce((sum, meld) => sum + calculateCardsValue(meld.cards), 0);
+        return { opened, minPoints, laidPoints, pointsNeeded: opened ? 0 : Math.max(0, minPoints - laidPoints) };
+    }
 
-        return { success: true, pozzettoInfo };
+    /**
+     * Check that melds laid this turn meet the team's opening minimum before the turn ends
+     * @returns {string|null} - Why the player may not discard yet, or null
+     */
+    checkOpening(team) {
+        const { pointsNeeded, minPoints } = this.getOpeningStatus(team);
+        if (team.melds.length === 0 || pointsNeeded === 0) return null;
+        return `Your opening melds need ${pointsNeeded} more points (${minPoints} in total), or undo them`;
+    }
+
+    /**
+     * Find a legal way to meld a card held with otherCards: extend a team meld,
+     * or a new meld with two of the other cards
+     * @returns {Object|null} - { meldId, cardIds } to extend, { cardIds } for a new meld, or null
+     */
+    findPlayFor(card, otherCards, team) {
+        const fits = (validation, cardCount) => validation.valid &&
+            !this.checkCardsLeft(team, otherCards.length + 1 - cardCount, validation);
+
+        for (const meld of team.melds) {
+            if (fits(canExtendMeld(meld.cards, [card], meld, this.rules), 1)) {
+                return { meldId: meld.id, cardIds: [card.id] };
+            }
+        }
+
+        for (let i = 0; i < otherCards.length; i++) {
+            for (let j = i + 1; j < otherCards.length; j++) {
+                const cards = [card, otherCards[i], otherCards[j]];
+                if (fits(validateMeld(cards, this.rules), 3)) {
+                    return { cardIds: cards.map(c => c.id) };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A play that melds the card the player still owes from a 'mustMeldTop' pickup, if any
+     */
+    findPickupPlay(socketId) {
+        const hand = this.hands.get(socketId);
+        const card = hand.find(c => c.id === this.pickupObligation);
+        if (!card) return null;
+
+        const player = this.players.find(p => p.socketId === socketId);
+        return this.findPlayFor(card, hand.filter(c => c !== card), this.teams[player.team]);
+    }
+
+    /**
+     * Settle an unmet 'mustMeldTop' pickup for a player who cannot finish it themselves:
+     * meld the card if possible, otherwise undo back to before the pile was taken
+     */
+    settlePickupObligation(socketId) {
+        const play = this.findPickupPlay(socketId);
+        if (play) {
+            const result = play.meldId
+                ? this.extendMeld(socketId, play.meldId, play.cardIds)
+                : this.playMeld(socketId, play.cardIds);
+            if (result.success) return;
+        }
+
+        while (this.pickupObligation && this.undoLastMove(socketId).success) {
+            // Each undo takes back one move; the last one returns the pile
+        }
     }
 
     /**
      * Advance to next player's turn
      */
     nextTurn() {
+        // Turns played off an empty draw pile that add nothing to the table count towards a stalemate
+        const tableCards = Object.values(this.teams)
+            .reduce((sum, team) => sum + team.melds.reduce((n, meld) => n + meld.cards.length, 0), 0);
+        const stalled = this.drawPile.length === 0 && tableCards === this.stalemateTableCards;
+        this.stalemateMoves = stalled ? this.stalemateMoves + 1 : 0;
+        this.stalemateTableCards = tableCards;
+
         this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.playerCount;
         this.currentPhase = PHASES.DRAW;
         this.turnCount++;
+        this.undoStack = [];
+        this.undoLocked = false;
+        this.pickupObligation = null;
+        this.returnedWildIds = [];
+        this.startTurnClock();
     }
 
     /**
-     * Get live scores calculated from current melds (without hand penalties)
+     * Start of a turn with an empty draw pile, per the ruleset's drawing.emptyStock:
+     * 'endHand' scores the hand now, 'pozzetto' turns an unclaimed pozzetto no team is still
+     * waiting for into the new draw pile, and otherwise ('discardPile', or no pozzetto left) the player has to take
+     * the discard pile. The hand also ends when they cannot, or on a stalemate.
+     * @returns {Object|null} - { pozzettoIndex, cardCount } when a pozzetto became the draw pile
      */
-    getLiveScores() {
-        const scores = { A: 0, B: 0 };
+    handleEmptyStock() {
+        if (this.drawPile.length > 0 || this.isGameOver) return null;
 
-        for (const [teamId, team] of Object.entries(this.teams)) {
-            if (team.melds && team.melds.length > 0) {
-                const meldResult = calculateMeldScore(team.melds);
-                scores[teamId] = meldResult.score;
+        const mode = this.rules.drawing?.emptyStock ?? 'discardPile';
+        if (mode === 'endHand') {
+            this.endGame('stockExhausted');
+            return null;
+        }
+
+        if (mode === 'pozzetto') {
+            const pozzettoIndex = this.pozzetti.findLastIndex((p, i) => p && p.length > 0 && this.isSparePozzetto(i));
+            if (pozzettoIndex !== -1) {
+                const cards = this.pozzetti[pozzettoIndex];
+                this.drawPile = [...cards];
+                this.pozzetti[pozzettoIndex] = [];
+                this.logEvent('restock', null, { pozzettoIndex, cards });
+                return { pozzettoIndex, cardCount: cards.length };
             }
         }
 
-        return scores;
+        if (this.stalemateMoves >= STALEMATE_ROUNDS * this.playerCount) {
+            this.endGame('stalemate');
+        } else if (this.discardPickupError(this.getCurrentPlayerId())) {
+            this.endGame('stockExhausted');
+        }
+        return null;
+    }
+
+    /**
+     * Set the deadline for the current turn from config.turnTimer (0 = disabled)
+     */
+    startTurnClock(now = Date.now()) {
+        const seconds = this.config.turnTimer;
+        this.turnDeadline = seconds > 0 && !this.isGameOver ? now + seconds * 1000 : null;
+    }
+
+    /**
+     * Check if the current turn has run out of time
+     */
+    isTurnExpired(now = Date.now()) {
+        return !this.isGameOver && this.turnDeadline !== null && now >= this.turnDeadline;
+    }
+
+    /**
+     * Play the timeout move for the current player once their turn has run out
+     * (see playTimeoutMove)
+     */
+    handleTurnTimeout(now = Date.now()) {
+        if (!this.isTurnExpired(now)) {
+            return { success: false, reason: 'Turn has not timed out' };
+        }
+        return this.playTimeoutMove();
+    }
+
+    /**
+     * End the current player's turn for them: draw if they have not drawn yet, then
+     * discard the drawn card (or a random card if they had already drawn), falling back
+     * to any other card the rules allow
+     */
+    playTimeoutMove() {
+        const socketId = this.getCurrentPlayerId();
+        const player = this.getCurrentPlayer();
+        let drawResult = null;
+        let drawnFrom = null;
+
+        // An opening short of its minimum is taken back rather than blocking the discard
+        const team = this.teams[player.team];
+        while (this.checkOpening(team) && this.undoLastMove(socketId).success) {
+            // Each undo takes back one meld
+        }
+
+        // Wilds taken back and not melded again would block the discard
+        if (this.getOwedWilds(socketId).length > 0) {
+            this.settleReturnedWilds(socketId);
+        }
+
+        // An unmet pickup obligation would block the discard (this may send the player back to draw)
+        if (this.pickupObligation) {
+            this.settlePickupObligation(socketId);
+        }
+
+        if (this.currentPhase === PHASES.DRAW) {
+            drawResult = this.drawFromPile(socketId);
+            drawnFrom = 'drawPile';
+
+            // Fall back to the discard pile when the stock is exhausted
+            if (!drawResult.success) {
+                drawResult = this.takeDiscardPile(socketId);
+                drawnFrom = 'discardPile';
+                if (this.pickupObligation) {
+                    this.settlePickupObligation(socketId);
+                }
+            }
+
+            if (!drawResult.success) {
+                return { success: false, reason: drawResult.reason };
+            }
+        }
+
+        const hand = this.hands.get(socketId);
+        const first = drawResult?.card || hand[Math.floor(Math.random() * hand.length)];
+
+        let card;
+        let discardResult;
+        for (card of [first, ...hand.filter(c => c !== first)]) {
+            discardResult = this.discard(socketId, card.id);
+            if (discardResult.success) break;
+        }
+        if (!discardResult.success) {
+            return { success: false, reason: discardResult.reason };
+        }
+
+        return {
+            ...discardResult,
+            timedOut: true,
+            playerId: socketId,
+            playerNickname: player.nickname,
+            playerSeat: player.seat,
+            drawnFrom,
+            drawnCount: drawResult ? (drawResult.cards?.length || 1) : 0,
+            discardedCard: card
+        };
+    }
+
+    /**
+     * Build a teamId -> value object from each team's state
+     */
+    mapTeams(fn) {
+        return Object.fromEntries(Object.entries(this.teams).map(([teamId, team]) => [teamId, fn(team, teamId)]));
+    }
+
+    /**
+     * Get live scores calculated from current melds (without hand penalties)
+     */
+    getLiveScores() {
+        return this.mapTeams(team =>
+            team.melds && team.melds.length > 0 ? calculateMeldScore(team.melds, this.rules).score : 0
+        );
     }
 
     /**
@@ -516,6 +1124,7 @@ export default class GameState {
     endGame(reason) {
         this.isGameOver = true;
         this.endReason = reason;
+        this.turnDeadline = null;
 
         // Calculate scores for each team
         for (const [teamId, team] of Object.entries(this.teams)) {
@@ -525,19 +1134,73 @@ export default class GameState {
                 hands: teamHands,
                 pozzettoCount: team.pozzettoCount || 0,
                 wentOut: team.wentOut
-            });
+            }, this.rules);
             this.scores[teamId] = scoreResult.totalScore;
             team.scoreDetails = scoreResult;
         }
 
-        // Determine winner
-        if (this.scores.A > this.scores.B) {
-            this.winner = 'A';
-        } else if (this.scores.B > this.scores.A) {
-            this.winner = 'B';
-        } else {
-            this.winner = 'tie';
-        }
+        // Determine winner - the highest score, or a tie when several teams share it
+        const best = Math.max(...Object.values(this.scores));
+        const leaders = Object.keys(this.scores).filter(teamId => this.scores[teamId] === best);
+        this.winner = leaders.length === 1 ? leaders[0] : 'tie';
+
+        this.logEvent('gameEnd', null, { reason, scores: { ...this.scores }, winner: this.winner });
+    }
+
+    /**
+     * Plain snapshot of the game for storage
+     */
+    toJSON() {
+        return { ...this, hands: Array.from(this.hands.entries()) };
+    }
+
+    /**
+     * Rebuild a game from a toJSON() snapshot
+     */
+    static fromJSON(data) {
+        return Object.assign(Object.create(GameState.prototype), data, {
+            hands: new Map(data.hands),
+            // Snapshots saved before these existed
+            log: data.log ?? [],
+            rules: data.rules ?? DEFAULT_RULESET,
+            undoStack: data.undoStack ?? [],
+            undoLocked: data.undoLocked ?? false,
+            pickupObligation: data.pickupObligation ?? null,
+            returnedWildIds: data.returnedWildIds ?? [],
+            stalemateTableCards: data.stalemateTableCards ?? 0,
+            seedFixed: data.seedFixed ?? false,
+            teams: Object.fromEntries(Object.entries(data.teams).map(([id, team]) => [id, {
+                ...team,
+                id,
+                pozzettoIndices: team.pozzettoIndices ?? (team.pozzettoIndex !== undefined ? [team.pozzettoIndex] : []),
+                melds: team.melds.map(meld => meld.represents ? meld : { ...meld, represents: wildRanks(meld, data.rules ?? DEFAULT_RULESET) })
+            }]))
+        });
+    }
+
+    /**
+     * Deal seed to show players, or null: only rooms with a seed fixed by the host show it
+     * (a random deal's seed is of no use to them and would only hint at the next one)
+     */
+    getShownSeed() {
+        return this.seedFixed ? this.seed : null;
+    }
+
+    /**
+     * Get the full event log of this hand (all hands visible - only share once finished)
+     */
+    getGameLog() {
+        return {
+            gameId: this.gameId,
+            seed: this.getShownSeed(),
+            round: this.round,
+            playerCount: this.playerCount,
+            rules: this.rules,
+            players: this.getSeatInfo(),
+            isGameOver: this.isGameOver,
+            result: this.isGameOver ? this.getGameResult() : null,
+            events: this.log
+        };
     }
 
     /**
@@ -545,13 +1208,14 @@ export default class GameState {
      */
     getGameResult() {
         return {
+            gameId: this.gameId,
+            seed: this.getShownSeed(),
+            round: this.round,
+            ruleset: { id: this.rules.id, name: this.rules.name },
             winner: this.winner,
             scores: this.scores,
             endReason: this.endReason,
-            teamDetails: {
-                A: this.teams.A.scoreDetails,
-                B: this.teams.B.scoreDetails
-            }
+            teamDetails: this.mapTeams(team => team.scoreDetails)
         };
     }
 }
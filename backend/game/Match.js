@@ -0,0 +1,109 @@
+/**
+ * Match management for Buraco
+ * A match is a series of hands played until a team reaches the target score
+ */
+
+import { checkGameEnd, determineWinner } from './Scoring.js';
+
+/**
+ * Default points needed to win a match
+ */
+export const DEFAULT_TARGET_SCORE = 2000;
+
+/**
+ * Match class - tracks rounds and cumulative team totals
+ */
+export default class Match {
+    constructor(teamIds, targetScore = DEFAULT_TARGET_SCORE) {
+        this.targetScore = targetScore;
+        this.rounds = []; // [{ round, scores, teamDetails, winner, endReason }]
+        this.totals = {}; // teamId -> cumulative score
+        this.isOver = false;
+        this.winner = null;
+
+        for (const teamId of teamIds) {
+            this.totals[teamId] = 0;
+        }
+    }
+
+    /**
+     * Number of the hand currently being played (1-based)
+     */
+    get currentRound() {
+        return this.isOver ? this.rounds.length : this.rounds.length + 1;
+    }
+
+    /**
+     * Record the result of a finished hand and check for a match winner
+     * @param {Object} result - GameState.getGameResult()
+     * @returns {Object} - The recorded round
+     */
+    recordRound(result) {
+        if (this.isOver) {
+            throw new Error('Match is already over');
+        }
+
+        const round = {
+            round: this.rounds.length + 1,
+            gameId: result.gameId,
+            seed: result.seed,
+            winner: result.winner,
+            endReason: result.endReason,
+            scores: { ...result.scores },
+            teamDetails: result.teamDetails,
+            totals: {}
+        };
+
+        for (const [teamId, score] of Object.entries(result.scores)) {
+            this.totals[teamId] = (this.totals[teamId] || 0) + score;
+        }
+        round.totals = { ...this.totals };
+        this.rounds.push(round);
+
+        const end = checkGameEnd(this.totals, this.targetScore);
+        if (end.ended) {
+            this.isOver = true;
+            this.winner = end.winner;
+        }
+
+        return round;
+    }
+
+    /**
+     * Teams ordered by cumulative score, highest first
+     */
+    getStandings() {
+        const { scores } = determineWinner(this.totals);
+        return Object.entries(scores)
+            .sort((a, b) => b[1] - a[1])
+            .map(([team, score], index) => ({ position: index + 1, team, score }));
+    }
+
+    /**
+     * Summary sent to clients (scoreboard, round and match events)
+     */
+    getSummary() {
+        return {
+            targetScore: this.targetScore,
+            currentRound: this.currentRound,
+            roundsPlayed: this.rounds.length,
+            totals: { ...this.totals },
+            standings: this.getStandings(),
+            rounds: this.rounds.map(r => ({
+                round: r.round,
+                winner: r.winner,
+                scores: r.scores,
+                totals: r.totals
+            })),
+            isOver: this.isOver,
+            winner: this.winner
+        };
+    }
+
+    /**
+     * Rebuild a match from a stored snapshot
+     */
+    static fromJSON(data) {
+        return Object.assign(Object.create(Match.prototype), data);
+    }
+}
@@ -3,149 +3,218 @@
  * Validates sets (combinazione) and sequences (sequenze)
  */
 
-import { getRankIndex } from './Deck.js';
+import { getRankIndex, RANKS } from './Deck.js';
+import { DEFAULT_RULESET } from './Ruleset.js';
 
-const RANKS_ORDER = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SEQUENCE_SPAN = 13; // A sequence holds each rank at most once
 
 /**
- * Sort sequence meld cards in proper order, placing wilds in gap positions
- * @param {Array} cards - Cards in the meld
- * @param {string} suit - Suit of the sequence
- * @returns {Array} - Sorted cards array
+ * Place a sequence's natural cards in order - the one place that decides where an Ace goes
+ * Positions run A=0, 2=1 ... K=12 and carry on past the King: a high Ace is 13, and with
+ * melds.aceAround the ranks may wrap (Q-K-A-2-3 = 11-15). Without aceAround an Ace is
+ * either low or high. The placement with the fewest gaps wins, the lowest on a tie.
+ * @param {Array} naturals - Natural cards of one suit
+ * @param {Object} rules - Ruleset (decides whether sequences wrap)
+ * @returns {Array|null} - [{ card, idx }] in sequence order, or null with duplicate ranks
  */
-export function sortSequenceMeld(cards, suit) {
-    const wilds = [];
-    const naturals = [];
-
-    // Separate wilds from naturals - only Jokers are wild
-    for (const card of cards) {
-        if (card.rank === 'JOKER') {
-            wilds.push(card);
-        } else {
-            naturals.push(card);
+export function placeSequence(naturals, rules = DEFAULT_RULESET) {
+    const starts = rules.melds.aceAround ? [...Array(SEQUENCE_SPAN).keys()] : [0, 1];
+    let best = null;
+
+    for (const start of starts) {
+        // Ranks below the starting rank come after the King
+        const positions = naturals.map(card => {
+            const idx = getRankIndex(card.rank);
+            return { card, idx: idx < start ? idx + SEQUENCE_SPAN : idx };
+        }).sort((a, b) => a.idx - b.idx);
+
+        if (positions.some((p, i) => i > 0 && p.idx === positions[i - 1].idx)) {
+            return null;
+        }
+        if (!best || spanOf(positions) < spanOf(best)) {
+            best = positions;
         }
     }
 
-    // Sort naturals by rank
-    naturals.sort((a, b) => {
-        const idxA = getRankIndex(a.rank);
-        const idxB = getRankIndex(b.rank);
-        return idxA - idxB;
-    });
+    return best;
+}
 
-    // Check if Ace should be at high end (after K)
-    let aceIsHigh = false;
-    if (naturals.length >= 2) {
-        const firstCard = naturals[0];
-        const lastCard = naturals[naturals.length - 1];
-        const hasAce = naturals.some(c => c.rank === 'A');
-        const hasKing = naturals.some(c => c.rank === 'K');
-        const hasQueen = naturals.some(c => c.rank === 'Q');
-        const hasJack = naturals.some(c => c.rank === 'J');
-        const hasTwo = naturals.some(c => c.rank === '2');
-        const hasThree = naturals.some(c => c.rank === '3');
-
-        // Ace is high if:
-        // 1. We have natural K with Ace
-        // 2. We have Q or J with JOKER (JOKER will act as K)
-        if (hasAce && !hasTwo && !hasThree) {
-            if (hasKing) {
-                aceIsHigh = true;
-            } else if ((hasQueen || hasJack) && wilds.length > 0) {
-                aceIsHigh = true;
-            }
-        }
+/**
+ * Number of ranks from the lowest to the highest placed card
+ */
+function spanOf(positions) {
+    return positions[positions.length - 1].idx - positions[0].idx + 1;
+}
 
-        if (aceIsHigh && firstCard.rank === 'A') {
-            // Move Ace to the end
-            naturals.push(naturals.shift());
-        }
+/**
+ * Number of wilds needed to fill the gaps between placed cards
+ */
+function gapsIn(positions) {
+    return spanOf(positions) - positions.length;
+}
+
+/**
+ * Highest position a sequence may reach: a high Ace, unless it wraps around
+ */
+function sequenceTop(rules) {
+    return rules.melds.aceAround ? Infinity : SEQUENCE_SPAN;
+}
+
+/**
+ * Sort sequence meld cards in proper order, placing wilds in gap positions
+ * @param {Array} cards - Cards in the meld
+ * @param {string} suit - Suit of the sequence
+ * @param {Object} rules - Ruleset (decides whether 2s are wild and sequences wrap)
+ * @returns {Array} - Sorted cards array
+ */
+export function sortSequenceMeld(cards, suit, rules = DEFAULT_RULESET) {
+    // Separate wilds from naturals (a 2 in its natural place stays a natural)
+    const { wilds, naturals } = chooseSequenceSplit(cards, rules);
+    const positions = naturals.length > 0 ? placeSequence(naturals, rules) : null;
+    if (!positions) {
+        return [...naturals, ...wilds];
     }
 
-    // Now insert wilds into gaps
+    // Insert wilds into gaps
     const result = [];
     let wildIdx = 0;
 
-    for (let i = 0; i < naturals.length; i++) {
-        result.push(naturals[i]);
-
-        if (i < naturals.length - 1) {
-            // Check for gap to next card
-            let currentRank = getRankIndex(naturals[i].rank);
-            let nextRank = getRankIndex(naturals[i + 1].rank);
-
-            // Handle Ace at end case - Ace's index should be 13 when it's high
-            if (naturals[i + 1].rank === 'A' && aceIsHigh) {
-                nextRank = 13;
-            }
+    for (let i = 0; i < positions.length; i++) {
+        result.push(positions[i].card);
 
-            const gap = nextRank - currentRank - 1;
+        if (i < positions.length - 1) {
+            const gap = positions[i + 1].idx - positions[i].idx - 1;
             for (let g = 0; g < gap && wildIdx < wilds.length; g++) {
                 result.push(wilds[wildIdx++]);
             }
         }
     }
 
-    // Handle remaining wilds
-    // If sequence ends with high Ace, place wilds at the BEGINNING (extending downward)
-    // Otherwise, place at the end
-    const wildsToPlace = [];
-    while (wildIdx < wilds.length) {
-        wildsToPlace.push(wilds[wildIdx++]);
-    }
+    // Remaining wilds extend upward first (up to the high Ace, or around), then downward
+    const wildsToPlace = wilds.slice(wildIdx);
+    const top = positions[positions.length - 1].idx;
+    const above = Math.max(0, Math.min(
+        wildsToPlace.length,
+        sequenceTop(rules) - top,
+        SEQUENCE_SPAN - spanOf(positions)
+    ));
+
+    return [...wildsToPlace.slice(above), ...result, ...wildsToPlace.slice(0, above)];
+}
 
-    if (wildsToPlace.length > 0) {
-        // Check if last card is high Ace
-        const lastCard = naturals[naturals.length - 1];
-        const isEndingWithHighAce = lastCard && lastCard.rank === 'A' && aceIsHigh;
+/**
+ * Check if a card is a wild card - Jokers always, 2s when the ruleset plays them as wild (pinella)
+ */
+export function isWildCard(card, rules = DEFAULT_RULESET) {
+    return card.rank === 'JOKER' || (rules.melds.twosWild && card.rank === '2');
+}
 
-        if (isEndingWithHighAce) {
-            // Place wilds at beginning (extend downward from lowest card)
-            return [...wildsToPlace, ...result];
-        } else {
-            // Place wilds at end (extend upward)
-            return [...result, ...wildsToPlace];
+/**
+ * Ways to read a sequence's cards as naturals + wilds, most natural first
+ * With 2s wild, a 2 of the sequence's own suit may sit in its natural place
+ * (A-2-3, 2-3-4) and then does not count as a wild
+ */
+function sequenceSplits(cards, rules) {
+    const wilds = cards.filter(c => isWildCard(c, rules));
+    const naturals = cards.filter(c => !isWildCard(c, rules));
+    const splits = [{ naturals, wilds }];
+
+    if (rules.melds.twosWild && naturals.length > 0) {
+        const naturalTwo = wilds.find(c => c.rank === '2' && c.suit === naturals[0].suit);
+        if (naturalTwo) {
+            splits.unshift({
+                naturals: [...naturals, naturalTwo],
+                wilds: wilds.filter(c => c !== naturalTwo)
+            });
         }
     }
 
-    return result;
+    return splits;
 }
 
 /**
- * Check if a card is a wild card - only Jokers are wild
+ * First reading of a sequence's cards that forms a valid sequence
+ * (falls back to treating every wild-capable card as wild)
  */
-function isWildCard(card) {
-    return card.rank === 'JOKER';
+function chooseSequenceSplit(cards, rules) {
+    const splits = sequenceSplits(cards, rules);
+    return splits.find(split => checkSequence(split.naturals, split.wilds, rules).valid) || splits[splits.length - 1];
 }
 
 /**
- * Validate a set (combinazione) - 3-7 cards of same rank
- * Rules:
- * - At least 3 cards, maximum 7 cards
- * - All same rank (except wilds)
- * - Maximum 1 wild card
- * - Cannot be all wilds
+ * Check the meld size against the ruleset (null maxSize = no upper limit)
+ * @returns {string|null} - Reason the size is not allowed
  */
-export function validateSet(cards) {
-    if (cards.length < 3) {
-        return { valid: false, reason: 'Set must have at least 3 cards' };
+function checkMeldSize(cards, kind, melds) {
+    if (cards.length < melds.minSize) {
+        return `${kind} must have at least ${melds.minSize} cards`;
+    }
+    if (melds.maxSize !== null && cards.length > melds.maxSize) {
+        return `Meld cannot have more than ${melds.maxSize} cards`;
     }
+    return null;
+}
 
-    if (cards.length > 7) {
-        return { valid: false, reason: 'Meld cannot have more than 7 cards' };
+/**
+ * Reason for a meld with too many wilds, e.g. "Set can have at most 1 wild card"
+ */
+function tooManyWildsReason(kind, maxWilds) {
+    if (maxWilds === 0) {
+        return `${kind} cannot contain wild cards`;
     }
+    return `${kind} can have at most ${maxWilds} wild card${maxWilds === 1 ? '' : 's'}`;
+}
 
-    const wilds = cards.filter(c => isWildCard(c));
-    const naturals = cards.filter(c => !isWildCard(c));
+/**
+ * Check the number of wilds against the ruleset: at most melds.maxWilds
+ * (null = no fixed limit), and never more wilds than natural cards
+ * @returns {string|null} - Reason the wilds are not allowed
+ */
+function checkWildCount(kind, wildCount, naturalCount, melds) {
+    if (melds.maxWilds !== null && wildCount > melds.maxWilds) {
+        return tooManyWildsReason(kind, melds.maxWilds);
+    }
+    if (naturalCount > 0 && wildCount > naturalCount) {
+        return `Wild cards cannot outnumber natural cards in a ${kind.toLowerCase()}`;
+    }
+    return null;
+}
 
-    if (wilds.length > 1) {
-        return { valid: false, reason: 'Set can have at most 1 wild card' };
+/**
+ * Number of extra cards a run of natural positions can still grow by at its ends
+ * A sequence covers at most 13 ranks: A-K with a low Ace, 2-A with a high Ace,
+ * or any 13 in a row when sequences wrap around
+ */
+function roomAtEnds(positions) {
+    return SEQUENCE_SPAN - spanOf(positions);
+}
+
+/**
+ * Validate a set (combinazione) - cards of the same rank
+ * Rules (sizes and wild limit come from the ruleset, 3-7 cards and 1 wild by default):
+ * - Between melds.minSize and melds.maxSize cards
+ * - All same rank (except wilds)
+ * - At most melds.maxWilds wild cards (null = any number), never more wilds than naturals
+ * - Cannot be all wilds
+ */
+export function validateSet(cards, rules = DEFAULT_RULESET) {
+    const sizeError = checkMeldSize(cards, 'Set', rules.melds);
+    if (sizeError) {
+        return { valid: false, reason: sizeError };
     }
 
+    const wilds = cards.filter(c => isWildCard(c, rules));
+    const naturals = cards.filter(c => !isWildCard(c, rules));
+
     if (naturals.length === 0) {
         return { valid: false, reason: 'Set cannot consist entirely of wild cards' };
     }
 
+    const wildError = checkWildCount('Set', wilds.length, naturals.length, rules.melds);
+    if (wildError) {
+        return { valid: false, reason: wildError };
+    }
+
     // All naturals must be same rank
     const rank = naturals[0].rank;
     if (!naturals.every(c => c.rank === rank)) {
@@ -159,33 +228,50 @@ export function validateSet(cards) {
         type: 'set',
         rank,
         isClean,
-        isBurraco: cards.length >= 7
+        isBurraco: cards.length >= rules.melds.burracoSize
     };
 }
 
 /**
- * Validate a sequence (sequenza) - 3-7 consecutive cards in same suit
- * Rules:
- * - At least 3 cards, maximum 7 cards
+ * Validate a sequence (sequenza) - consecutive cards in same suit
+ * Rules (sizes and wild limit come from the ruleset):
+ * - Between melds.minSize and melds.maxSize cards
  * - All same suit (naturals)
  * - Consecutive ranks
- * - Maximum 1 wild card (Joker only)
- * - Ace can be at either end but not both
- * - 2 is a normal card (not wild)
+ * - At most melds.maxWilds wild cards (null = any number), never more wilds than naturals
+ * - Ace can be at either end but not both, or anywhere with melds.aceAround (Q-K-A-2-3)
+ * - 2 is a normal card, unless melds.twosWild - then a 2 is wild except
+ *   a 2 of the sequence's suit in its natural place, which keeps the meld clean
  */
-export function validateSequence(cards) {
-    if (cards.length < 3) {
-        return { valid: false, reason: 'Sequence must have at least 3 cards' };
+export function validateSequence(cards, rules = DEFAULT_RULESET) {
+    const sizeError = checkMeldSize(cards, 'Sequence', rules.melds);
+    if (sizeError) {
+        return { valid: false, reason: sizeError };
     }
 
-    if (cards.length > 7) {
-        return { valid: false, reason: 'Meld cannot have more than 7 cards' };
+    // Try each way of reading the 2s; report why the plain reading (every 2 wild) fails
+    let result;
+    for (const { naturals, wilds } of sequenceSplits(cards, rules)) {
+        result = checkSequence(naturals, wilds, rules);
+        if (result.valid) {
+            return {
+                valid: true,
+                type: 'sequence',
+                suit: result.suit,
+                isClean: wilds.length === 0,
+                isBurraco: cards.length >= rules.melds.burracoSize
+            };
+        }
     }
 
-    // Separate wilds and naturals - only Jokers are wild
-    const wilds = cards.filter(c => c.rank === 'JOKER');
-    const naturals = cards.filter(c => c.rank !== 'JOKER');
+    return result;
+}
 
+/**
+ * Check that naturals of one suit plus wilds form consecutive ranks
+ * @returns {Object} - { valid: true, suit } or { valid: false, reason }
+ */
+function checkSequence(naturals, wilds, rules) {
     if (naturals.length === 0) {
         return { valid: false, reason: 'Sequence must contain natural cards' };
     }
@@ -196,128 +282,191 @@ export function validateSequence(cards) {
         return { valid: false, reason: 'All cards in a sequence must be the same suit' };
     }
 
-    // Build the sequence by position
-    const positions = [];
-
-    for (const card of naturals) {
-        const idx = getRankIndex(card.rank);
-        positions.push({ idx, card, isWild: false });
-    }
-
-    // Sort by position
-    positions.sort((a, b) => a.idx - b.idx);
-
-    // Check if there's an Ace that could be at the high end (after K)
-    const hasLowAce = positions.some(p => p.idx === 0 && positions.some(p2 => p2.idx === 1 || p2.idx === 2));
-    const hasKing = positions.some(p => p.idx === 12); // K
-    const hasQueen = positions.some(p => p.idx === 11); // Q
-    const hasJack = positions.some(p => p.idx === 10); // J
-
-    // Ace is high if:
-    // 1. We have natural K with Ace, OR
-    // 2. We have Q or J with Ace AND a JOKER (JOKER will act as K)
-    const hasHighAce = positions.some(p => p.idx === 0) && (
-        hasKing ||
-        ((hasQueen || hasJack) && wilds.length > 0)
-    );
-
-    // Adjust ace position if it's at high end
-    if (hasHighAce && !hasLowAce) {
-        const acePos = positions.find(p => p.idx === 0);
-        if (acePos) acePos.idx = 13;
-        positions.sort((a, b) => a.idx - b.idx);
-    }
-
-    // Count gaps between consecutive cards
-    let gaps = 0;
-    for (let i = 1; i < positions.length; i++) {
-        const gap = positions[i].idx - positions[i - 1].idx - 1;
-        if (gap > 0) {
-            gaps += gap;
-        } else if (gap < 0) {
-            return { valid: false, reason: 'Duplicate ranks in sequence' };
-        }
+    const positions = placeSequence(naturals, rules);
+    if (!positions) {
+        return { valid: false, reason: 'Duplicate ranks in sequence' };
     }
+    const gaps = gapsIn(positions);
 
-    // Can only use 1 wild card (Joker) total
-    if (wilds.length > 1) {
-        return { valid: false, reason: 'Sequence can have at most 1 wild card (Joker)' };
+    const wildError = checkWildCount('Sequence', wilds.length, naturals.length, rules.melds);
+    if (wildError) {
+        return { valid: false, reason: wildError };
     }
 
     if (gaps > wilds.length) {
         return { valid: false, reason: 'Not enough wild cards to fill gaps in sequence' };
     }
 
-    const isClean = wilds.length === 0;
+    // Wilds left over after the gaps extend the ends
+    if (wilds.length - gaps > roomAtEnds(positions)) {
+        return {
+            valid: false,
+            reason: rules.melds.aceAround
+                ? 'Sequence cannot be longer than 13 cards'
+                : 'Sequence cannot be longer than Ace to King (or 2 to Ace)'
+        };
+    }
 
-    return {
-        valid: true,
-        type: 'sequence',
-        suit,
-        isClean,
-        isBurraco: cards.length >= 7
-    };
+    return { valid: true, suit };
 }
 
 /**
  * Validate any meld (auto-detect type)
  */
-export function validateMeld(cards) {
-    if (!cards || cards.length < 3) {
-        return { valid: false, reason: 'Meld must have at least 3 cards' };
+export function validateMeld(cards, rules = DEFAULT_RULESET) {
+    if (!cards || cards.length < rules.melds.minSize) {
+        return { valid: false, reason: `Meld must have at least ${rules.melds.minSize} cards` };
     }
 
     // Try as set first
-    const setResult = validateSet(cards);
+    const setResult = validateSet(cards, rules);
     if (setResult.valid) {
         return setResult;
     }
 
     // Try as sequence
-    const seqResult = validateSequence(cards);
+    const seqResult = validateSequence(cards, rules);
     if (seqResult.valid) {
         return seqResult;
     }
 
-    // Neither valid
-    return { valid: false, reason: 'Cards do not form a valid set or sequence' };
+    // Neither valid: explain the kind of meld the cards come closest to
+    return closestMeldKind(cards, rules) === 'set' ? setResult : seqResult;
+}
+
+/**
+ * Kind of meld some cards come closest to: a set when at least two natural cards
+ * share a rank and no suit is more common than that rank, otherwise a sequence
+ */
+function closestMeldKind(cards, rules) {
+    const naturals = cards.filter(c => !isWildCard(c, rules));
+    const mostOf = key => Math.max(0, ...Object.values(countBy(naturals, key)));
+    return mostOf('rank') >= Math.max(2, mostOf('suit')) ? 'set' : 'sequence';
+}
+
+/**
+ * Number of cards per value of a card property, e.g. { hearts: 2, spades: 1 }
+ */
+function countBy(cards, key) {
+    const counts = {};
+    for (const card of cards) {
+        counts[card[key]] = (counts[card[key]] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Most common value of a card property among cards (first seen on a tie)
+ */
+function mostCommon(cards, key) {
+    const counts = countBy(cards, key);
+    return cards.reduce((best, card) => counts[card[key]] > (counts[best] ?? 0) ? card[key] : best, null);
+}
+
+// Stand-in wild used to ask whether one more wild would complete a meld
+const ANY_WILD = { id: 'any-wild', suit: 'joker', rank: 'JOKER', isWild: true, isJoker: true, value: 30 };
+
+/**
+ * Explain why cards do not form a meld, and what would fix it
+ * @param {Array} cards - Cards the player has picked
+ * @param {Object} rules - Ruleset
+ * @param {Array} handCards - The player's hand, searched for cards that complete the meld
+ * @returns {Object} - {
+ *   valid, reason,
+ *   type: 'set' or 'sequence', the kind of meld the cards come closest to,
+ *   rank / suit: the set's rank or the sequence's suit,
+ *   offCards: ids of cards that break that rank or suit (or repeat a sequence rank),
+ *   missingRanks: ranks a sequence lacks between its cards (filled by wilds or not),
+ *   wildWouldFix: whether one more wild would make the meld valid,
+ *   completions: ids of hand cards that would each make the meld valid
+ * }
+ */
+export function diagnoseMeld(cards, rules = DEFAULT_RULESET, handCards = []) {
+    const validation = validateMeld(cards, rules);
+    const picked = new Set(cards.map(c => c.id));
+    const completions = validation.valid ? [] : handCards
+        .filter(c => !picked.has(c.id) && validateMeld([...cards, c], rules).valid)
+        .map(c => c.id);
+
+    const type = validation.valid ? validation.type : closestMeldKind(cards, rules);
+    const naturals = cards.filter(c => !isWildCard(c, rules));
+    const diagnosis = {
+        valid: validation.valid,
+        reason: validation.valid ? null : validation.reason,
+        type,
+        rank: null,
+        suit: null,
+        offCards: [],
+        missingRanks: [],
+        wildWouldFix: !validation.valid && validateMeld([...cards, ANY_WILD], rules).valid,
+        completions
+    };
+    if (naturals.length === 0) return diagnosis;
+
+    if (type === 'set') {
+        diagnosis.rank = mostCommon(naturals, 'rank');
+        diagnosis.offCards = naturals.filter(c => c.rank !== diagnosis.rank).map(c => c.id);
+        return diagnosis;
+    }
+
+    // Sequence: cards of other suits break it, then so do repeated ranks
+    const suit = mostCommon(naturals, 'suit');
+    diagnosis.suit = suit;
+    diagnosis.offCards = naturals.filter(c => c.suit !== suit).map(c => c.id);
+
+    // (a 2 of the suit may count as a natural in its own place)
+    const { naturals: inSuit } = chooseSequenceSplit(cards.filter(c => c.suit === suit || isWildCard(c, rules)), rules);
+    const seen = new Set();
+    const placed = inSuit.filter(card => {
+        if (seen.has(card.rank)) {
+            diagnosis.offCards.push(card.id);
+            return false;
+        }
+        seen.add(card.rank);
+        return true;
+    });
+
+    const positions = placed.length > 0 ? placeSequence(placed, rules) : null;
+    for (let i = 1; i < (positions?.length ?? 0); i++) {
+        for (let idx = positions[i - 1].idx + 1; idx < positions[i].idx; idx++) {
+            diagnosis.missingRanks.push(RANKS[idx % SEQUENCE_SPAN]);
+        }
+    }
+    return diagnosis;
 }
 
 /**
  * Check if cards can be added to an existing meld
  * For sequences with wilds, this will attempt to reposition the wild if needed
  */
-export function canExtendMeld(existingMeld, newCards, meldInfo) {
+export function canExtendMeld(existingMeld, newCards, meldInfo, rules = DEFAULT_RULESET) {
     const combined = [...existingMeld, ...newCards];
 
     if (meldInfo.type === 'set') {
-        return validateSet(combined);
+        return validateSet(combined, rules);
     } else {
         // For sequences, validate the combined meld
         // The validation will work because sortSequenceMeld intelligently places wilds
-        const result = validateSequence(combined);
+        const result = validateSequence(combined, rules);
 
         // If validation failed but we have wilds, it might be because a wild needs repositioning
         // The sortSequenceMeld function will handle this automatically when the meld is saved
-        if (!result.valid && combined.some(c => c.rank === 'JOKER')) {
+        if (!result.valid && combined.some(c => isWildCard(c, rules))) {
             // Try to see if the natural cards form a valid sequence
             // This helps when adding a card that displaces a wild
-            const naturals = combined.filter(c => c.rank !== 'JOKER');
-            const wilds = combined.filter(c => c.rank === 'JOKER');
+            const { naturals, wilds } = chooseSequenceSplit(combined, rules);
 
             if (naturals.length >= 3) {
-                // Check if naturals can form a sequence with the wild filling gaps
-                const naturalResult = validateSequence(naturals);
-
-                // If naturals are valid by themselves, or can be valid with wild repositioning
-                if (naturalResult.valid || canFormSequenceWithWild(naturals, wilds, meldInfo.suit)) {
+                // Check if naturals can form a sequence with the wilds repositioned
+                // (still within the ruleset's size and wild card limits)
+                if (canFormSequenceWithWild(naturals, wilds, meldInfo.suit, rules)) {
                     // Return a valid result - the sortSequenceMeld will fix positioning
                     return {
                         valid: true,
                         type: 'sequence',
                         suit: meldInfo.suit,
                         isClean: wilds.length === 0,
-                        isBurraco: combined.length >= 7
+                        isBurraco: combined.length >= rules.melds.burracoSize
                     };
                 }
             }
@@ -331,73 +480,69 @@ export function canExtendMeld(existingMeld, newCards, meldInfo) {
  * Helper function to check if naturals + wilds can form a valid sequence
  * This allows for wild repositioning
  */
-function canFormSequenceWithWild(naturals, wilds, suit) {
+function canFormSequenceWithWild(naturals, wilds, suit, rules) {
     if (naturals.length === 0) return false;
-    if (wilds.length > 1) return false; // Max 1 wild
+    if (checkWildCount('Sequence', wilds.length, naturals.length, rules.melds)) return false;
+    if (rules.melds.maxSize !== null && naturals.length + wilds.length > rules.melds.maxSize) return false;
 
     // All naturals must be same suit
     if (!naturals.every(c => c.suit === suit)) return false;
 
-    // Get positions of all natural cards
-    const positions = naturals.map(card => {
-        let idx = getRankIndex(card.rank);
-        return { idx, rank: card.rank };
-    }).sort((a, b) => a.idx - b.idx);
-
-    // Check for Ace positioning (can be high or low)
-    const hasAce = positions.some(p => p.rank === 'A');
-    const hasKing = positions.some(p => p.rank === 'K');
-    const hasQueen = positions.some(p => p.rank === 'Q');
-    const hasJack = positions.some(p => p.rank === 'J');
-    const hasTwo = positions.some(p => p.rank === '2');
-    const hasThree = positions.some(p => p.rank === '3');
-
-    // Determine if Ace should be high
-    // Ace is high if:
-    // 1. We have natural K, OR
-    // 2. We have Q or J with a JOKER (JOKER will be K)
-    let aceIsHigh = false;
-    if (hasAce && !hasTwo && !hasThree) {
-        if (hasKing) {
-            aceIsHigh = true;
-        } else if ((hasQueen || hasJack) && wilds.length > 0) {
-            // JOKER can act as K between Q and A
-            aceIsHigh = true;
-        }
-    }
+    const positions = placeSequence(naturals, rules);
+    if (!positions) return false; // Duplicate ranks
 
-    // If we have K and A, Ace should be high (idx 13)
-    if (aceIsHigh) {
-        const acePos = positions.find(p => p.rank === 'A');
-        if (acePos) acePos.idx = 13;
-        positions.sort((a, b) => a.idx - b.idx);
-    }
+    // We can fill gaps with wilds, and any left over fit at the ends
+    const gaps = gapsIn(positions);
+    return gaps <= wilds.length && wilds.length - gaps <= roomAtEnds(positions);
+}
 
-    // Count total gaps
-    let totalGaps = 0;
-    for (let i = 1; i < positions.length; i++) {
-        const gap = positions[i].idx - positions[i - 1].idx - 1;
-        if (gap > 0) {
-            totalGaps += gap;
-        } else if (gap < 0) {
-            return false; // Duplicate ranks
-        }
+/**
+ * The card each wild in a meld stands for
+ * In a set every wild stands for the set's rank; in a sequence a wild stands for the
+ * rank of its place once the meld is sorted (gaps first, then the ends).
+ * A 2 sitting in its natural place is not a wild and is not listed.
+ * @param {Array} cards - Cards in the meld
+ * @param {Object} meldInfo - The meld's type, and its rank (sets) or suit (sequences)
+ * @param {Object} rules - Ruleset
+ * @returns {Array} - [{ card, rank, suit }], suit null for sets
+ */
+export function wildStandIns(cards, meldInfo, rules = DEFAULT_RULESET) {
+    if (meldInfo.type === 'set') {
+        return cards.filter(c => isWildCard(c, rules)).map(card => ({ card, rank: meldInfo.rank, suit: null }));
     }
 
-    // We can fill gaps with wilds
-    return totalGaps <= wilds.length;
+    const { naturals, wilds } = chooseSequenceSplit(cards, rules);
+    const positions = naturals.length > 0 ? placeSequence(naturals, rules) : null;
+    if (!positions) return [];
+
+    // Count places from the first natural card, whose position is known
+    const sorted = sortSequenceMeld(cards, meldInfo.suit, rules);
+    const start = positions[0].idx - sorted.indexOf(positions[0].card);
+    return sorted
+        .map((card, i) => ({ card, rank: RANKS[(start + i) % SEQUENCE_SPAN], suit: meldInfo.suit }))
+        .filter(({ card }) => wilds.includes(card));
 }
 
 /**
- * Check if replacing a wild card with the natural card is valid
+ * Check that a natural card may take a wild's place in a meld
+ * The natural must be exactly the card the wild stands for (see wildStandIns);
+ * wilds come out of sets only with melds.wildSwapInSets
+ * @returns {Object} - Validation of the meld after the swap, or { valid: false, reason }
  */
-export function canReplaceWild(meld, wildCard, naturalCard, meldInfo) {
-    if (meldInfo.type !== 'sequence') {
-        return { valid: false, reason: 'Wild replacement only applies to sequences' };
+export function canReplaceWild(meld, wildCard, naturalCard, meldInfo, rules = DEFAULT_RULESET) {
+    if (meldInfo.type === 'set' && !rules.melds.wildSwapInSets) {
+        return { valid: false, reason: 'Wild cards cannot be taken back from sets' };
+    }
+
+    const standIn = wildStandIns(meld, meldInfo, rules).find(w => w.card.id === wildCard.id);
+    if (!standIn) {
+        return { valid: false, reason: 'Selected card is not a wild card in this meld' };
+    }
+    if (naturalCard.rank !== standIn.rank || (standIn.suit && naturalCard.suit !== standIn.suit)) {
+        const stood = standIn.suit ? `the ${standIn.rank} of ${standIn.suit}` : `a ${standIn.rank}`;
+        return { valid: false, reason: `That wild stands for ${stood} - only that card can replace it` };
     }
 
-    // The natural card must be the same as what the wild represents
-    // This is complex - for now, allow any valid resulting sequence
-    const newMeld = meld.filter(c => c.id !== wildCard.id).concat([naturalCard, wildCard]);
-    return validateSequence(newMeld);
+    const swapped = meld.filter(c => c.id !== wildCard.id).concat([naturalCard]);
+    return meldInfo.type === 'set' ? validateSet(swapped, rules) : validateSequence(swapped, rules);
 }
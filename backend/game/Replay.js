@@ -0,0 +1,162 @@
+/**
+ * Game replay for Buraco
+ * Rebuilds the table after every event of a game log (see GameState.getGameLog)
+ */
+
+/**
+ * Remove cards (by id) from a list of card ids
+ */
+function removeCards(list, cards) {
+    const ids = new Set(cards.map(c => c.id));
+    return list.filter(id => !ids.has(id));
+}
+
+/**
+ * Insert or update a meld snapshot in a team's melds
+ */
+function upsertMeld(melds, meld) {
+    const entry = { ...meld, cards: meld.cards.map(c => c.id) };
+    const idx = melds.findIndex(m => m.id === meld.id);
+    if (idx === -1) {
+        melds.push(entry);
+    } else {
+        melds[idx] = entry;
+    }
+}
+
+/**
+ * Create the table as it was right after the deal
+ */
+function createInitialTable(deal, playerCount) {
+    const teams = [...new Set(deal.players.map(p => p.team))].sort();
+    return {
+        playerCount,
+        hands: deal.hands.map(hand => hand.map(c => c.id)),
+        drawPile: deal.drawPile.map(c => c.id),
+        discardPile: deal.discardPile.map(c => c.id),
+        pozzetti: deal.pozzetti.map(p => p.map(c => c.id)),
+        melds: Object.fromEntries(teams.map(team => [team, []])),
+        currentSeat: deal.startingSeat,
+        result: null
+    };
+}
+
+/**
+ * Apply one logged event to the table (mutates the table)
+ */
+export function applyEvent(table, event) {
+    const { seat } = event;
+
+    switch (event.type) {
+        case 'draw':
+            table.drawPile = removeCards(table.drawPile, [event.card]);
+            table.hands[seat].unshift(event.card.id);
+            break;
+
+        case 'takeDiscard':
+            table.hands[seat].unshift(...event.cards.map(c => c.id));
+            table.discardPile = removeCards(table.discardPile, event.cards);
+            break;
+
+        case 'meld':
+        case 'extendMeld':
+            table.hands[seat] = removeCards(table.hands[seat], event.cards);
+            upsertMeld(table.melds[event.team], event.meld);
+            break;
+
+        case 'replaceWild':
+            table.hands[seat] = removeCards(table.hands[seat], [event.card]);
+            table.hands[seat].push(event.returnedWild.id);
+            upsertMeld(table.melds[event.team], event.meld);
+            break;
+
+        case 'undo':
+            table.hands[seat] = event.hand.map(c => c.id);
+            table.melds[event.team] = event.melds.map(m => ({ ...m, cards: m.cards.map(c => c.id) }));
+            if (event.discardPile) {
+                table.discardPile = event.discardPile.map(c => c.id); // A pile pickup given back
+            }
+            break;
+
+        case 'pozzetto':
+            table.hands[seat] = event.cards.map(c => c.id);
+            table.pozzetti[event.pozzettoIndex] = [];
+            break;
+
+        case 'discard':
+            table.hands[seat] = removeCards(table.hands[seat], [event.card]);
+            table.discardPile.push(event.card.id);
+            table.currentSeat = (seat + 1) % table.playerCount;
+            break;
+
+        case 'restock':
+            table.drawPile = event.cards.map(c => c.id);
+            table.pozzetti[event.pozzettoIndex] = [];
+            break;
+
+        case 'gameEnd':
+            table.result = { reason: event.reason, scores: event.scores, winner: event.winner };
+            table.currentSeat = null;
+            break;
+
+        default:
+            throw new Error(`Unknown log event: ${event.type}`);
+    }
+
+    return table;
+}
+
+/**
+ * Short summary of an event for the replay frames (without the deal's card lists)
+ */
+function describeEvent(event) {
+    const { type, seq, timestamp, seat, nickname } = event;
+    const summary = { type, seq, timestamp, seat, nickname };
+
+    if (event.card) summary.card = event.card;
+    if (event.cards && type !== 'deal') summary.cards = event.cards;
+    if (event.returnedWild) summary.returnedWild = event.returnedWild;
+    if (event.meld) summary.meldId = event.meld.id;
+    if (event.pozzettoIndex !== undefined) summary.pozzettoIndex = event.pozzettoIndex;
+    if (type === 'pozzetto') Object.assign(summary, { team: event.team, onTheFly: event.onTheFly });
+    if (event.undone) summary.undone = event.undone;
+    if (type === 'gameEnd') Object.assign(summary, { reason: event.reason, winner: event.winner });
+
+    return summary;
+}
+
+/**
+ * Replay a game log into one frame per event
+ * Frames hold card ids; look them up in the returned cards map
+ * @param {Object} gameLog - from GameState.getGameLog()
+ * @returns {Object} - { gameId, round, players, cards, frames: [{ event, table }] }
+ */
+export function replayGame(gameLog) {
+    const [deal, ...events] = gameLog.events;
+    if (!deal || deal.type !== 'deal') {
+        throw new Error('Game log must start with the deal');
+    }
+
+    // Every card in the game is dealt somewhere
+    const cards = {};
+    for (const card of [...deal.hands.flat(), ...deal.pozzetti.flat(), ...deal.drawPile, ...deal.discardPile]) {
+        cards[card.id] = card;
+    }
+
+    const table = createInitialTable(deal, gameLog.playerCount);
+    const frames = [{ event: describeEvent(deal), table: structuredClone(table) }];
+
+    for (const event of events) {
+        applyEvent(table, event);
+        frames.push({ event: describeEvent(event), table: structuredClone(table) });
+    }
+
+    return {
+        gameId: gameLog.gameId,
+        round: gameLog.round,
+        players: gameLog.players,
+        result: gameLog.result,
+        cards,
+        frames
+    };
+}
@@ -2,8 +2,10 @@
  * Room management for Buraco multiplayer
  */
 
-import { dealCards } from './Deck.js';
+import { dealCards, countDeal, normalizeSeed, generateSeed, DEFAULT_HAND_SIZE, DEFAULT_POZZETTO_SIZE } from './Deck.js';
 import GameState from './GameState.js';
+import Match, { DEFAULT_TARGET_SCORE } from './Match.js';
+import { resolveRuleset, DEFAULT_RULESET } from './Ruleset.js';
 
 /**
  * Generate a random 6-character room code
@@ -17,25 +19,183 @@ function generateRoomCode() {
     return code;
 }
 
+/**
+ * Generate a unique id for a computer-controlled player
+ */
+function generateBotId() {
+    return `bot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Match target must be a positive whole number of points
+ */
+function normalizeTargetScore(value) {
+    const target = Number(value);
+    return Number.isInteger(target) && target > 0 ? target : DEFAULT_TARGET_SCORE;
+}
+
+/**
+ * Table sizes a room can be created for
+ */
+export const PLAYER_COUNTS = [2, 3, 4, 6];
+
+/**
+ * Team counts each table size can play with, default first: partnerships
+ * (2 teams, or 3 teams of 2 at six), or everyone alone (one team per player)
+ */
+export const TEAM_COUNTS = { 2: [2], 3: [3], 4: [2, 4], 6: [2, 3, 6] };
+
+// Team ids in seat order (seat % teamCount)
+const TEAM_IDS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Number of teams a table plays with unless the room says otherwise
+ */
+export function defaultTeamCount(maxPlayers) {
+    return TEAM_COUNTS[maxPlayers]?.[0] ?? 2;
+}
+
+/**
+ * Check a room's team count against its table size
+ * @returns {Object} - { success: true, teamCount } or { success: false, reason }
+ */
+export function checkTeamConfig(maxPlayers, roomConfig = {}) {
+    const teamCount = roomConfig.teamCount ?? defaultTeamCount(maxPlayers);
+    const allowed = TEAM_COUNTS[maxPlayers] ?? [];
+    if (!allowed.includes(teamCount)) {
+        return { success: false, reason: `${maxPlayers} players can play as ${allowed.join(' or ')} teams` };
+    }
+    return { success: true, teamCount };
+}
+
+// Allowed cards per hand and per pozzetto
+const DEAL_SIZE_RANGE = [7, 20];
+
+// Smallest draw pile a deal may leave, per player at the table
+const MIN_DRAW_PILE_PER_PLAYER = 5;
+
+// Allowed decks, jokers per deck and pozzetti, with the default for each
+const DECK_OPTIONS = {
+    deckCount: { label: 'Deck count', range: [1, 6], fallback: 3 },
+    jokersPerDeck: { label: 'Jokers per deck', range: [0, 4], fallback: 2 },
+    pozzettoCount: { label: 'Pozzetto count', range: [2, 4], fallback: 2 }
+};
+
+/**
+ * Hand or pozzetto size must be a whole number in DEAL_SIZE_RANGE
+ */
+function normalizeDealSize(value, fallback) {
+    const size = Number(value);
+    const [min, max] = DEAL_SIZE_RANGE;
+    return Number.isInteger(size) && size >= min && size <= max ? size : fallback;
+}
+
+/**
+ * Deck count, jokers per deck or pozzetto count must be a whole number in its DECK_OPTIONS
+ * range; missing values take the default
+ */
+function normalizeDeckOption(key, value, fallback = DECK_OPTIONS[key].fallback) {
+    if (value === undefined || value === null) return DECK_OPTIONS[key].fallback;
+    const count = Number(value);
+    const [min, max] = DECK_OPTIONS[key].range;
+    return Number.isInteger(count) && count >= min && count <= max ? count : fallback;
+}
+
+/**
+ * Check that a room's decks cover every hand, every pozzetto and the first discard,
+ * and still leave a playable draw pile (and that reserved pozzetti go round every team)
+ * @param {number} maxPlayers - Players at the table
+ * @param {Object} roomConfig - Room config as sent by the client (defaults fill the gaps)
+ * @returns {Object} - { success: true, drawPileSize } or { success: false, reason }
+ */
+export function checkDealConfig(maxPlayers, roomConfig = {}) {
+    const [min, max] = DEAL_SIZE_RANGE;
+    for (const [key, label] of [['handSize', 'Hand size'], ['pozzettoSize', 'Pozzetto size']]) {
+        if (roomConfig[key] !== undefined && normalizeDealSize(roomConfig[key], null) === null) {
+            return { success: false, reason: `${label} must be a whole number from ${min} to ${max}` };
+        }
+    }
+
+    for (const [key, { label, range }] of Object.entries(DECK_OPTIONS)) {
+        if (normalizeDeckOption(key, roomConfig[key], null) === null) {
+            return { success: false, reason: `${label} must be a whole number from ${range[0]} to ${range[1]}` };
+        }
+    }
+
+    const deckCount = normalizeDeckOption('deckCount', roomConfig.deckCount);
+    const pozzettoCount = normalizeDeckOption('pozzettoCount', roomConfig.pozzettoCount);
+    const handSize = normalizeDealSize(roomConfig.handSize, DEFAULT_HAND_SIZE);
+    const pozzettoSize = normalizeDealSize(roomConfig.pozzettoSize, DEFAULT_POZZETTO_SIZE);
+    const { totalCards, dealtCards, drawPileSize } = countDeal(
+        maxPlayers, deckCount, normalizeDeckOption('jokersPerDeck', roomConfig.jokersPerDeck), pozzettoCount, { handSize, pozzettoSize }
+    );
+
+    const minDrawPile = maxPlayers * MIN_DRAW_PILE_PER_PLAYER;
+    if (drawPileSize < minDrawPile) {
+        return {
+            success: false,
+            reason: `${deckCount} deck${deckCount === 1 ? '' : 's'} (${totalCards} cards) are not enough: ` +
+                `the hands of ${handSize}, pozzetti of ${pozzettoSize} and first discard take ${dealtCards}, ` +
+                `${drawPileSize > 0 ? `leaving ${drawPileSize} for the draw pile` : 'leaving no draw pile'} (at least ${minDrawPile} needed). ` +
+                'Add a deck, or use fewer pozzetti or smaller hands.'
+        };
+    }
+
+    // Reserved pozzetti need one for every team
+    const teamCount = normalizeTeamCount(maxPlayers, roomConfig);
+    if (normalizeRuleset(roomConfig.ruleset).closing.pozzettoAllocation === 'reserved' && pozzettoCount < teamCount) {
+        return {
+            success: false,
+            reason: `With a pozzetto reserved for each team, ${teamCount} teams need at least ${teamCount} pozzetti`
+        };
+    }
+    return { success: true, drawPileSize };
+}
+
+/**
+ * Team count for the room, falling back to the table's default
+ * (the server rejects bad team counts before a room is created)
+ */
+function normalizeTeamCount(maxPlayers, roomConfig) {
+    const result = checkTeamConfig(maxPlayers, roomConfig);
+    return result.success ? result.teamCount : defaultTeamCount(maxPlayers);
+}
+
+/**
+ * Resolve the room's ruleset, falling back to the default for unusable input
+ * (the server rejects bad rulesets before a room is created)
+ */
+function normalizeRuleset(value) {
+    const result = resolveRuleset(value ?? undefined);
+    return result.success ? result.ruleset : DEFAULT_RULESET;
+}
+
 /**
  * Room class - manages players and game instance
  */
 export default class Room {
     constructor(hostId, hostNickname, hostAvatarId, maxPlayers, roomConfig = {}) {
         this.code = generateRoomCode();
-        this.maxPlayers = maxPlayers; // 2, 4, or 6
-        this.players = new Map(); // socketId -> { nickname, team, seat }
+        this.maxPlayers = maxPlayers; // 2, 3, 4 or 6
+        this.players = new Map(); // socketId -> { nickname, team, seat, isBot, disconnected }
         this.hostId = hostId;
         this.status = 'waiting'; // waiting, playing, finished
         this.game = null;
+        this.match = null;
         this.createdAt = Date.now();
 
         // Room configuration with defaults
         this.config = {
             turnTimer: roomConfig.turnTimer ?? 60,       // seconds (0 = disabled)
-            deckCount: roomConfig.deckCount ?? 3,        // number of decks
-            jokersPerDeck: roomConfig.jokersPerDeck ?? 2,// jokers per deck
-            pozzettoCount: roomConfig.pozzettoCount ?? 2 // number of pozzetti (2-4)
+            deckCount: normalizeDeckOption('deckCount', roomConfig.deckCount),         // number of decks
+            jokersPerDeck: normalizeDeckOption('jokersPerDeck', roomConfig.jokersPerDeck), // jokers per deck
+            pozzettoCount: normalizeDeckOption('pozzettoCount', roomConfig.pozzettoCount), // number of pozzetti (2-4)
+            handSize: normalizeDealSize(roomConfig.handSize, DEFAULT_HAND_SIZE),           // cards per hand
+            pozzettoSize: normalizeDealSize(roomConfig.pozzettoSize, DEFAULT_POZZETTO_SIZE), // cards per pozzetto
+            targetScore: normalizeTargetScore(roomConfig.targetScore), // points to win the match
+            seed: normalizeSeed(roomConfig.seed), // fixed deals for testing/tournaments (null = random)
+            teamCount: normalizeTeamCount(maxPlayers, roomConfig), // teams at the table (maxPlayers = everyone alone)
+            ruleset: normalizeRuleset(roomConfig.ruleset) // preset id or { preset, overrides }
         };
 
         // Add host
@@ -45,13 +205,14 @@ export default class Room {
     /**
      * Add a player to the room
      */
-    addPlayer(socketId, nickname, avatarId = 1, isHost = false) {
-        if (this.players.size >= this.maxPlayers) {
-            return { success: false, reason: 'Room is full' };
+    addPlayer(socketId, nickname, avatarId = 1, isHost = false, isBot = false) {
+        // Once the game has started, only players holding a seat can come back
+        if (this.status !== 'waiting') {
+            return this.rejoinPlayer(socketId, nickname);
         }
 
-        if (this.status !== 'waiting') {
-            return { success: false, reason: 'Game already in progress' };
+        if (this.players.size >= this.maxPlayers) {
+            return { success: false, reason: 'Room is full' };
         }
 
         // Check for duplicate nickname
@@ -69,32 +230,156 @@ export default class Room {
             team,
             seat,
             avatarId: Number.isInteger(Number(avatarId)) ? Number(avatarId) : 1,
-            ready: isHost // Host is auto-ready
+            ready: isHost || isBot, // Host and bots are auto-ready
+            isBot,
+            disconnected: false,
+            disconnectedAt: null
         });
 
         return { success: true, seat, team };
     }
 
     /**
-     * Assign team based on seat number
+     * Give a disconnected player their seat back under a new socket ID
+     * The seat is matched by nickname (case-insensitive)
+     */
+    rejoinPlayer(socketId, nickname) {
+        const entry = Array.from(this.players.entries())
+            .find(([, p]) => p.nickname.toLowerCase() === nickname.toLowerCase());
+
+        if (!entry) {
+            return { success: false, reason: 'Cannot join - game already in progress' };
+        }
+
+        const [oldSocketId, player] = entry;
+        if (!player.disconnected) {
+            return { success: false, reason: 'Player is already connected' };
+        }
+
+        // Re-key the seat, keeping seat order in the map
+        this.players = new Map(Array.from(this.players.entries()).map(([id, p]) =>
+            id === oldSocketId ? [socketId, p] : [id, p]
+        ));
+        if (this.hostId === oldSocketId) {
+            this.hostId = socketId;
+        }
+
+        this.reconnectPlayer(socketId);
+        this.game?.replacePlayerId(oldSocketId, socketId);
+
+        return { success: true, seat: player.seat, team: player.team, oldSocketId, rejoined: true };
+    }
+
+    /**
+     * Mark a player as back online (and take their seat back from a bot)
+     */
+    reconnectPlayer(socketId) {
+        const player = this.players.get(socketId);
+        if (!player) return false;
+
+        player.disconnected = false;
+        player.disconnectedAt = null;
+        if (player.replacedByBot) {
+            player.isBot = false;
+            player.replacedByBot = false;
+        }
+        return true;
+    }
+
+    /**
+     * Hand a disconnected player's seat to a bot so the game can go on
+     */
+    replaceWithBot(socketId) {
+        const player = this.players.get(socketId);
+        if (!player || !player.disconnected || player.isBot) return false;
+
+        player.isBot = true;
+        player.replacedByBot = true;
+        return true;
+    }
+
+    /**
+     * Fill the next empty seat with a computer-controlled player
+     */
+    addBot() {
+        let number = 1;
+        const nicknames = new Set(Array.from(this.players.values()).map(p => p.nickname.toLowerCase()));
+        while (nicknames.has(`bot ${number}`)) number++;
+
+        const botId = generateBotId();
+        const result = this.addPlayer(botId, `Bot ${number}`, (number - 1) % 4 + 1, false, true);
+        if (!result.success) return result;
+
+        return { ...result, botId, nickname: `Bot ${number}` };
+    }
+
+    /**
+     * Remove a bot from the waiting room by seat
+     */
+    removeBot(seat) {
+        if (this.status !== 'waiting') {
+            return { success: false, reason: 'Cannot remove bots after game started' };
+        }
+
+        const entry = Array.from(this.players.entries()).find(([, p]) => p.seat === seat);
+        if (!entry || !entry[1].isBot) {
+            return { success: false, reason: 'Bot not found' };
+        }
+
+        this.removePlayer(entry[0]);
+        return { success: true, botId: entry[0] };
+    }
+
+    /**
+     * Check if a player is computer-controlled
+     */
+    isBot(socketId) {
+        return this.players.get(socketId)?.isBot === true;
+    }
+
+    /**
+     * Check if any human player is still in the room
+     */
+    hasHumanPlayers() {
+        return Array.from(this.players.values()).some(p => !p.isBot);
+    }
+
+    /**
+     * Check if any human player is currently online
+     */
+    hasConnectedPlayers() {
+        return Array.from(this.players.values()).some(p => !p.isBot && !p.disconnected);
+    }
+
+    /**
+     * Whether everyone in this room plays alone (one team per player)
+     */
+    isSoloPlay() {
+        return this.config.teamCount === this.maxPlayers;
+    }
+
+    /**
+     * Assign team based on seat number, so partners alternate around the table
      * For 4 players: 0,2 = Team A (North/South), 1,3 = Team B (East/West)
-     * For 6 players: 0,2,4 = Team A, 1,3,5 = Team B
-     * For 2 players: each is their own team
+     * For 6 players in 2 teams: 0,2,4 = Team A, 1,3,5 = Team B
+     * For 6 players in 3 teams: 0,3 = Team A, 1,4 = Team B, 2,5 = Team C
+     * When everyone plays alone: each seat is its own team (A, B, C, ...)
      */
     assignTeam(seat) {
-        if (this.maxPlayers === 2) {
-            return seat === 0 ? 'A' : 'B';
-        }
-        return seat % 2 === 0 ? 'A' : 'B';
+        return TEAM_IDS[seat % this.config.teamCount];
     }
 
     /**
-     * Swap a player's team (for 4/6 player games)
+     * Move a player to the next team (for 4/6 player partnership games)
+     * With two teams this swaps A and B; with three it goes A -> B -> C -> A
      */
     swapPlayerTeam(seat) {
         if (this.maxPlayers === 2) {
             return { success: false, reason: 'Cannot swap teams in 2-player game' };
         }
+        if (this.isSoloPlay()) {
+            return { success: false, reason: 'Everyone plays alone in this game' };
+        }
 
         if (this.status !== 'waiting') {
             return { success: false, reason: 'Cannot swap teams after game started' };
@@ -116,7 +401,8 @@ export default class Room {
         }
 
         // Swap team
-        targetPlayer.team = targetPlayer.team === 'A' ? 'B' : 'A';
+        const teamIds = TEAM_IDS.slice(0, this.config.teamCount);
+        targetPlayer.team = teamIds[(teamIds.indexOf(targetPlayer.team) + 1) % teamIds.length];
 
         return { success: true };
     }
@@ -128,11 +414,27 @@ export default class Room {
         const player = this.players.get(socketId);
         if (!player) return false;
 
+        // During a game the seat is held so the player can rejoin
+        if (this.status !== 'waiting') {
+            player.disconnected = true;
+            player.disconnectedAt = Date.now();
+            return true;
+        }
+
         this.players.delete(socketId);
 
-        // If host left, assign new host
+        // Close the gap so the next player gets a free seat (solo teams follow the seat)
+        Array.from(this.players.values())
+            .sort((a, b) => a.seat - b.seat)
+            .forEach((p, index) => {
+                p.seat = index;
+                if (this.isSoloPlay()) p.team = this.assignTeam(index);
+            });
+
+        // If host left, assign new host (bots cannot host)
         if (socketId === this.hostId && this.players.size > 0) {
-            this.hostId = this.players.keys().next().value;
+            const nextHost = Array.from(this.players.entries()).find(([, p]) => !p.isBot);
+            this.hostId = nextHost ? nextHost[0] : this.players.keys().next().value;
         }
 
         return true;
@@ -146,7 +448,7 @@ export default class Room {
     }
 
     /**
-     * Start the game
+     * Start the game - begins a new match and deals the first hand
      */
     startGame() {
         if (!this.canStart()) {
@@ -155,28 +457,94 @@ export default class Room {
 
         this.status = 'playing';
 
+        const teamIds = [...new Set(Array.from(this.players.values()).map(p => p.team))].sort();
+        this.match = new Match(teamIds, this.config.targetScore);
+
+        this.dealRound();
+
+        return { success: true, game: this.game };
+    }
+
+    /**
+     * Seed for this round's deal. A seeded room hashes the room seed and the round number so
+     * the match replays hand-for-hand without repeating the same deal; a random room draws a
+     * fresh seed every round, which is never shown to players
+     */
+    getRoundSeed() {
+        if (!Number.isInteger(this.config.seed)) return generateSeed();
+        return normalizeSeed(`${this.config.seed}:${this.match.currentRound}`);
+    }
+
+    /**
+     * Deal a new hand and create its game state
+     * The first player rotates by one seat each round
+     */
+    dealRound() {
         // Deal cards with room config
         const dealt = dealCards(
             this.maxPlayers,
             this.config.deckCount,
             this.config.jokersPerDeck,
-            this.config.pozzettoCount
+            this.config.pozzettoCount,
+            this.getRoundSeed(),
+            { handSize: this.config.handSize, pozzettoSize: this.config.pozzettoSize }
         );
 
+        const players = Array.from(this.players.entries())
+            .map(([socketId, info]) => ({ socketId, ...info }))
+            .sort((a, b) => a.seat - b.seat);
+
         // Create game state
         this.game = new GameState({
             playerCount: this.maxPlayers,
-            players: Array.from(this.players.entries()).map(([socketId, info]) => ({
-                socketId,
-                ...info
-            })),
+            players,
             hands: dealt.hands,
             pozzetti: dealt.pozzetti,
             drawPile: dealt.drawPile,
             discardPile: dealt.discardPile,
-            config: this.config
+            config: this.config,
+            seed: dealt.seed,
+            round: this.match.currentRound,
+            startingPlayerIndex: (this.match.currentRound - 1) % this.maxPlayers,
+            matchTotals: this.match.totals // Opening minimums can rise with the score
         });
 
+        return this.game;
+    }
+
+    /**
+     * Record the finished hand in the match
+     * @returns {Object} - { success, round, matchOver }
+     */
+    finishRound() {
+        if (!this.game || !this.game.isGameOver) {
+            return { success: false, reason: 'Hand is still in progress' };
+        }
+        if (this.game.round !== this.match.currentRound || this.match.isOver) {
+            return { success: false, reason: 'Hand already recorded' };
+        }
+
+        const round = this.match.recordRound(this.game.getGameResult());
+        if (this.match.isOver) {
+            this.status = 'finished';
+        }
+
+        return { success: true, round, matchOver: this.match.isOver };
+    }
+
+    /**
+     * Deal the next hand of the match
+     */
+    startNextRound() {
+        if (this.status !== 'playing' || !this.match || this.match.isOver) {
+            return { success: false, reason: 'No match in progress' };
+        }
+        if (this.game && !this.game.isGameOver) {
+            return { success: false, reason: 'Current hand is still in progress' };
+        }
+
+        this.dealRound();
+
         return { success: true, game: this.game };
     }
 
@@ -190,21 +558,64 @@ export default class Room {
             currentPlayers: this.players.size,
             status: this.status,
             hostNickname: this.players.get(this.hostId)?.nickname,
-            config: this.config,
+            // The seed would reveal every hand, so players only learn that one is set
+            config: { ...this.config, seed: Number.isInteger(this.config.seed) ? 'fixed' : null },
             players: Array.from(this.players.values()).map(p => ({
                 nickname: p.nickname,
                 team: p.team,
                 seat: p.seat,
-                avatarId: p.avatarId
+                avatarId: p.avatarId,
+                isBot: p.isBot,
+                disconnected: p.disconnected
             }))
         };
     }
 
+    /**
+     * Plain snapshot of the room, its match and its game for storage
+     */
+    toJSON() {
+        return {
+            ...this,
+            players: Array.from(this.players.entries()),
+            game: this.game ? this.game.toJSON() : null
+        };
+    }
+
+    /**
+     * Rebuild a room from a toJSON() snapshot
+     */
+    static fromJSON(data) {
+        return Object.assign(Object.create(Room.prototype), data, {
+            // Snapshots saved before rulesets or team counts existed used the defaults
+            config: {
+                ...data.config,
+                ruleset: data.config.ruleset ?? DEFAULT_RULESET,
+                teamCount: data.config.teamCount ?? defaultTeamCount(data.maxPlayers)
+            },
+            players: new Map(data.players),
+            game: data.game ? GameState.fromJSON(data.game) : null,
+            match: data.match ? Match.fromJSON(data.match) : null
+        });
+    }
+
     /**
      * Get game state for a specific player
      */
     getPlayerView(socketId) {
         if (!this.game) return null;
-        return this.game.getPlayerView(socketId);
+        const view = this.game.getPlayerView(socketId);
+        if (!view) return null;
+        // Seat status changes during the hand, so read it from the room
+        const bySeat = new Map(Array.from(this.players.values()).map(p => [p.seat, p]));
+        return {
+            ...view,
+            players: view.players.map(p => ({
+                ...p,
+                isBot: bySeat.get(p.seat)?.isBot === true,
+                disconnected: bySeat.get(p.seat)?.disconnected === true
+            })),
+            match: this.match?.getSummary() || null
+        };
     }
 }
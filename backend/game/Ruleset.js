@@ -0,0 +1,274 @@
+/**
+ * Rulesets for Buraco variants
+ * A ruleset is chosen when the room is created: a named preset plus optional
+ * overrides. Meld validation, turn flow and scoring all read from it.
+ */
+
+/**
+ * Built-in presets
+ * - melds: sizes and wild card limits used by MeldValidator
+ * - drawing: how much of the discard pile a player may take, on what terms, and what
+ *   happens when the draw pile runs out
+ * - opening: points a team's first melds must total, by the team's match score
+ * - closing: which pozzetti a team may pick up and when, and what it needs before it may close
+ * - scoring: bonus and penalty points used by Scoring (null = no separate bonus)
+ */
+export const RULESET_PRESETS = {
+    indian: {
+        id: 'indian',
+        name: 'Indian (current)',
+        melds: {
+            minSize: 3,
+            maxSize: 7,        // null = no upper limit
+            burracoSize: 7,
+            maxWilds: 1,       // null = any number, as long as wilds never outnumber naturals
+            twosWild: false,   // 2s are plain cards
+            aceAround: false,  // true = sequences may wrap past the Ace (Q-K-A-2-3)
+            // A wild in a sequence may be swapped for the natural card it stands for;
+            // wildSwapInSets allows the same in sets (any card of the set's rank)
+            wildSwapInSets: false,
+            returnedWild: 'free' // 'free' = keep the swapped-out wild, 'meldThisTurn' = meld it before discarding
+        },
+        drawing: {
+            // 'wholePile' = take it all, 'topCard' = take only the top card,
+            // 'mustMeldTop' = take it all but meld the top card before discarding
+            discardPickup: 'wholePile',
+            // When the draw pile runs out: 'discardPile' = the player must take the discard pile,
+            // 'pozzetto' = an unclaimed pozzetto (never one a team is still owed) becomes the draw pile first, 'endHand' = score now.
+            // The hand also ends when the player cannot take the pile, or nobody adds to the table
+            // for two full rounds (stalemate)
+            emptyStock: 'discardPile'
+        },
+        opening: {
+            // [{ fromScore, minPoints }] - the last entry the team's match total has reached
+            // applies, e.g. 50 to start, 90 from 1500; empty = any meld opens
+            thresholds: []
+        },
+        closing: {
+            // 'shared' = any team may take any pozzetto, 'reserved' = pozzetto i belongs to
+            // the i-th team (by team id; with more pozzetti than teams they are dealt round)
+            pozzettoAllocation: 'shared',
+            maxPozzettiPerTeam: null, // null = keep taking pozzetti while any are left
+            pozzettoOnTheFly: true,   // melding out picks up the pozzetto mid-turn; false = only after discarding
+            requirePozzetto: false,   // team must have picked up a pozzetto to close
+            requireBurraco: false,    // team must have a burraco to close
+            requireCleanBurraco: false
+        },
+        scoring: {
+            cleanBurraco: 200,
+            dirtyBurraco: 200,
+            sameRankBurraco: 100,
+            goingOut: 50,
+            pozzetto: 50,              // per pozzetto taken
+            burracoCardValues: false,  // burracos score their bonus only
+            missedPozzetto: 0          // penalty for a team that never picked up a pozzetto
+        }
+    },
+    italian: {
+        id: 'italian',
+        name: 'Italian classic',
+        melds: {
+            minSize: 3,
+            maxSize: null,
+            burracoSize: 7,
+            maxWilds: 1,
+            twosWild: true,    // 2s are wild (pinella) except in their natural place
+            aceAround: false,
+            wildSwapInSets: false,
+            returnedWild: 'free'
+        },
+        drawing: {
+            discardPickup: 'wholePile',
+            emptyStock: 'endHand'
+        },
+        opening: {
+            thresholds: []
+        },
+        closing: {
+            pozzettoAllocation: 'reserved',
+            maxPozzettiPerTeam: 1,
+            pozzettoOnTheFly: true,
+            requirePozzetto: true,
+            requireBurraco: true,
+            requireCleanBurraco: false
+        },
+        scoring: {
+            cleanBurraco: 200,
+            dirtyBurraco: 100,
+            sameRankBurraco: null,
+            goingOut: 100,
+            pozzetto: 0,
+            burracoCardValues: true,
+            missedPozzetto: 100
+        }
+    }
+};
+
+export const DEFAULT_RULESET_ID = 'indian';
+
+/**
+ * Allowed values for every rule that can be overridden
+ * [min, max] for whole numbers, boolean for on/off rules, options for named modes,
+ * thresholds for score-dependent lists; nullable rules also accept null
+ */
+const RULE_LIMITS = {
+    melds: {
+        minSize: { range: [3, 7] },
+        maxSize: { range: [3, 14], nullable: true },
+        burracoSize: { range: [5, 14] },
+        maxWilds: { range: [0, 4], nullable: true },
+        twosWild: { boolean: true },
+        aceAround: { boolean: true },
+        wildSwapInSets: { boolean: true },
+        returnedWild: { options: ['free', 'meldThisTurn'] }
+    },
+    drawing: {
+        discardPickup: { options: ['wholePile', 'topCard', 'mustMeldTop'] },
+        emptyStock: { options: ['discardPile', 'pozzetto', 'endHand'] }
+    },
+    opening: {
+        thresholds: { thresholds: { maxEntries: 5, fromScore: [0, 10000], minPoints: [0, 500] } }
+    },
+    closing: {
+        pozzettoAllocation: { options: ['shared', 'reserved'] },
+        maxPozzettiPerTeam: { range: [1, 4], nullable: true },
+        pozzettoOnTheFly: { boolean: true },
+        requirePozzetto: { boolean: true },
+        requireBurraco: { boolean: true },
+        requireCleanBurraco: { boolean: true }
+    },
+    scoring: {
+        cleanBurraco: { range: [0, 1000] },
+        dirtyBurraco: { range: [0, 1000] },
+        sameRankBurraco: { range: [0, 1000], nullable: true },
+        goingOut: { range: [0, 1000] },
+        pozzetto: { range: [0, 1000] },
+        burracoCardValues: { boolean: true },
+        missedPozzetto: { range: [0, 1000] }
+    }
+};
+
+/**
+ * Check a list of { fromScore, minPoints } entries (whole numbers, rising fromScore)
+ */
+function checkThresholds(name, value, { maxEntries, fromScore, minPoints }) {
+    if (!Array.isArray(value) || value.length > maxEntries) {
+        return `Rule ${name} must be a list of up to ${maxEntries} { fromScore, minPoints } entries`;
+    }
+
+    const inRange = (n, [min, max]) => Number.isInteger(n) && n >= min && n <= max;
+    for (let i = 0; i < value.length; i++) {
+        const entry = value[i];
+        if (!inRange(entry?.fromScore, fromScore) || !inRange(entry?.minPoints, minPoints)) {
+            return `Rule ${name} needs whole numbers: fromScore ${fromScore[0]}-${fromScore[1]}, minPoints ${minPoints[0]}-${minPoints[1]}`;
+        }
+        if (i > 0 && entry.fromScore <= value[i - 1].fromScore) {
+            return `Rule ${name} must be in rising fromScore order`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check one override value against its limits
+ */
+function checkRule(section, key, value) {
+    const limits = RULE_LIMITS[section]?.[key];
+    if (!limits) {
+        return `Unknown rule: ${section}.${key}`;
+    }
+    if (value === null) {
+        return limits.nullable ? null : `Rule ${section}.${key} cannot be empty`;
+    }
+    if (limits.boolean) {
+        return typeof value === 'boolean' ? null : `Rule ${section}.${key} must be true or false`;
+    }
+    if (limits.thresholds) {
+        return checkThresholds(`${section}.${key}`, value, limits.thresholds);
+    }
+    if (limits.options) {
+        return limits.options.includes(value) ? null : `Rule ${section}.${key} must be one of: ${limits.options.join(', ')}`;
+    }
+
+    const [min, max] = limits.range;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return `Rule ${section}.${key} must be a whole number from ${min} to ${max}`;
+    }
+    return null;
+}
+
+/**
+ * Copy a preset so rooms never share (or change) the built-in objects
+ */
+function copyRuleset(ruleset) {
+    return JSON.parse(JSON.stringify(ruleset));
+}
+
+/**
+ * Build the ruleset for a room
+ * @param {string|Object} input - preset id, or { preset, overrides } where overrides
+ *   is shaped like a ruleset, e.g. { melds: { maxSize: null } }
+ * @returns {Object} - { success, ruleset } or { success: false, reason }
+ */
+export function resolveRuleset(input = DEFAULT_RULESET_ID) {
+    const { preset = DEFAULT_RULESET_ID, overrides = {} } =
+        typeof input === 'string' ? { preset: input } : (input ?? {});
+
+    if (!Object.hasOwn(RULESET_PRESETS, preset)) {
+        return { success: false, reason: `Unknown ruleset: ${preset}` };
+    }
+
+    const ruleset = copyRuleset(RULESET_PRESETS[preset]);
+    let changed = false;
+
+    for (const [section, values] of Object.entries(overrides ?? {})) {
+        if (!Object.hasOwn(RULE_LIMITS, section) || typeof values !== 'object' || values === null) {
+            return { success: false, reason: `Unknown rule section: ${section}` };
+        }
+
+        for (const [key, value] of Object.entries(values)) {
+            const error = checkRule(section, key, value);
+            if (error) {
+                return { success: false, reason: error };
+            }
+            // Compared by content so list rules equal to the preset's are not "custom"
+            if (JSON.stringify(ruleset[section][key]) !== JSON.stringify(value)) {
+                ruleset[section][key] = value;
+                changed = true;
+            }
+        }
+    }
+
+    const { minSize, maxSize, burracoSize } = ruleset.melds;
+    if (maxSize !== null && (maxSize < minSize || maxSize < burracoSize)) {
+        return { success: false, reason: 'Maximum meld size must allow a burraco' };
+    }
+    if (burracoSize < minSize) {
+        return { success: false, reason: 'Burraco size cannot be smaller than the minimum meld size' };
+    }
+
+    if (changed) {
+        ruleset.name = `${ruleset.name} (custom)`;
+        ruleset.custom = true;
+    }
+
+    return { success: true, ruleset };
+}
+
+/**
+ * Points a team's opening melds must total, given the team's match score so far
+ * @returns {number} - 0 when the ruleset has no opening minimum
+ */
+export function openingMinPoints(rules, teamScore = 0) {
+    const thresholds = rules.opening?.thresholds ?? [];
+    let minPoints = 0;
+    for (const { fromScore, minPoints: points } of thresholds) {
+        if (teamScore >= fromScore) minPoints = points;
+    }
+    return minPoints;
+}
+
+/**
+ * Ruleset used when none is given (the rules this game was built with)
+ */
+export const DEFAULT_RULESET = resolveRuleset().ruleset;
@@ -3,18 +3,12 @@
  */
 
 import { calculateCardsValue } from './Deck.js';
+import { DEFAULT_RULESET } from './Ruleset.js';
 
-/**
- * Bonus points
- */
-const BONUSES = {
-    CLEAN_BURRACO: 200,
-    DIRTY_BURRACO: 200,
-    SEMI_CLEAN_BURRACO: 200,
-    SAME_RANK_BURRACO: 100,  // All same rank (e.g., 3333333)
-    GOING_OUT: 50,
-    POZZETTO_BONUS: 50  // +50 for each pozzetto taken
-};
+// Bonus points come from ruleset.scoring (see Ruleset.js):
+// cleanBurraco, dirtyBurraco, sameRankBurraco (e.g. 3333333, null = scored as clean/dirty),
+// goingOut and pozzetto (+N for each pozzetto taken); burracoCardValues adds the cards of
+// burracos on top of their bonus, and missedPozzetto is taken off a team that never picked one up
 
 /**
  * Check if all cards in a meld have the same rank (wild cards are ignored)
@@ -30,9 +24,11 @@ function isSameRankMeld(cards) {
 /**
  * Calculate score for a team's melds
  */
-export function calculateMeldScore(melds) {
+export function calculateMeldScore(melds, rules = DEFAULT_RULESET) {
+    const bonuses = rules.scoring;
     let score = 0;
-    let regularMeldPoints = 0;  // Card values from non-burraco melds (3-6 cards)
+    let regularMeldPoints = 0;  // Card values from non-burraco melds
+    let burracoCardPoints = 0;  // Card values from burracos (only when the ruleset counts them)
     let cleanBurracos = 0;
     let dirtyBurracos = 0;
     let sameRankBurracos = 0;
@@ -41,19 +37,23 @@ export function calculateMeldScore(melds) {
         const cardValue = calculateCardsValue(meld.cards);
 
         if (meld.isBurraco) {
-            // Burraco meld (7+ cards) - ONLY bonus, no card values
-            if (isSameRankMeld(meld.cards)) {
-                score += BONUSES.SAME_RANK_BURRACO;
+            // Burraco meld - bonus, plus card values if the ruleset counts them
+            if (bonuses.burracoCardValues) {
+                burracoCardPoints += cardValue;
+                score += cardValue;
+            }
+            if (bonuses.sameRankBurraco !== null && isSameRankMeld(meld.cards)) {
+                score += bonuses.sameRankBurraco;
                 sameRankBurracos++;
             } else if (meld.isClean) {
-                score += BONUSES.CLEAN_BURRACO;
+                score += bonuses.cleanBurraco;
                 cleanBurracos++;
             } else {
-                score += BONUSES.DIRTY_BURRACO;
+                score += bonuses.dirtyBurraco;
                 dirtyBurracos++;
             }
         } else {
-            // Regular meld (3-6 cards) - card values only
+            // Regular meld - card values only
             regularMeldPoints += cardValue;
             score += cardValue;
         }
@@ -62,9 +62,13 @@ export function calculateMeldScore(melds) {
     return { 
         score, 
         regularMeldPoints,
+        burracoCardPoints,
         cleanBurracos, 
         dirtyBurracos, 
-        sameRankBurracos 
+        sameRankBurracos,
+        cleanBurracoPoints: cleanBurracos * bonuses.cleanBurraco,
+        dirtyBurracoPoints: dirtyBurracos * bonuses.dirtyBurraco,
+        sameRankBurracoPoints: sameRankBurracos * (bonuses.sameRankBurraco ?? 0)
     };
 }
 
@@ -82,11 +86,11 @@ export function calculateHandPenalty(hands) {
 /**
  * Calculate final score for a team at end of round
  */
-export function calculateTeamScore(team) {
+export function calculateTeamScore(team, rules = DEFAULT_RULESET) {
     const { melds, hands, pozzettoCount = 0, wentOut } = team;
 
     // Score from melds
-    const meldResult = calculateMeldScore(melds);
+    const meldResult = calculateMeldScore(melds, rules);
     let totalScore = meldResult.score;
 
     // Penalty for cards in hand
@@ -94,35 +98,50 @@ export function calculateTeamScore(team) {
 
     // Bonus for going out
     if (wentOut) {
-        totalScore += BONUSES.GOING_OUT;
+        totalScore += rules.scoring.goingOut;
     }
 
-    // Bonus for pozzetti taken (+50 per pozzetto)
-    const pozzettoBonus = pozzettoCount * BONUSES.POZZETTO_BONUS;
+    // Bonus for pozzetti taken, penalty for never picking one up
+    const pozzettoBonus = pozzettoCount * rules.scoring.pozzetto;
     totalScore += pozzettoBonus;
+    const missedPozzettoPenalty = pozzettoCount === 0 ? -(rules.scoring.missedPozzetto ?? 0) : 0;
+    totalScore += missedPozzettoPenalty;
 
     return {
         totalScore,
         regularMeldPoints: meldResult.regularMeldPoints,
+        burracoCardPoints: meldResult.burracoCardPoints,
         handPenalty: calculateHandPenalty(hands),
         cleanBurracos: meldResult.cleanBurracos,
         dirtyBurracos: meldResult.dirtyBurracos,
         sameRankBurracos: meldResult.sameRankBurracos,
-        wentOutBonus: wentOut ? BONUSES.GOING_OUT : 0,
-        pozzettoBonus: pozzettoBonus
+        cleanBurracoPoints: meldResult.cleanBurracoPoints,
+        dirtyBurracoPoints: meldResult.dirtyBurracoPoints,
+        sameRankBurracoPoints: meldResult.sameRankBurracoPoints,
+        wentOutBonus: wentOut ? rules.scoring.goingOut : 0,
+        pozzettoBonus: pozzettoBonus,
+        missedPozzettoPenalty
     };
 }
 
 /**
- * Check if game should end (team reaches 2000+ points)
+ * Check if game should end (team reaches the target, 2000+ points by default)
+ * If several teams pass the target the highest total wins; a tie at the top
+ * keeps the match going for another hand
  */
-export function checkGameEnd(teamScores) {
-    for (const [teamId, score] of Object.entries(teamScores)) {
-        if (score >= 2000) {
-            return { ended: true, winner: teamId, score };
-        }
+export function checkGameEnd(teamScores, targetScore = 2000) {
+    const reached = Object.values(teamScores).some(score => score >= targetScore);
+    if (!reached) {
+        return { ended: false };
     }
-    return { ended: false };
+
+    const { winner, winnerScore } = determineWinner(teamScores);
+    const leaders = Object.values(teamScores).filter(score => score === winnerScore);
+    if (leaders.length > 1) {
+        return { ended: false, tie: true };
+    }
+
+    return { ended: true, winner, score: winnerScore };
 }
 
 /**
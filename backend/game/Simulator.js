@@ -0,0 +1,413 @@
+/**
+ * Headless game simulator for Buraco
+ * Plays complete hands against Room/GameState with random-legal players
+ * and reports crashes, stuck games, broken invariants and statistics
+ */
+
+import Room, { checkDealConfig, defaultTeamCount, TEAM_COUNTS } from './Room.js';
+import { validateMeld, canExtendMeld, wildStandIns } from './MeldValidator.js';
+import { findMelds } from './Bot.js';
+import { createRng } from './Deck.js';
+import { DEFAULT_RULESET_ID } from './Ruleset.js';
+
+export { createRng };
+
+export const PLAYER_COUNTS = [2, 3, 4, 6];
+export const DECK_COUNTS = [2, 3, 4];
+export const JOKERS_PER_DECK = [0, 2, 4];
+export const POZZETTO_COUNTS = [2, 3, 4];
+export const RULESETS = [DEFAULT_RULESET_ID];
+
+const DEFAULT_MAX_TURNS = 1000;
+const MAX_ACTIONS_PER_TURN = 50;
+const MAX_REPORTED_PROBLEMS = 20;
+
+function pick(items, rng) {
+    return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Every combination of player count, deck options and ruleset preset
+ * that a room accepts (the decks must leave a playable draw pile)
+ * Tables play with their default teams unless allTeamCounts is set
+ */
+export function allConfigs({
+    playerCounts = PLAYER_COUNTS,
+    allTeamCounts = false,
+    deckCounts = DECK_COUNTS,
+    jokersPerDeck = JOKERS_PER_DECK,
+    pozzettoCounts = POZZETTO_COUNTS,
+    rulesets = RULESETS
+} = {}) {
+    const configs = [];
+    for (const ruleset of rulesets) {
+        for (const playerCount of playerCounts) {
+            const teamCounts = allTeamCounts ? TEAM_COUNTS[playerCount] ?? [] : [defaultTeamCount(playerCount)];
+            for (const teamCount of teamCounts) {
+                for (const deckCount of deckCounts) {
+                    for (const jokers of jokersPerDeck) {
+                        for (const pozzettoCount of pozzettoCounts) {
+                            const config = { playerCount, deckCount, jokersPerDeck: jokers, pozzettoCount, ruleset };
+                            if (teamCount !== defaultTeamCount(playerCount)) config.teamCount = teamCount;
+                            if (checkDealConfig(playerCount, config).success) {
+                                configs.push(config);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return configs;
+}
+
+/**
+ * Short label for a config, e.g. "4p 3d 2j 2z" (non-default team counts and rulesets are added)
+ */
+export function describeConfig(config) {
+    const players = `${config.playerCount}p${config.teamCount ? ` ${config.teamCount}t` : ''}`;
+    const label = `${players} ${config.deckCount}d ${config.jokersPerDeck}j ${config.pozzettoCount}z`;
+    return config.ruleset && config.ruleset !== DEFAULT_RULESET_ID ? `${label} ${config.ruleset}` : label;
+}
+
+/**
+ * Collect every card the game knows about, zone by zone
+ */
+function collectCards(game) {
+    return {
+        hands: Array.from(game.hands.values()).flat(),
+        drawPile: game.drawPile,
+        discardPile: game.discardPile,
+        pozzetti: game.pozzetti.flat(),
+        melds: Object.values(game.teams).flatMap(team => team.melds.flatMap(m => m.cards))
+    };
+}
+
+/**
+ * Count cards per zone (used to check that rejected actions change nothing)
+ */
+function zoneCounts(game) {
+    const zones = collectCards(game);
+    return Object.keys(zones).map(zone => zones[zone].length).join(',');
+}
+
+/**
+ * Check the engine invariants for a game in progress
+ * @param {GameState} game - Game to check
+ * @param {number} totalCards - Number of cards dealt from the deck
+ * @returns {Array} - List of violation messages (empty when all hold)
+ */
+export function checkInvariants(game, totalCards) {
+    const violations = [];
+    const zones = collectCards(game);
+    const allCards = Object.values(zones).flat();
+
+    if (allCards.some(card => !card)) {
+        violations.push('Missing card object in a pile, hand or meld');
+    }
+
+    if (allCards.length !== totalCards) {
+        violations.push(`Card count changed: expected ${totalCards}, found ${allCards.length}`);
+    }
+
+    const ids = allCards.filter(Boolean).map(card => card.id);
+    if (new Set(ids).size !== ids.length) {
+        violations.push('Duplicate card id in play');
+    }
+
+    for (const [teamId, team] of Object.entries(game.teams)) {
+        for (const meld of team.melds) {
+            if (!validateMeld(meld.cards.filter(Boolean), game.rules).valid) {
+                violations.push(`Team ${teamId} has an invalid meld: ${meld.cards.map(c => c?.id).join(' ')}`);
+            }
+        }
+    }
+
+    if (!['draw', 'meld', 'discard'].includes(game.currentPhase)) {
+        violations.push(`Unknown phase "${game.currentPhase}"`);
+    }
+
+    if (!game.getCurrentPlayerId()) {
+        violations.push(`Current player index ${game.currentPlayerIndex} out of range`);
+    }
+
+    return violations;
+}
+
+/**
+ * List the meld-phase moves available to a player
+ */
+function meldPhaseMoves(game, playerId) {
+    const hand = game.hands.get(playerId);
+    const player = game.players.find(p => p.socketId === playerId);
+    const teamMelds = game.teams[player.team].melds;
+    const moves = [];
+
+    for (const cards of findMelds(hand, game.rules)) {
+        moves.push({ type: 'meld', cardIds: cards.map(c => c.id) });
+    }
+
+    for (const meld of teamMelds) {
+        for (const card of hand) {
+            if (canExtendMeld(meld.cards, [card], meld, game.rules).valid) {
+                moves.push({ type: 'extendMeld', meldId: meld.id, cardIds: [card.id] });
+            }
+        }
+
+        for (const { card: wild, rank, suit } of wildStandIns(meld.cards, meld, game.rules)) {
+            for (const card of hand) {
+                if (card.rank === rank && (!suit || card.suit === suit)) {
+                    moves.push({ type: 'replaceWild', meldId: meld.id, wildCardId: wild.id, naturalCardId: card.id });
+                }
+            }
+        }
+    }
+
+    return moves;
+}
+
+/**
+ * Apply a move through the GameState API
+ */
+function applyMove(game, playerId, move) {
+    switch (move.type) {
+        case 'drawFromPile': return game.drawFromPile(playerId);
+        case 'takeDiscardPile': return game.takeDiscardPile(playerId);
+        case 'meld': return game.playMeld(playerId, move.cardIds);
+        case 'extendMeld': return game.extendMeld(playerId, move.meldId, move.cardIds);
+        case 'replaceWild': return game.replaceWildInMeld(playerId, move.meldId, move.wildCardId, move.naturalCardId);
+        case 'discard': return game.discard(playerId, move.cardId);
+        case 'undo': return game.undoLastMove(playerId);
+        default: return { success: false, reason: `Unknown move ${move.type}` };
+    }
+}
+
+/**
+ * Choose a random legal-looking move for the current player
+ * Returns null when the player has nothing they could possibly do
+ */
+function chooseMove(game, playerId, rng) {
+    const hand = game.hands.get(playerId);
+
+    if (game.currentPhase === 'draw') {
+        const options = [];
+        if (game.drawPile.length > 0) options.push({ type: 'drawFromPile' });
+        if (game.discardPile.length > 0) options.push({ type: 'takeDiscardPile' });
+        if (options.length === 0) return null;
+        // Favour the stock like most players do
+        return options.length > 1 && rng() < 0.7 ? options[0] : pick(options, rng);
+    }
+
+    // A pile taken on condition of melding its top card has to be settled first
+    const pickupPlay = game.findPickupPlay(playerId);
+    if (pickupPlay) {
+        return pickupPlay.meldId
+            ? { type: 'extendMeld', meldId: pickupPlay.meldId, cardIds: pickupPlay.cardIds }
+            : { type: 'meld', cardIds: pickupPlay.cardIds };
+    }
+
+    const moves = meldPhaseMoves(game, playerId);
+    if (moves.length > 0 && rng() < 0.6) {
+        return pick(moves, rng);
+    }
+
+    if (hand.length === 0) return moves.length > 0 ? pick(moves, rng) : null;
+
+    // Opening melds short of the minimum are taken back instead of discarding
+    const team = game.teams[game.players.find(p => p.socketId === playerId).team];
+    if (game.checkOpening(team)) return { type: 'undo' };
+
+    return { type: 'discard', cardId: pick(hand, rng).id };
+}
+
+/**
+ * Play one complete hand with random-legal players
+ * @param {Object} config - { playerCount, deckCount, jokersPerDeck, pozzettoCount, ruleset }
+ * @param {Object} options - { rng, maxTurns }
+ * @returns {Object} - { status, reason, turns, actions, scores, endReason, dealSeed }
+ *   status is 'finished', 'stuck', 'crashed' or 'invariant'
+ */
+export function simulateGame(config, { rng = Math.random, maxTurns = DEFAULT_MAX_TURNS } = {}) {
+    const outcome = { config, status: 'finished', reason: null, turns: 0, actions: 0, scores: null, endReason: null, dealSeed: null };
+    let game = null;
+
+    try {
+        const room = new Room('sim-player-0', 'Player 1', 1, config.playerCount, {
+            turnTimer: 0,
+            deckCount: config.deckCount,
+            jokersPerDeck: config.jokersPerDeck,
+            pozzettoCount: config.pozzettoCount,
+            ruleset: config.ruleset,
+            teamCount: config.teamCount,
+            seed: Math.floor(rng() * 0x100000000) // Deal comes from the run's seed too
+        });
+        for (let i = 1; i < config.playerCount; i++) {
+            room.addPlayer(`sim-player-${i}`, `Player ${i + 1}`, 1);
+        }
+
+        const started = room.startGame();
+        if (!started.success) {
+            return { ...outcome, status: 'crashed', reason: `Could not start: ${started.reason}` };
+        }
+
+        game = room.game;
+        outcome.dealSeed = game.seed;
+        const totalCards = config.deckCount * (52 + config.jokersPerDeck);
+
+        const dealViolations = checkInvariants(game, totalCards);
+        if (dealViolations.length > 0) {
+            return { ...outcome, status: 'invariant', reason: `After deal: ${dealViolations[0]}` };
+        }
+
+        let turnActions = 0;
+        let lastTurn = game.turnCount;
+
+        while (!game.isGameOver) {
+            if (game.turnCount >= maxTurns) {
+                return {
+                    ...outcome, status: 'stuck', turns: game.turnCount,
+                    reason: `No winner after ${maxTurns} turns (draw pile ${game.drawPile.length}, discard pile ${game.discardPile.length})`
+                };
+            }
+
+            const playerId = game.getCurrentPlayerId();
+            const move = chooseMove(game, playerId, rng);
+            if (!move) {
+                return {
+                    ...outcome, status: 'stuck', turns: game.turnCount,
+                    reason: `No legal move in ${game.currentPhase} phase (hand ${game.hands.get(playerId).length}, draw pile ${game.drawPile.length})`
+                };
+            }
+
+            const before = zoneCounts(game);
+            const result = applyMove(game, playerId, move);
+            outcome.actions++;
+
+            if (!result.success && zoneCounts(game) !== before) {
+                return { ...outcome, status: 'invariant', turns: game.turnCount, reason: `Rejected ${move.type} changed the table: ${result.reason}` };
+            }
+
+            const violations = checkInvariants(game, totalCards);
+            if (violations.length > 0) {
+                return { ...outcome, status: 'invariant', turns: game.turnCount, reason: `After ${move.type}: ${violations[0]}` };
+            }
+
+            turnActions = game.turnCount === lastTurn ? turnActions + 1 : 0;
+            lastTurn = game.turnCount;
+            if (turnActions > MAX_ACTIONS_PER_TURN) {
+                return { ...outcome, status: 'stuck', turns: game.turnCount, reason: `Turn did not end after ${MAX_ACTIONS_PER_TURN} actions` };
+            }
+        }
+
+        return { ...outcome, turns: game.turnCount, scores: { ...game.scores }, endReason: game.endReason };
+    } catch (err) {
+        return { ...outcome, status: 'crashed', turns: game?.turnCount || 0, reason: err.stack || err.message };
+    }
+}
+
+/**
+ * Summarise finished games for one config
+ */
+function summarize(results) {
+    const finished = results.filter(r => r.status === 'finished');
+    const teamScores = finished.flatMap(r => Object.values(r.scores));
+    const margins = finished.map(r => {
+        const scores = Object.values(r.scores);
+        return Math.max(...scores) - Math.min(...scores);
+    });
+    const average = values => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+
+    return {
+        games: results.length,
+        finished: finished.length,
+        stuck: results.filter(r => r.status === 'stuck').length,
+        crashed: results.filter(r => r.status === 'crashed').length,
+        invariantFailures: results.filter(r => r.status === 'invariant').length,
+        avgTurns: average(finished.map(r => r.turns)),
+        avgActions: average(finished.map(r => r.actions)),
+        scoreSpread: {
+            min: teamScores.length ? Math.min(...teamScores) : 0,
+            max: teamScores.length ? Math.max(...teamScores) : 0,
+            avgMargin: average(margins)
+        }
+    };
+}
+
+/**
+ * Run many games across configs and build a report
+ * @param {Object} options - { gamesPerConfig, configs, seed, maxTurns, onProgress }
+ * @returns {Object} - Totals, per-config summaries and example problems
+ */
+export function runSimulations({
+    gamesPerConfig = 10,
+    configs = allConfigs(),
+    seed = Date.now(),
+    maxTurns = DEFAULT_MAX_TURNS,
+    onProgress = null
+} = {}) {
+    const rng = createRng(seed);
+    const allResults = [];
+    const byConfig = [];
+    const problems = [];
+
+    for (const config of configs) {
+        const results = [];
+        for (let i = 0; i < gamesPerConfig; i++) {
+            const result = simulateGame(config, { rng, maxTurns });
+            results.push(result);
+
+            if (result.status !== 'finished' && problems.length < MAX_REPORTED_PROBLEMS) {
+                problems.push({
+                    config: describeConfig(config),
+                    status: result.status,
+                    turn: result.turns,
+                    dealSeed: result.dealSeed,
+                    reason: result.reason
+                });
+            }
+        }
+
+        allResults.push(...results);
+        byConfig.push({ config, ...summarize(results) });
+        onProgress?.(byConfig[byConfig.length - 1]);
+    }
+
+    return { seed, ...summarize(allResults), byConfig, problems };
+}
+
+/**
+ * Format a report as a plain-text table
+ */
+export function formatReport(report) {
+    const lines = [];
+    const pad = (value, width) => String(value).padStart(width);
+
+    const labelWidth = Math.max(13, ...report.byConfig.map(row => describeConfig(row.config).length));
+
+    lines.push(`Seed: ${report.seed}`);
+    lines.push('');
+    lines.push('Config'.padEnd(labelWidth) + '  Games  Done  Stuck  Crash  Invar  AvgTurns  MinScore  MaxScore  AvgMargin');
+    for (const row of report.byConfig) {
+        lines.push([
+            describeConfig(row.config).padEnd(labelWidth),
+            pad(row.games, 6), pad(row.finished, 5), pad(row.stuck, 6), pad(row.crashed, 6), pad(row.invariantFailures, 6),
+            pad(row.avgTurns, 9), pad(row.scoreSpread.min, 9), pad(row.scoreSpread.max, 9), pad(row.scoreSpread.avgMargin, 10)
+        ].join(' '));
+    }
+
+    lines.push('');
+    lines.push(`Total: ${report.games} games, ${report.finished} finished, ${report.stuck} stuck, ` +
+        `${report.crashed} crashed, ${report.invariantFailures} invariant failures`);
+    lines.push(`Average length: ${report.avgTurns} turns (${report.avgActions} actions), ` +
+        `scores ${report.scoreSpread.min} to ${report.scoreSpread.max}, average margin ${report.scoreSpread.avgMargin}`);
+
+    if (report.problems.length > 0) {
+        lines.push('');
+        lines.push('Problems (first ' + report.problems.length + '):');
+        for (const problem of report.problems) {
+            lines.push(`  [${problem.status}] ${problem.config} deal seed ${problem.dealSeed} turn ${problem.turn}: ${problem.reason.split('\n')[0]}`);
+        }
+    }
+
+    return lines.join('\n');
+}
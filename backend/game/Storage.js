@@ -0,0 +1,154 @@
+/**
+ * Room storage for Buraco
+ * Snapshots rooms (with their match and game) so they survive a server restart,
+ * and keeps the logs of finished games for replays.
+ * Any object with save(room), remove(roomCode), loadAll(), saveGameLog(log)
+ * and loadGameLog(gameId) can be plugged in.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Room from './Room.js';
+
+/**
+ * Finished game logs kept for replays - the oldest are dropped beyond this, so storage
+ * does not grow for ever (every hand of every room writes one)
+ */
+export const DEFAULT_MAX_GAME_LOGS = 500;
+
+/**
+ * Game ids are generated by GameState - anything else is not a stored game
+ */
+function isValidGameId(gameId) {
+    return typeof gameId === 'string' && /^game-[a-z0-9-]+$/.test(gameId);
+}
+
+/**
+ * In-memory storage (no persistence across restarts - useful for tests)
+ */
+export class MemoryStorage {
+    constructor({ maxGameLogs = DEFAULT_MAX_GAME_LOGS } = {}) {
+        this.snapshots = new Map(); // roomCode -> JSON string
+        this.gameLogs = new Map(); // gameId -> JSON string, oldest first
+        this.maxGameLogs = maxGameLogs;
+    }
+
+    save(room) {
+        this.snapshots.set(room.code, JSON.stringify(room));
+    }
+
+    remove(roomCode) {
+        this.snapshots.delete(roomCode);
+    }
+
+    loadAll() {
+        return Array.from(this.snapshots.values()).map(json => Room.fromJSON(JSON.parse(json)));
+    }
+
+    saveGameLog(gameLog) {
+        this.gameLogs.delete(gameLog.gameId);
+        this.gameLogs.set(gameLog.gameId, JSON.stringify(gameLog));
+
+        for (const gameId of this.gameLogs.keys()) {
+            if (this.gameLogs.size <= this.maxGameLogs) break;
+            this.gameLogs.delete(gameId);
+        }
+    }
+
+    loadGameLog(gameId) {
+        const json = this.gameLogs.get(gameId);
+        return json ? JSON.parse(json) : null;
+    }
+}
+
+/**
+ * File storage - one JSON file per room in a directory
+ */
+export class FileStorage {
+    constructor(directory, { maxGameLogs = DEFAULT_MAX_GAME_LOGS } = {}) {
+        this.directory = directory;
+        this.maxGameLogs = maxGameLogs;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(roomCode) {
+        return path.join(this.directory, `room-${roomCode}.json`);
+    }
+
+    gameLogPath(gameId) {
+        return path.join(this.directory, `${gameId}.json`);
+    }
+
+    save(room) {
+        this.writeFile(this.filePath(room.code), room);
+    }
+
+    /**
+     * Write to a temp file first so a crash mid-write never leaves a broken snapshot
+     */
+    writeFile(file, data) {
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    remove(roomCode) {
+        fs.rmSync(this.filePath(roomCode), { force: true });
+    }
+
+    loadAll() {
+        const rooms = [];
+        const files = fs.readdirSync(this.directory).filter(f => /^room-.+\.json$/.test(f));
+
+        for (const file of files) {
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                rooms.push(Room.fromJSON(data));
+            } catch (err) {
+                console.error(`Skipping unreadable room snapshot ${file}:`, err.message);
+            }
+        }
+
+        return rooms;
+    }
+
+    saveGameLog(gameLog) {
+        this.writeFile(this.gameLogPath(gameLog.gameId), gameLog);
+        this.pruneGameLogs();
+    }
+
+    /**
+     * Delete the oldest game logs beyond maxGameLogs
+     */
+    pruneGameLogs() {
+        const logs = fs.readdirSync(this.directory)
+            .filter(f => /^game-.+\.json$/.test(f))
+            .map(file => ({ file, time: fs.statSync(path.join(this.directory, file)).mtimeMs }))
+            .sort((a, b) => a.time - b.time || a.file.localeCompare(b.file));
+
+        for (const { file } of logs.slice(0, Math.max(0, logs.length - this.maxGameLogs))) {
+            fs.rmSync(path.join(this.directory, file), { force: true });
+        }
+    }
+
+    loadGameLog(gameId) {
+        if (!isValidGameId(gameId)) return null;
+
+        const file = this.gameLogPath(gameId);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+}
+
+/**
+ * Create the storage backend from options
+ * @param {Object} options - { type: 'file' | 'memory', directory, maxGameLogs }
+ */
+export function createStorage({ type = 'file', directory, maxGameLogs } = {}) {
+    if (type === 'memory') {
+        return new MemoryStorage({ maxGameLogs });
+    }
+    if (type === 'file') {
+        return new FileStorage(directory, { maxGameLogs });
+    }
+    throw new Error(`Unknown storage type: ${type}`);
+}
@@ -30,6 +30,27 @@ export function createSession() {
     return playerId;
 }
 
+/**
+ * Recreate a session for a player restored from storage
+ * so they can reconnect with their existing player ID
+ * @param {string} playerId 
+ * @param {string} roomCode 
+ * @param {string} nickname 
+ * @param {number} avatarId 
+ */
+export function restoreSession(playerId, roomCode, nickname, avatarId) {
+    if (!sessions.has(playerId)) {
+        sessions.set(playerId, {
+            roomCode: null,
+            nickname,
+            avatarId,
+            sseResponse: null,
+            lastSeen: Date.now()
+        });
+    }
+    joinRoom(playerId, roomCode, nickname, avatarId);
+}
+
 /**
  * Get a player session
  * @param {string} playerId 
@@ -117,12 +138,16 @@ export function setSseResponse(playerId, res) {
 /**
  * Remove SSE response (on disconnect)
  * @param {string} playerId 
+ * @param {Response} res Only remove if this is still the active stream
+ * @returns {boolean} True if the active stream was removed
  */
-export function removeSseResponse(playerId) {
+export function removeSseResponse(playerId, res = null) {
     const session = sessions.get(playerId);
-    if (session) {
-        session.sseResponse = null;
+    if (!session || (res && session.sseResponse !== res)) {
+        return false;
     }
+    session.sseResponse = null;
+    return true;
 }
 
 /**
@@ -211,6 +236,7 @@ export function cleanupStaleSessions() {
 // Export all functions and maps for testing
 export default {
     createSession,
+    restoreSession,
     getSession,
     joinRoom,
     leaveRoom,
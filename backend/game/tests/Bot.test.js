@@ -0,0 +1,177 @@
+/**
+ * Test cases for computer-controlled players (Bot.js + Room bot seats)
+ * Run with: node backend/game/tests/Bot.test.js
+ */
+
+import Room from '../Room.js';
+import { findMelds, rankDiscards, takeBotStep } from '../Bot.js';
+import { validateMeld } from '../MeldValidator.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Finding melds', () => {
+
+    test('Finds a natural set and a natural sequence', () => {
+        const hand = [
+            card('hearts', '7', 'h7'), card('spades', '7', 's7'), card('clubs', '7', 'c7'),
+            card('diamonds', '4', 'd4'), card('diamonds', '5', 'd5'), card('diamonds', '6', 'd6'),
+            card('clubs', 'K', 'cK')
+        ];
+        const melds = findMelds(hand);
+
+        assert(melds.length === 2, 'Should find two melds');
+        assert(melds.every(cards => validateMeld(cards).valid), 'Every meld should be valid');
+        assert(!melds.flat().some(c => c.id === 'cK'), 'Loose King should stay in hand');
+    });
+
+    test('Uses a Joker to complete a pair', () => {
+        const hand = [card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('joker', 'JOKER', 'j1')];
+        const melds = findMelds(hand);
+
+        assert(melds.length === 1, 'Should find one meld');
+        assert(melds[0].some(c => c.isJoker), 'Meld should include the Joker');
+    });
+
+    test('Never uses a card twice', () => {
+        const hand = [
+            card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7'),
+            card('spades', '7', 's7'), card('clubs', '7', 'c7')
+        ];
+        const ids = findMelds(hand).flat().map(c => c.id);
+        assert(ids.length === new Set(ids).size, 'Card ids should be unique across melds');
+    });
+
+    test('Jokers are discarded last', () => {
+        const hand = [card('joker', 'JOKER', 'j1'), card('hearts', '5', 'h5'), card('spades', 'K', 'sK')];
+        const order = rankDiscards(hand);
+        assert(order[order.length - 1].id === 'j1', 'Joker should be the last choice');
+    });
+});
+
+describe('Bot seats', () => {
+
+    test('Host can fill seats with bots', () => {
+        const room = new Room('socket-host', 'Host', 1, 4);
+        const first = room.addBot();
+        const second = room.addBot();
+
+        assert(first.success && second.success, 'Bots should be added');
+        assert(first.nickname !== second.nickname, 'Bots should get distinct names');
+        assert(room.isBot(first.botId), 'Seat should be marked as a bot');
+        assert(room.getPublicInfo().players.filter(p => p.isBot).length === 2, 'Public info should flag bots');
+    });
+
+    test('Removing a bot frees its seat', () => {
+        const room = new Room('socket-host', 'Host', 1, 4);
+        room.addBot();
+        room.addBot();
+        room.addPlayer('socket-p4', 'P4', 1);
+
+        assert(room.removeBot(0).success === false, 'Host seat is not a bot');
+        assert(room.removeBot(1).success === true, 'Bot should be removed');
+
+        const seats = Array.from(room.players.values()).map(p => p.seat).sort();
+        assert(seats.join(',') === '0,1,2', 'Remaining players should be reseated');
+
+        const joined = room.addPlayer('socket-p5', 'P5', 1);
+        assert(joined.seat === 3, 'Next player should take the free seat');
+    });
+
+    test('Room with only bots left has no humans', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        room.addBot();
+        room.removePlayer('socket-host');
+        assert(room.hasHumanPlayers() === false, 'Room should report no humans');
+    });
+});
+
+describe('Bot play', () => {
+
+    test('Bot refuses to act out of turn', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        const { botId } = room.addBot();
+        room.startGame();
+
+        const step = takeBotStep(room.game, botId);
+        assert(step.result.success === false, 'Host starts, so the bot must wait');
+    });
+
+    test('Bots play a full hand to the end', () => {
+        for (const maxPlayers of [2, 4]) {
+            const room = new Room('socket-host', 'Host', 1, maxPlayers);
+            while (room.players.size < maxPlayers) room.addBot();
+            room.startGame();
+
+            const game = room.game;
+            let steps = 0;
+            let failures = 0;
+            while (!game.isGameOver && steps < 5000) {
+                const { result } = takeBotStep(game, game.getCurrentPlayerId());
+                if (!result.success) failures++;
+                steps++;
+            }
+
+            assert(failures === 0, `${maxPlayers} players: every bot action should be legal`);
+            assert(game.isGameOver, `${maxPlayers} players: hand should finish`);
+        }
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
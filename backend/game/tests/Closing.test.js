@@ -0,0 +1,210 @@
+/**
+ * Test cases for closing requirements (pozzetto and burraco before going out)
+ * Run with: node backend/game/tests/Closing.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset, DEFAULT_RULESET } from '../Ruleset.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const italian = resolveRuleset('italian').ruleset;
+const cleanToClose = resolveRuleset({ preset: 'italian', overrides: { closing: { requireCleanBurraco: true } } }).ruleset;
+
+// Team meld of the given size (a burraco from 7 cards), dirty when it holds a Joker
+function spadesMeld(size, { dirty = false } = {}) {
+    const ranks = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q'].slice(0, size);
+    const cards = ranks.map(rank => card('spades', rank, `meld-s${rank}`));
+    if (dirty) cards[1] = card('joker', 'JOKER', 'meld-j');
+    return {
+        id: `meld-${size}`, cards, type: 'sequence', rank: null, suit: 'spades',
+        isClean: !dirty, isBurraco: size >= 7
+    };
+}
+
+/**
+ * Two-player game on P1's meld phase, after drawing h8
+ * By default Team A has had its one pozzetto and the other is still on the table
+ */
+function createGame({ ruleset = italian, hand = [], melds = [], tookPozzetto = true, pozzetti = null } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const game = new GameState({
+        playerCount: 2,
+        players,
+        hands: [hand, [card('spades', '3', 's3'), card('spades', '4', 's4')]],
+        pozzetti: pozzetti || [[], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('clubs', '9', 'c9'), card('hearts', '8', 'h8')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0, ruleset }
+    });
+    game.teams.A.melds = melds;
+    game.teams.A.tookPozzetto = tookPozzetto;
+    game.teams.A.pozzettoCount = tookPozzetto ? 1 : 0;
+    game.drawFromPile('p1');
+    return game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Closing by discarding the last card', () => {
+
+    test('Rejected without a burraco, with the reason', () => {
+        const game = createGame({ melds: [spadesMeld(4)] });
+        const result = game.discard('p1', 'h8');
+
+        assert(result.success === false, 'Discard is rejected');
+        assert(result.reason === 'Your team needs a burraco before closing', `Reason given: ${result.reason}`);
+        assert(game.hands.get('p1').length === 1 && game.discardPile.length === 1, 'Hand and discard pile untouched');
+        assert(!game.isGameOver && game.currentPhase === 'meld', 'Still P1\'s turn');
+    });
+
+    test('Allowed with a burraco', () => {
+        const game = createGame({ melds: [spadesMeld(7, { dirty: true })] });
+        const result = game.discard('p1', 'h8');
+
+        assert(result.gameOver === true && game.endReason === 'closing', 'Team A closes');
+        assert(game.teams.A.wentOut === true, 'Team A went out');
+    });
+
+    test('Rejected before the team has picked up a pozzetto', () => {
+        const game = createGame({ melds: [spadesMeld(7)], tookPozzetto: false, pozzetti: [[], []] });
+        const result = game.discard('p1', 'h8');
+
+        assert(result.reason === 'Your team must pick up a pozzetto before closing', `Reason given: ${result.reason}`);
+    });
+
+    test('Clean burraco required', () => {
+        const dirty = createGame({ ruleset: cleanToClose, melds: [spadesMeld(7, { dirty: true })] });
+        const rejected = dirty.discard('p1', 'h8');
+        assert(rejected.reason === 'Your team needs a clean burraco before closing', 'Dirty burraco is not enough');
+
+        const clean = createGame({ ruleset: cleanToClose, melds: [spadesMeld(7)] });
+        assert(clean.discard('p1', 'h8').gameOver === true, 'Clean burraco closes');
+    });
+
+    test('Indian: no requirements, the team closes any time', () => {
+        const game = createGame({ ruleset: DEFAULT_RULESET, pozzetti: [[], []] });
+        const result = game.discard('p1', 'h8');
+
+        assert(result.gameOver === true, 'Emptying the hand closes');
+    });
+
+    test('A pozzetto still to pick up is not closing', () => {
+        const game = createGame({ ruleset: DEFAULT_RULESET });
+        const result = game.discard('p1', 'h8');
+
+        assert(result.success === true && result.pozzettoInfo?.pozzettoIndex === 1, 'Pozzetto picked up');
+        assert(!game.isGameOver, 'Game goes on');
+    });
+});
+
+describe('Melds that would leave the player unable to finish', () => {
+
+    const run = () => [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7')];
+
+    test('Cannot meld down to one card without being able to close', () => {
+        const game = createGame({ hand: [...run(), card('clubs', 'K', 'cK')] });
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.success === false, 'Meld is rejected');
+        assert(result.reason === 'Your team needs a burraco before closing', `Reason given: ${result.reason}`);
+        assert(game.hands.get('p1').length === 5 && game.teams.A.melds.length === 0, 'Nothing changed');
+    });
+
+    test('A meld that completes the burraco may leave one card', () => {
+        const game = createGame({ hand: [card('spades', '9', 's9')], melds: [spadesMeld(6)] });
+        const result = game.extendMeld('p1', 'meld-6', ['s9']);
+
+        assert(result.success === true && result.meld.isBurraco, 'Extension makes a burraco');
+        assert(game.discard('p1', 'h8').gameOver === true, 'Then the last card closes');
+    });
+
+    test('Cannot meld out with no pozzetto left', () => {
+        const game = createGame({ hand: run(), melds: [spadesMeld(7)] });
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.reason === 'Keep a card to discard when closing', `Reason given: ${result.reason}`);
+    });
+
+    test('Melding out picks up a pozzetto when one is left', () => {
+        const game = createGame({ ruleset: DEFAULT_RULESET, hand: run() });
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.tookPozzetto === true && result.pozzettoIndex === 1, 'Second pozzetto picked up');
+        assert(game.hands.get('p1').length === 1, 'Pozzetto is the new hand');
+    });
+});
+
+describe('Closing status for the client', () => {
+
+    test('Player view tells the team whether it may close', () => {
+        const game = createGame({ melds: [spadesMeld(4)] });
+        const closing = game.getPlayerView('p1').closing;
+
+        assert(closing.pozzettoAvailable === false, 'Team A has had its pozzetto');
+        assert(closing.canClose === false && closing.reason.includes('burraco'), 'Cannot close yet');
+        assert(closing.needsPozzetto === false, 'Pozzetto requirement met');
+
+        assert(game.getPlayerView('p2').closing.pozzettoAvailable === true, 'Team B still has one to pick up');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
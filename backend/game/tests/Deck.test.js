@@ -0,0 +1,246 @@
+/**
+ * Test cases for deals (Deck.js + Room): seeded, reproducible deals and deal sizes
+ * Run with: node backend/game/tests/Deck.test.js
+ */
+
+import Room, { checkDealConfig } from '../Room.js';
+import { createDeck, dealCards, countDeal, normalizeSeed, createRng } from '../Deck.js';
+import { simulateGame } from '../Simulator.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Card ids of a whole deal, in dealing order
+function dealOrder(dealt) {
+    return [...dealt.hands.flat(), ...dealt.pozzetti.flat(), ...dealt.discardPile, ...dealt.drawPile]
+        .map(c => c.id).join(',');
+}
+
+function startSeededRoom(seed) {
+    const room = new Room('socket-host', 'Host', 1, 2, { turnTimer: 0, seed });
+    room.addPlayer('socket-player2', 'Player2', 2);
+    room.startGame();
+    return room;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Seeds', () => {
+
+    test('Seeds from config are normalized to 32-bit integers', () => {
+        assert(normalizeSeed(42) === 42, 'Number stays as is');
+        assert(normalizeSeed('42') === 42, 'Numeric string becomes a number');
+        assert(normalizeSeed('finals-table-3') === normalizeSeed(' finals-table-3 '), 'Text seeds ignore surrounding spaces');
+        assert(normalizeSeed('finals-table-3') !== normalizeSeed('finals-table-4'), 'Different text gives a different seed');
+        assert(normalizeSeed(-1) === 0xFFFFFFFF, 'Negative numbers wrap into range');
+        assert(normalizeSeed(null) === null && normalizeSeed('') === null && normalizeSeed({}) === null, 'Missing or unusable seeds give null');
+    });
+
+    test('PRNG is deterministic', () => {
+        const a = createRng(99);
+        const b = createRng(99);
+        const sequenceA = [a(), a(), a()];
+        const sequenceB = [b(), b(), b()];
+        assert(JSON.stringify(sequenceA) === JSON.stringify(sequenceB), 'Same seed gives the same numbers');
+        assert(sequenceA.every(n => n >= 0 && n < 1), 'Numbers are in [0, 1)');
+    });
+});
+
+describe('Seeded decks and deals', () => {
+
+    test('createDeck shuffles only when given a seed', () => {
+        const ordered = createDeck(2, 2);
+        assert(ordered[0].id === 'hearts-A-0', 'Unseeded deck is in factory order');
+
+        const first = createDeck(2, 2, 7).map(c => c.id).join(',');
+        const second = createDeck(2, 2, 7).map(c => c.id).join(',');
+        assert(first === second, 'Same seed gives the same order');
+        assert(first !== ordered.map(c => c.id).join(','), 'Seeded deck is shuffled');
+    });
+
+    test('Same seed deals the same cards to the same seats', () => {
+        const a = dealCards(4, 3, 2, 2, 12345);
+        const b = dealCards(4, 3, 2, 2, '12345');
+        const c = dealCards(4, 3, 2, 2, 12346);
+
+        assert(dealOrder(a) === dealOrder(b), 'Identical deals for the same seed');
+        assert(dealOrder(a) !== dealOrder(c), 'Different seeds give different deals');
+        assert(a.seed === 12345, 'Deal reports its seed');
+    });
+
+    test('Unseeded deals still report a reproducible seed', () => {
+        const random = dealCards(2, 3, 2, 2);
+        const replayed = dealCards(2, 3, 2, 2, random.seed);
+
+        assert(Number.isInteger(random.seed), 'Random deal picks a seed');
+        assert(dealOrder(random) === dealOrder(replayed), 'That seed replays the deal');
+    });
+});
+
+describe('Room seeds', () => {
+
+    test('Room seed fixes the deal and shows up in the result', () => {
+        const a = startSeededRoom('tournament-1');
+        const b = startSeededRoom('tournament-1');
+
+        const handA = a.game.hands.get('socket-host').map(c => c.id).join(',');
+        const handB = b.game.hands.get('socket-host').map(c => c.id).join(',');
+        assert(handA === handB, 'Two rooms with the same seed get the same hands');
+        assert(a.game.seed === normalizeSeed(`${normalizeSeed('tournament-1')}:1`), 'Round seed is stored on the game');
+        assert(a.game.getGameResult().seed === a.game.seed, 'Seed is in the game result');
+    });
+
+    test('Each round gets its own seed from the room seed', () => {
+        const room = startSeededRoom(500);
+        room.game.endGame('test');
+        room.finishRound();
+        room.startNextRound();
+
+        assert(room.game.seed === normalizeSeed('500:2'), 'Round 2 is dealt with the room seed and round hashed');
+        assert(room.match.rounds[0].seed === normalizeSeed('500:1'), 'Match keeps each round\'s seed');
+
+        const again = startSeededRoom(500);
+        again.game.endGame('test');
+        again.finishRound();
+        again.startNextRound();
+        const round2 = room.game.pozzetti.flat().map(c => c.id).join(',');
+        assert(again.game.pozzetti.flat().map(c => c.id).join(',') === round2, 'Same room seed, same round 2');
+    });
+
+    test('One hand\'s seed does not predict the next deal', () => {
+        const room = startSeededRoom(500);
+        const shownSeed = room.game.getGameResult().seed;
+        room.game.endGame('test');
+        room.finishRound();
+        room.startNextRound();
+
+        const guess = dealCards(2, room.config.deckCount, room.config.jokersPerDeck, room.config.pozzettoCount, shownSeed + 1);
+        const round2 = room.game.pozzetti.flat().map(c => c.id).join(',');
+        assert(guess.pozzetti.flat().map(c => c.id).join(',') !== round2, 'Hand 1\'s seed plus one is not hand 2');
+        assert(room.game.seed !== shownSeed + 1, 'Seeds do not count up');
+    });
+
+    test('Random rooms draw a fresh seed each round and never show it', () => {
+        const room = startSeededRoom(undefined);
+        const firstSeed = room.game.seed;
+        assert(Number.isInteger(firstSeed), 'Round is dealt with a drawn seed');
+        assert(room.game.getGameResult().seed === null, 'Result hides the seed');
+        assert(room.game.getGameLog().seed === null, 'Log hides the seed');
+        assert(room.game.log.find(e => e.type === 'deal').seed === null, 'Deal event hides the seed');
+
+        room.game.endGame('test');
+        room.finishRound();
+        room.startNextRound();
+        assert(room.match.rounds[0].seed === null, 'Match round hides the seed');
+        assert(room.game.seed !== firstSeed, 'Next round draws its own seed');
+        assert(room.game.seed !== normalizeSeed(`${firstSeed}:2`), 'Next seed is not derived from the last');
+    });
+
+    test('Players cannot read the seed before the hand ends', () => {
+        const room = startSeededRoom(777);
+        const info = room.getPublicInfo();
+
+        assert(info.config.seed === 'fixed', 'Lobby only learns a seed is set');
+        assert(room.getPlayerView('socket-host').seed === undefined, 'Player view has no seed');
+        assert(new Room('h', 'Host', 1, 2).getPublicInfo().config.seed === null, 'Unseeded rooms show no seed');
+    });
+
+    test('Simulator runs are reproducible deal-for-deal', () => {
+        const config = { playerCount: 2, deckCount: 3, jokersPerDeck: 2, pozzettoCount: 2 };
+        const first = simulateGame(config, { rng: createRng(3), maxTurns: 50 });
+        const second = simulateGame(config, { rng: createRng(3), maxTurns: 50 });
+
+        assert(first.dealSeed === second.dealSeed, 'Same run seed gives the same deal seed');
+        assert(first.actions === second.actions && first.turns === second.turns, 'Same run seed plays the same game');
+    });
+});
+
+describe('Deal sizes', () => {
+
+    test('Hands and pozzetti use the configured sizes', () => {
+        const dealt = dealCards(4, 3, 2, 3, 42, { handSize: 11, pozzettoSize: 11 });
+
+        assert(dealt.hands.every(h => h.length === 11), 'Hands of 11');
+        assert(dealt.pozzetti.every(p => p.length === 11), 'Pozzetti of 11');
+        assert(dealt.drawPile.length === countDeal(4, 3, 2, 3, { handSize: 11, pozzettoSize: 11 }).drawPileSize, 'countDeal matches the deal');
+        assert(dealCards(2, 3, 2, 2, 42).hands[0].length === 14, 'Default is still 14');
+    });
+
+    test('Rooms deal their configured sizes', () => {
+        const room = new Room('socket-host', 'Host', 1, 2, { handSize: 11, pozzettoSize: 13, turnTimer: 0 });
+        room.addPlayer('socket-2', 'Guest', 1);
+        room.startGame();
+
+        assert(room.game.hands.get('socket-2').length === 11, 'Hand of 11');
+        assert(room.game.pozzetti[0].length === 13, 'Pozzetto of 13');
+        assert(new Room('h', 'Host', 1, 2, { handSize: 99 }).config.handSize === 14, 'Out-of-range size falls back to 14');
+    });
+
+    test('Decks that cannot cover the deal are rejected with the numbers', () => {
+        const result = checkDealConfig(6, { deckCount: 2, jokersPerDeck: 2, pozzettoCount: 2 });
+
+        assert(result.success === false, 'Six hands of 14 need more than two decks');
+        assert(result.reason.startsWith('2 decks (108 cards) are not enough'), `Reason given: ${result.reason}`);
+        assert(result.reason.includes('at least 30 needed'), 'Reason names the smallest draw pile');
+        const tight = { deckCount: 3, jokersPerDeck: 2, pozzettoCount: 4 };
+        assert(!checkDealConfig(6, tight).success, 'Six hands and four pozzetti of 14 leave too few on three decks');
+        assert(checkDealConfig(6, { ...tight, handSize: 11, pozzettoSize: 11 }).success, 'Smaller hands and pozzetti make it fit');
+    });
+
+    test('Default rooms leave a playable draw pile', () => {
+        const result = checkDealConfig(4, {});
+        assert(result.success && result.drawPileSize === 77, '4 players on 3 decks leave 77 cards');
+        assert(checkDealConfig(4, { handSize: 6 }).reason === 'Hand size must be a whole number from 7 to 20', 'Hand size range checked');
+    });
+
+    test('Deck, joker and pozzetto counts must be whole numbers in range', () => {
+        assert(checkDealConfig(4, { deckCount: 'abc' }).reason === 'Deck count must be a whole number from 1 to 6', 'Text deck count rejected');
+        assert(checkDealConfig(4, { deckCount: 50, jokersPerDeck: -40 }).reason === 'Deck count must be a whole number from 1 to 6', 'Huge deck count rejected');
+        assert(checkDealConfig(4, { jokersPerDeck: -40 }).reason === 'Jokers per deck must be a whole number from 0 to 4', 'Negative jokers rejected');
+        assert(checkDealConfig(4, { pozzettoCount: -3 }).reason === 'Pozzetto count must be a whole number from 2 to 4', 'Negative pozzetti rejected');
+        assert(checkDealConfig(4, { deckCount: 4, jokersPerDeck: 0, pozzettoCount: 4 }).success, 'Whole numbers in range accepted');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,204 @@
+/**
+ * Test cases for discard pile pickup rules (whole pile, top card only, must meld the top card)
+ * Run with: node backend/game/tests/DiscardPickup.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset } from '../Ruleset.js';
+import { replayGame } from '../Replay.js';
+import { takeBotStep } from '../Bot.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const ids = cards => cards.map(c => c.id).join(',');
+
+function pickupRules(discardPickup) {
+    return resolveRuleset({ preset: 'indian', overrides: { drawing: { discardPickup } } }).ruleset;
+}
+
+// Two-player game on P1's draw phase; the top of the discard pile is the 7 of hearts
+function createGame(discardPickup, { hand = null, discardPile = null } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    return new GameState({
+        playerCount: 2,
+        players,
+        hands: [
+            hand || [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('clubs', 'K', 'cK'), card('spades', 'Q', 'sQ')],
+            [card('spades', '3', 's3'), card('spades', '4', 's4')]
+        ],
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('hearts', '8', 'h8'), card('clubs', '9', 'c9')],
+        discardPile: discardPile || [card('clubs', '4', 'c4'), card('diamonds', '9', 'd9'), card('hearts', '7', 'h7')],
+        config: { turnTimer: 0, ruleset: pickupRules(discardPickup) }
+    });
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Pickup modes', () => {
+
+    test('Whole pile (default) takes every card', () => {
+        const game = createGame('wholePile');
+        const result = game.takeDiscardPile('p1');
+
+        assert(result.success && result.cards.length === 3, 'All three cards taken');
+        assert(game.discardPile.length === 0, 'Pile is empty');
+        assert(game.discard('p1', 'cK').success, 'No obligation before discarding');
+    });
+
+    test('Top card only leaves the rest of the pile', () => {
+        const game = createGame('topCard');
+        const result = game.takeDiscardPile('p1');
+
+        assert(result.success && ids(result.cards) === 'h7', 'Only the top card taken');
+        assert(ids(game.discardPile) === 'c4,d9', 'Rest of the pile stays');
+        assert(game.currentPhase === 'meld', 'Counts as the draw');
+    });
+
+    test('Unknown modes are rejected', () => {
+        const result = resolveRuleset({ preset: 'indian', overrides: { drawing: { discardPickup: 'grabAll' } } });
+        assert(result.reason === 'Rule drawing.discardPickup must be one of: wholePile, topCard, mustMeldTop', 'Reason lists the modes');
+    });
+});
+
+describe('Must meld the top card', () => {
+
+    test('Take is refused when the top card cannot be melded', () => {
+        const game = createGame('mustMeldTop', {
+            hand: [card('clubs', 'K', 'cK'), card('spades', 'Q', 'sQ'), card('spades', '5', 's5')]
+        });
+        const result = game.takeDiscardPile('p1');
+
+        assert(result.success === false, 'Take rejected');
+        assert(result.reason === 'You may only take the pile if you can meld its top card', `Reason given: ${result.reason}`);
+        assert(game.discardPile.length === 3 && game.currentPhase === 'draw', 'Nothing changed');
+    });
+
+    test('Cards from the pile itself can help meld the top card', () => {
+        const game = createGame('mustMeldTop', {
+            hand: [card('clubs', 'K', 'cK'), card('spades', 'Q', 'sQ')],
+            discardPile: [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7')]
+        });
+        assert(game.takeDiscardPile('p1').success, 'Take allowed');
+    });
+
+    test('Discarding is blocked until the top card is melded', () => {
+        const game = createGame('mustMeldTop');
+        game.takeDiscardPile('p1');
+
+        const blocked = game.discard('p1', 'cK');
+        assert(blocked.success === false && blocked.reason.startsWith('Meld the top card'), 'Discard rejected');
+        assert(game.getPlayerView('p1').mustMeldCardId === 'h7', 'Player view names the card');
+        assert(game.getPlayerView('p2').mustMeldCardId === null, 'Only shown to the player on turn');
+
+        assert(game.playMeld('p1', ['h5', 'h6', 'h7']).success, 'Top card melded');
+        assert(game.discard('p1', 'cK').success, 'Discard allowed once it is melded');
+    });
+
+    test('Undoing the meld brings the obligation back', () => {
+        const game = createGame('mustMeldTop');
+        game.takeDiscardPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.undoLastMove('p1');
+
+        assert(game.discard('p1', 'cK').success === false, 'Discard blocked again');
+    });
+
+    test('The take can be rolled back', () => {
+        const game = createGame('mustMeldTop');
+        const handBefore = ids(game.hands.get('p1'));
+        game.takeDiscardPile('p1');
+        const result = game.undoLastMove('p1');
+
+        assert(result.success && result.undone === 'takeDiscard', 'Take undone');
+        assert(ids(game.discardPile) === 'c4,d9,h7', 'Pile is back in order');
+        assert(ids(game.hands.get('p1')) === handBefore, 'Hand restored');
+        assert(game.currentPhase === 'draw', 'Player draws again');
+        assert(game.drawFromPile('p1').success, 'and can draw from the stock');
+
+        const replay = replayGame(game.getGameLog());
+        const table = replay.frames[replay.frames.length - 2].table;
+        assert(table.discardPile.join() === 'c4,d9,h7', 'Replay puts the pile back');
+    });
+
+    test('Turn timeout melds the top card for the player', () => {
+        const game = createGame('mustMeldTop');
+        game.config.turnTimer = 30;
+        game.takeDiscardPile('p1');
+        game.turnDeadline = 1000;
+
+        const result = game.handleTurnTimeout(2000);
+        assert(result.success, 'Timeout move played');
+        assert(game.teams.A.melds.some(m => m.cards.some(c => c.id === 'h7')), 'Top card melded');
+        assert(game.getCurrentPlayerId() === 'p2', 'Turn passed');
+    });
+
+    test('Bots meld the top card before anything else', () => {
+        const game = createGame('mustMeldTop');
+        game.takeDiscardPile('p1');
+        const step = takeBotStep(game, 'p1');
+
+        assert(step.type === 'meld' && step.result.success, 'Bot melds first');
+        assert(game.teams.A.melds[0].cards.some(c => c.id === 'h7'), 'using the top card');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,188 @@
+/**
+ * Test cases for running out of draw pile (replacement stock, end of hand, stalemate)
+ * Run with: node backend/game/tests/EndOfDeck.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset } from '../Ruleset.js';
+import { replayGame } from '../Replay.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+function stockRules(drawing) {
+    return resolveRuleset({ preset: 'indian', overrides: { drawing } }).ruleset;
+}
+
+/**
+ * Two-player game where P1 is about to draw the last card of the stock
+ * Both pozzetti are still on the table unless given
+ */
+function createGame(drawing, { pozzetti = null, p2Hand = null } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    return new GameState({
+        playerCount: 2,
+        players,
+        hands: [
+            [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('clubs', 'K', 'cK'), card('spades', 'Q', 'sQ')],
+            p2Hand || [card('spades', '3', 's3'), card('spades', '4', 's4'), card('diamonds', '9', 'd9')]
+        ],
+        pozzetti: pozzetti || [[card('diamonds', 'Q', 'dQ'), card('diamonds', 'K', 'dK')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('hearts', '7', 'h7')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0, ruleset: stockRules(drawing) }
+    });
+}
+
+// P1 draws the last card and discards it, so P2's turn starts with an empty stock
+function emptyTheStock(game) {
+    game.drawFromPile('p1');
+    return game.discard('p1', 'cK');
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Take the discard pile', () => {
+
+    test('The next player takes the discard pile instead of drawing', () => {
+        const game = createGame({ emptyStock: 'discardPile' });
+        const result = emptyTheStock(game);
+
+        assert(result.success && !result.gameOver, 'Hand goes on');
+        assert(game.drawFromPile('p2').reason === 'Draw pile is empty', 'Drawing is refused');
+        assert(game.takeDiscardPile('p2').success, 'Taking the pile is allowed');
+    });
+
+    test('The hand ends when the pile cannot be taken', () => {
+        const game = createGame({ emptyStock: 'discardPile', discardPickup: 'mustMeldTop' });
+        const result = emptyTheStock(game);
+
+        assert(result.gameOver === true, 'Discard reports the end of the hand');
+        assert(game.isGameOver && game.endReason === 'stockExhausted', 'Ended because the stock ran out');
+        assert(game.teams.A.scoreDetails && game.teams.B.scoreDetails, 'Both teams scored');
+    });
+
+    test('End of hand mode scores the hand at once', () => {
+        const game = createGame({ emptyStock: 'endHand' });
+        const result = emptyTheStock(game);
+
+        assert(result.gameOver === true && game.endReason === 'stockExhausted', 'Hand over');
+        assert(game.getGameResult().endReason === 'stockExhausted', 'Reason is in the result');
+    });
+});
+
+describe('Pozzetto as the new draw pile', () => {
+
+    test('An unclaimed pozzetto becomes the draw pile', () => {
+        const game = createGame({ emptyStock: 'pozzetto' });
+        const result = emptyTheStock(game);
+
+        assert(result.restocked?.pozzettoIndex === 1 && result.restocked.cardCount === 1, 'Last pozzetto used');
+        assert(game.pozzetti[1].length === 0 && game.drawPile.length === 1, 'Its cards are the draw pile');
+        assert(game.drawFromPile('p2').card.id === 'dJ', 'P2 draws from it');
+
+        const replay = replayGame(game.getGameLog());
+        const restock = replay.frames.find(f => f.event.type === 'restock');
+        assert(restock && restock.table.drawPile.join() === 'dJ', 'Replay shows the restock');
+    });
+
+    test('With no pozzetto left, the discard pile is the fallback', () => {
+        const game = createGame({ emptyStock: 'pozzetto' }, { pozzetti: [[], []] });
+        const result = emptyTheStock(game);
+
+        assert(result.success && !result.restocked && !game.isGameOver, 'No restock, hand goes on');
+        assert(game.takeDiscardPile('p2').success, 'P2 takes the discard pile');
+    });
+});
+
+describe('Stalemate', () => {
+
+    test('Swapping the top discard back and forth ends the hand', () => {
+        const game = createGame({ emptyStock: 'discardPile', discardPickup: 'topCard' });
+        emptyTheStock(game);
+
+        let turns = 0;
+        while (!game.isGameOver && turns < 10) {
+            const playerId = game.getCurrentPlayerId();
+            const taken = game.takeDiscardPile(playerId);
+            game.discard(playerId, taken.cards[0].id);
+            turns++;
+        }
+
+        assert(game.isGameOver && game.endReason === 'stalemate', 'Hand ends as a stalemate');
+        assert(turns === 3, `After two full rounds without progress (${turns} more turns)`);
+    });
+
+    test('Melding resets the count', () => {
+        const game = createGame({ emptyStock: 'discardPile', discardPickup: 'topCard' }, {
+            p2Hand: [card('spades', '3', 's3'), card('spades', '4', 's4'), card('spades', '5', 's5'), card('diamonds', '9', 'd9')]
+        });
+        emptyTheStock(game);
+
+        game.takeDiscardPile('p2');
+        game.playMeld('p2', ['s3', 's4', 's5']);
+        game.discard('p2', 'cK');
+
+        assert(game.stalemateMoves === 0, 'A meld is progress');
+        assert(!game.isGameOver, 'Hand goes on');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
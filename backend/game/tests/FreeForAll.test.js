@@ -0,0 +1,218 @@
+/**
+ * Test cases for three-player and free-for-all tables (one team per player)
+ * Run with: node backend/game/tests/FreeForAll.test.js
+ */
+
+import GameState from '../GameState.js';
+import Room, { checkDealConfig } from '../Room.js';
+import Match from '../Match.js';
+import { replayGame } from '../Replay.js';
+import { takeBotStep } from '../Bot.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+// Room with every seat filled by bots after the host
+function fullRoom(maxPlayers, roomConfig = {}) {
+    const room = new Room('socket-host', 'Host', 1, maxPlayers, roomConfig);
+    while (room.players.size < maxPlayers) room.addBot();
+    return room;
+}
+
+const teamsBySeat = room => Array.from(room.players.values())
+    .sort((a, b) => a.seat - b.seat)
+    .map(p => p.team)
+    .join('');
+
+// Three-player game on P1's meld phase, after drawing c9
+function createGame() {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 },
+        { socketId: 'p3', nickname: 'P3', team: 'C', seat: 2 }
+    ];
+    const game = new GameState({
+        playerCount: 3,
+        players,
+        hands: [
+            [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7'), card('clubs', 'K', 'cK')],
+            [card('spades', '3', 's3'), card('spades', '4', 's4')],
+            [card('diamonds', '3', 'd3'), card('diamonds', '4', 'd4')]
+        ],
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('hearts', '8', 'h8'), card('clubs', '9', 'c9')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0 }
+    });
+    game.drawFromPile('p1');
+    return game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Seats and teams', () => {
+
+    test('Three players each get their own team', () => {
+        const room = fullRoom(3);
+        assert(teamsBySeat(room) === 'ABC', `Teams by seat: ${teamsBySeat(room)}`);
+        assert(room.isSoloPlay(), 'Room plays solo');
+    });
+
+    test('Free-for-all gives 4 and 6 players a team each', () => {
+        assert(teamsBySeat(fullRoom(4, { teamCount: 4 })) === 'ABCD', 'Four players, four teams');
+        assert(teamsBySeat(fullRoom(6, { teamCount: 6 })) === 'ABCDEF', 'Six players, six teams');
+        assert(teamsBySeat(fullRoom(4)) === 'ABAB', 'Partnerships without it');
+    });
+
+    test('Teams cannot be swapped when everyone plays alone', () => {
+        const room = fullRoom(4, { teamCount: 4 });
+        const result = room.swapPlayerTeam(1);
+
+        assert(result.success === false, 'Swap rejected');
+        assert(result.reason === 'Everyone plays alone in this game', `Reason given: ${result.reason}`);
+    });
+
+    test('Teams follow the seats when a player leaves before the start', () => {
+        const room = fullRoom(3);
+        const [, second] = Array.from(room.players.keys());
+        room.removePlayer(second);
+        room.addBot();
+
+        assert(teamsBySeat(room) === 'ABC', 'No two players share a team');
+    });
+
+    test('Three players must still leave a draw pile', () => {
+        assert(checkDealConfig(3, {}).success, 'Default decks cover three players');
+        assert(!checkDealConfig(3, { deckCount: 2, pozzettoCount: 4, handSize: 20 }).success, 'Two decks cannot cover big hands and 4 pozzetti');
+    });
+});
+
+describe('Melds and scores per player', () => {
+
+    test('Each player melds for themselves', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        const view = game.getPlayerView('p2');
+
+        assert(Object.keys(view.teamsMelds).join() === 'A,B,C', 'A meld area for each player');
+        assert(view.teamsMelds.A.length === 1 && view.teamsMelds.B.length === 0, 'Only P1 has melded');
+        assert(Object.keys(view.scores).join() === 'A,B,C' && view.scores.A > 0, 'Live score per player');
+    });
+
+    test('Pozzetti are picked up per team', () => {
+        const game = createGame();
+        game.hands.set('p1', [card('clubs', 'K', 'cK')]);
+        const discard = game.discard('p1', 'cK');
+        assert(discard.pozzettoInfo?.pozzettoIndex === 0, 'P1 picks up the first pozzetto');
+        assert(game.teams.A.pozzettoCount === 1 && !game.teams.B.tookPozzetto && !game.teams.C.tookPozzetto, 'Counted for P1 only');
+    });
+
+    test('Highest score wins the hand, with every player scored', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.endGame('test');
+        const result = game.getGameResult();
+
+        assert(Object.keys(result.scores).join() === 'A,B,C', 'A score for each player');
+        assert(Object.keys(result.teamDetails).join() === 'A,B,C', 'A breakdown for each player');
+        assert(result.winner === 'A', `Winner: ${result.winner}`);
+    });
+
+    test('A tie at the top is a tie, even with a lower third player', () => {
+        const game = createGame();
+        game.hands.set('p1', [card('spades', '3', 'x3'), card('spades', '4', 'x4')]);
+        game.hands.set('p3', [card('clubs', 'K', 'xK'), card('clubs', 'Q', 'xQ'), card('clubs', 'J', 'xJ')]);
+        game.endGame('test');
+
+        assert(game.scores.A === game.scores.B && game.scores.C < game.scores.A, 'A and B level, C behind');
+        assert(game.winner === 'tie', 'Hand is a tie');
+    });
+
+    test('Match totals and standings cover every player', () => {
+        const match = new Match(['A', 'B', 'C'], 500);
+        match.recordRound({ scores: { A: 100, B: 300, C: 200 } });
+        match.recordRound({ scores: { A: 50, B: 250, C: 100 } });
+
+        assert(match.getStandings().map(s => s.team).join('') === 'BCA', 'Ordered by total');
+        assert(match.isOver && match.winner === 'B', 'Match over once one player reaches the target');
+    });
+});
+
+describe('Full hands', () => {
+
+    test('Bots play three-player and free-for-all hands to the end', () => {
+        for (const [maxPlayers, roomConfig] of [[3, {}], [4, { teamCount: 4 }]]) {
+            const room = fullRoom(maxPlayers, { ...roomConfig, turnTimer: 0 });
+            room.startGame();
+            const game = room.game;
+            let failures = 0;
+            for (let steps = 0; !game.isGameOver && steps < 5000; steps++) {
+                if (!takeBotStep(game, game.getCurrentPlayerId()).result.success) failures++;
+            }
+
+            const label = `${maxPlayers} players${roomConfig.teamCount ? ' free-for-all' : ''}`;
+            assert(failures === 0 && game.isGameOver, `${label}: hand finishes with legal moves`);
+            assert(Object.keys(game.scores).length === maxPlayers, `${label}: one score per player`);
+            assert(room.finishRound().success && Object.keys(room.match.totals).length === maxPlayers, `${label}: match keeps a total per player`);
+
+            const replay = replayGame(game.getGameLog());
+            assert(Object.keys(replay.frames[replay.frames.length - 1].table.melds).length === maxPlayers, `${label}: replay shows every player's melds`);
+        }
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
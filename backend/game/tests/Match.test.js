@@ -0,0 +1,179 @@
+/**
+ * Test cases for multi-round matches (Match.js + Room round flow)
+ * Run with: node backend/game/tests/Match.test.js
+ */
+
+import Match from '../Match.js';
+import Room from '../Room.js';
+import { checkGameEnd } from '../Scoring.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Minimal hand result in the shape of GameState.getGameResult()
+function handResult(scoreA, scoreB) {
+    return {
+        winner: scoreA > scoreB ? 'A' : scoreB > scoreA ? 'B' : 'tie',
+        scores: { A: scoreA, B: scoreB },
+        endReason: 'closing',
+        teamDetails: { A: {}, B: {} }
+    };
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('checkGameEnd', () => {
+
+    test('No team at target keeps playing', () => {
+        const result = checkGameEnd({ A: 1990, B: 500 });
+        assert(result.ended === false, 'Match should continue below 2000');
+    });
+
+    test('Highest team wins when both pass the target', () => {
+        const result = checkGameEnd({ A: 2100, B: 2300 });
+        assert(result.ended === true, 'Match should end');
+        assert(result.winner === 'B', 'Team B has the higher total');
+    });
+
+    test('Tie at the top plays another hand', () => {
+        const result = checkGameEnd({ A: 2050, B: 2050 });
+        assert(result.ended === false, 'Tied leaders should not end the match');
+        assert(result.tie === true, 'Result should flag the tie');
+    });
+
+    test('Custom target is respected', () => {
+        const result = checkGameEnd({ A: 1000, B: 200 }, 1000);
+        assert(result.ended === true && result.winner === 'A', 'Team A reaches a 1000 target');
+    });
+});
+
+describe('Match totals', () => {
+
+    test('Rounds accumulate team totals', () => {
+        const match = new Match(['A', 'B']);
+        match.recordRound(handResult(800, 300));
+        match.recordRound(handResult(600, -50));
+
+        assert(match.totals.A === 1400, 'Team A total should be 1400');
+        assert(match.totals.B === 250, 'Team B total should be 250');
+        assert(match.currentRound === 3, 'Third hand should be next');
+        assert(match.isOver === false, 'Match should not be over');
+    });
+
+    test('Match ends when a team reaches the target', () => {
+        const match = new Match(['A', 'B'], 1500);
+        match.recordRound(handResult(900, 400));
+        const round = match.recordRound(handResult(700, 200));
+
+        assert(match.isOver === true, 'Match should be over');
+        assert(match.winner === 'A', 'Team A should win');
+        assert(round.totals.A === 1600, 'Round should carry totals after it');
+        assert(match.getStandings()[0].team === 'A', 'Team A should lead the standings');
+    });
+
+    test('Recording after the match ended throws', () => {
+        const match = new Match(['A', 'B'], 100);
+        match.recordRound(handResult(200, 0));
+
+        let threw = false;
+        try {
+            match.recordRound(handResult(0, 0));
+        } catch (err) {
+            threw = true;
+        }
+        assert(threw, 'Should refuse a round after match over');
+    });
+});
+
+describe('Room round flow', () => {
+
+    test('Room uses configured target score', () => {
+        const room = new Room('socket-host', 'Host', 1, 2, { targetScore: 1500 });
+        assert(room.config.targetScore === 1500, 'Target should be 1500');
+
+        const fallback = new Room('socket-host', 'Host', 1, 2, { targetScore: -5 });
+        assert(fallback.config.targetScore === 2000, 'Invalid target should fall back to 2000');
+    });
+
+    test('Finished hand is recorded and next hand is dealt', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        room.addPlayer('socket-player2', 'Player2', 2);
+        room.startGame();
+
+        const firstGame = room.game;
+        assert(room.match.currentRound === 1, 'First hand should be round 1');
+        assert(room.startNextRound().success === false, 'Cannot deal while hand in progress');
+
+        firstGame.endGame('closing');
+        const finished = room.finishRound();
+        assert(finished.success === true, 'Round should be recorded');
+        assert(room.finishRound().success === false, 'Same hand cannot be recorded twice');
+
+        const next = room.startNextRound();
+        assert(next.success === true, 'Next hand should be dealt');
+        assert(room.game !== firstGame, 'A new game state should be created');
+        assert(room.game.round === 2, 'New hand should be round 2');
+        assert(room.game.currentPlayerIndex === 1, 'Second seat should start round 2');
+
+        const view = room.getPlayerView('socket-host');
+        assert(view.match.currentRound === 2, 'Player view should include match round');
+    });
+
+    test('Room finishes when match is won', () => {
+        const room = new Room('socket-host', 'Host', 1, 2, { targetScore: 100 });
+        room.addPlayer('socket-player2', 'Player2', 2);
+        room.startGame();
+
+        room.game.endGame('closing');
+        room.game.scores = { A: 150, B: 20 };
+        room.game.winner = 'A';
+        const finished = room.finishRound();
+
+        assert(finished.matchOver === true, 'Match should be over');
+        assert(room.status === 'finished', 'Room should be finished');
+        assert(room.startNextRound().success === false, 'No hand after match over');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,181 @@
+/**
+ * Test cases for meld diagnostics (why cards are not a meld, and what would complete them)
+ * Run with: node backend/game/tests/MeldDiagnostics.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset } from '../Ruleset.js';
+import { validateMeld, diagnoseMeld } from '../MeldValidator.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const ids = list => list.join(',');
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Failure reasons', () => {
+
+    test('A near sequence keeps the sequence reason', () => {
+        const result = validateMeld([card('hearts', '5', 'h5'), card('spades', '6', 's6'), card('hearts', '7', 'h7')]);
+        assert(result.reason === 'All cards in a sequence must be the same suit', `Reason given: ${result.reason}`);
+    });
+
+    test('A near set keeps the set reason', () => {
+        const rules = resolveRuleset({ preset: 'indian', overrides: { melds: { maxWilds: 0 } } }).ruleset;
+        const result = validateMeld([card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('joker', 'JOKER', 'j1')], rules);
+        assert(result.reason === 'Set cannot contain wild cards', `Reason given: ${result.reason}`);
+    });
+});
+
+describe('Sequences', () => {
+
+    test('Names the card that breaks the suit', () => {
+        const diagnosis = diagnoseMeld([card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('spades', '7', 's7')]);
+
+        assert(diagnosis.type === 'sequence' && diagnosis.suit === 'hearts', 'Closest to a hearts sequence');
+        assert(ids(diagnosis.offCards) === 's7', '7 of spades breaks it');
+    });
+
+    test('Lists the ranks missing between the cards', () => {
+        const diagnosis = diagnoseMeld([card('hearts', '5', 'h5'), card('hearts', '8', 'h8'), card('joker', 'JOKER', 'j1')]);
+
+        assert(ids(diagnosis.missingRanks) === '6,7', '6 and 7 missing');
+        assert(diagnosis.reason === 'Not enough wild cards to fill gaps in sequence', `Reason given: ${diagnosis.reason}`);
+    });
+
+    test('Repeated ranks break a sequence', () => {
+        const diagnosis = diagnoseMeld([card('hearts', '5', 'h5'), card('hearts', '5', 'h5b'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7')]);
+        assert(ids(diagnosis.offCards) === 'h5b', 'Second 5 named');
+    });
+
+    test('Says whether one more wild would fix it', () => {
+        const gap = diagnoseMeld([card('hearts', '5', 'h5'), card('hearts', '7', 'h7')]);
+        assert(gap.wildWouldFix === true, 'A wild fills 5-_-7');
+
+        const twoGaps = diagnoseMeld([card('hearts', '5', 'h5'), card('hearts', '8', 'h8'), card('hearts', '9', 'h9')]);
+        assert(twoGaps.wildWouldFix === false, 'Not with two ranks missing');
+    });
+
+    test('Finds the hand cards that complete it', () => {
+        const selected = [card('hearts', '5', 'h5'), card('hearts', '7', 'h7')];
+        const hand = [...selected, card('hearts', '6', 'h6'), card('hearts', '8', 'h8'), card('joker', 'JOKER', 'j1'), card('spades', '6', 's6')];
+        const diagnosis = diagnoseMeld(selected, undefined, hand);
+
+        assert(ids(diagnosis.completions) === 'h6,j1', '6 of hearts or the Joker');
+    });
+});
+
+describe('Sets', () => {
+
+    test('Names the card of another rank', () => {
+        const diagnosis = diagnoseMeld([card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('clubs', '8', 'c8')]);
+
+        assert(diagnosis.type === 'set' && diagnosis.rank === '9', 'Closest to a set of 9s');
+        assert(ids(diagnosis.offCards) === 'c8', '8 of clubs breaks it');
+    });
+
+    test('A pair is completed by a third card or a wild', () => {
+        const selected = [card('hearts', '9', 'h9'), card('spades', '9', 's9')];
+        const diagnosis = diagnoseMeld(selected, undefined, [...selected, card('clubs', '9', 'c9'), card('clubs', '4', 'c4')]);
+
+        assert(diagnosis.reason === 'Meld must have at least 3 cards', `Reason given: ${diagnosis.reason}`);
+        assert(diagnosis.wildWouldFix === true && ids(diagnosis.completions) === 'c9', 'Joker or the 9 of clubs');
+    });
+
+    test('Valid melds need no diagnosis', () => {
+        const diagnosis = diagnoseMeld([card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('clubs', '9', 'c9')]);
+        assert(diagnosis.valid && diagnosis.reason === null && diagnosis.offCards.length === 0, 'Nothing to fix');
+    });
+});
+
+describe('Checking a selection in a game', () => {
+
+    function createGame() {
+        const players = [
+            { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+            { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+        ];
+        return new GameState({
+            playerCount: 2,
+            players,
+            hands: [
+                [card('hearts', '5', 'h5'), card('hearts', '7', 'h7'), card('hearts', '6', 'h6'), card('clubs', 'K', 'cK')],
+                [card('spades', '3', 's3'), card('spades', '4', 's4')]
+            ],
+            pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+            drawPile: [card('clubs', '9', 'c9')],
+            discardPile: [card('clubs', '4', 'c4')],
+            config: { turnTimer: 0 }
+        });
+    }
+
+    test('Diagnoses cards from the player\'s hand without changing anything', () => {
+        const game = createGame();
+        const result = game.checkMeld('p1', ['h5', 'h7']);
+
+        assert(result.success && ids(result.diagnosis.completions) === 'h6', 'The 6 of hearts completes it');
+        assert(game.hands.get('p1').length === 4 && game.teams.A.melds.length === 0, 'Hand and melds untouched');
+    });
+
+    test('Cards outside the hand are refused', () => {
+        const result = createGame().checkMeld('p1', ['h5', 's3']);
+        assert(result.success === false && result.reason === 'Card not in hand', `Reason given: ${result.reason}`);
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,258 @@
+/**
+ * Test cases for the opening meld minimum (first melds of a team must reach N points)
+ * Run with: node backend/game/tests/Opening.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset, openingMinPoints } from '../Ruleset.js';
+import { takeBotStep } from '../Bot.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const RISING = [
+    { fromScore: 0, minPoints: 50 },
+    { fromScore: 1500, minPoints: 90 },
+    { fromScore: 3000, minPoints: 120 }
+];
+
+function openingRules(thresholds) {
+    return resolveRuleset({ preset: 'indian', overrides: { opening: { thresholds } } }).ruleset;
+}
+
+// P1 holds two runs of 30 points each; two-player game on P1's meld phase after drawing dK
+function createGame({ thresholds = [{ fromScore: 0, minPoints: 50 }], matchTotals = {}, turnTimer = 0 } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const game = new GameState({
+        playerCount: 2,
+        players,
+        hands: [
+            [
+                card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7'),
+                card('clubs', '5', 'c5'), card('clubs', '6', 'c6'), card('clubs', '7', 'c7'),
+                card('spades', 'K', 'sK')
+            ],
+            [card('spades', '3', 's3'), card('spades', '4', 's4'), card('spades', '5', 's5')]
+        ],
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('clubs', '9', 'c9'), card('spades', '9', 's9'), card('diamonds', 'K', 'dK')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer, ruleset: openingRules(thresholds) },
+        matchTotals
+    });
+    game.drawFromPile('p1');
+    return game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Opening thresholds', () => {
+
+    test('The last threshold the team score has reached applies', () => {
+        const rules = openingRules(RISING);
+        assert(openingMinPoints(rules, 0) === 50, '50 to start');
+        assert(openingMinPoints(rules, 1499) === 50, 'still 50 below 1500');
+        assert(openingMinPoints(rules, 1500) === 90, '90 from 1500');
+        assert(openingMinPoints(rules, 4200) === 120, '120 from 3000');
+        assert(openingMinPoints(resolveRuleset('indian').ruleset, 4200) === 0, 'No minimum in the presets');
+    });
+
+    test('Invalid thresholds are rejected', () => {
+        const unordered = resolveRuleset({ preset: 'indian', overrides: { opening: { thresholds: [RISING[1], RISING[0]] } } });
+        assert(unordered.reason === 'Rule opening.thresholds must be in rising fromScore order', `Reason given: ${unordered.reason}`);
+
+        const notAList = resolveRuleset({ preset: 'indian', overrides: { opening: { thresholds: 50 } } });
+        assert(notAList.success === false, 'A plain number is rejected');
+    });
+
+    test('Each team gets the minimum for its own match total', () => {
+        const game = createGame({ thresholds: RISING, matchTotals: { A: 2000, B: 100 } });
+        assert(game.teams.A.openingMinPoints === 90, 'Team A needs 90');
+        assert(game.teams.B.openingMinPoints === 50, 'Team B needs 50');
+    });
+});
+
+describe('Opening in a turn', () => {
+
+    test('A short opening blocks the discard', () => {
+        const game = createGame();
+        assert(game.playMeld('p1', ['h5', 'h6', 'h7']).success, 'Meld is laid');
+
+        const result = game.discard('p1', 'sK');
+        assert(result.success === false, 'Discard rejected');
+        assert(result.reason === 'Your opening melds need 20 more points (50 in total), or undo them', `Reason given: ${result.reason}`);
+
+        const opening = game.getPlayerView('p1').opening;
+        assert(opening.laidPoints === 30 && opening.pointsNeeded === 20, 'Player view shows the points still needed');
+    });
+
+    test('Melds laid in the same turn count together', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.playMeld('p1', ['c5', 'c6', 'c7']);
+
+        assert(game.discard('p1', 'sK').success, '60 points open the team');
+        assert(game.teams.A.opened === true, 'Team A has opened');
+        assert(game.getPlayerView('p1').opening.pointsNeeded === 0, 'Nothing more needed');
+        assert(game.teams.B.opened === false, 'Team B has not');
+    });
+
+    test('Undoing the melds allows the discard', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.undoLastMove('p1');
+
+        assert(game.discard('p1', 'sK').success, 'A turn without melds ends normally');
+        assert(game.teams.A.opened === false, 'Team A still has to open');
+    });
+
+    test('Once open, any meld may be laid', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.playMeld('p1', ['c5', 'c6', 'c7']);
+        game.discard('p1', 'sK');
+        game.drawFromPile('p2');
+        game.discard('p2', 's9');
+        game.drawFromPile('p1');
+
+        game.teams.A.melds = [];
+        game.hands.get('p1').push(card('hearts', '8', 'h8'), card('hearts', '9', 'h9'), card('hearts', '10', 'h10'));
+        game.playMeld('p1', ['h8', 'h9', 'h10']);
+        assert(game.discard('p1', 'dK').success, 'A 30 point meld is fine');
+    });
+
+    test('Opened state survives a snapshot', () => {
+        const game = createGame();
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.playMeld('p1', ['c5', 'c6', 'c7']);
+        game.discard('p1', 'sK');
+
+        const restored = GameState.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+        assert(restored.teams.A.opened === true && restored.teams.A.openingMinPoints === 50, 'Team A restored');
+    });
+});
+
+describe('Timeouts and bots', () => {
+
+    test('Turn timeout takes back a short opening', () => {
+        const game = createGame({ turnTimer: 30 });
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.turnDeadline = 1000;
+
+        const result = game.handleTurnTimeout(2000);
+        assert(result.success, 'Timeout move played');
+        assert(game.teams.A.melds.length === 0, 'Meld taken back');
+        assert(game.getCurrentPlayerId() === 'p2', 'Turn passed');
+    });
+
+    test('Bots only open when their melds reach the minimum', () => {
+        const short = createGame({ thresholds: [{ fromScore: 0, minPoints: 90 }] });
+        const skipped = takeBotStep(short, 'p1');
+        assert(skipped.type === 'discard' && skipped.result.success, 'Bot discards instead of melding 60 points');
+
+        const enough = createGame();
+        const step = takeBotStep(enough, 'p1');
+        assert(step.type === 'meld' && step.result.success, 'Bot melds when 60 points open');
+    });
+
+    test('Bots count only the melds they will lay', () => {
+        // Sets of 8s (40) and 7s (30), and 9-9-Joker (50) on paper - but the bot extends the
+        // 8s with the Joker first, leaving 100 points of melds
+        const game = new GameState({
+            playerCount: 2,
+            players: [
+                { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+                { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+            ],
+            hands: [
+                [
+                    card('hearts', '8', 'h8'), card('diamonds', '8', 'd8'), card('clubs', '8', 'c8'), card('spades', '8', 's8'),
+                    card('joker', 'JOKER', 'j1'), card('clubs', '7', 'c7'), card('diamonds', '7', 'd7'), card('spades', '7', 's7'),
+                    card('hearts', '9', 'h9'), card('spades', '9', 's9')
+                ],
+                [card('spades', '3', 's3'), card('spades', '4', 's4'), card('spades', '5', 's5')]
+            ],
+            pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+            drawPile: [card('clubs', '9', 'c9'), card('spades', '9', 's9b'), card('clubs', 'K', 'cK')],
+            discardPile: [card('clubs', '4', 'c4')],
+            config: { turnTimer: 0, ruleset: openingRules([{ fromScore: 0, minPoints: 110 }]) }
+        });
+        game.drawFromPile('p1');
+
+        const step = takeBotStep(game, 'p1');
+        assert(step.type === 'discard' && step.result.success, 'Bot discards instead of laying a short opening');
+        assert(game.teams.A.melds.length === 0, 'Nothing left on the table');
+    });
+
+    test('Bots take back a short opening instead of getting stuck', () => {
+        const game = createGame({ thresholds: [{ fromScore: 0, minPoints: 90 }] });
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+
+        const undo = takeBotStep(game, 'p1');
+        assert(undo.type === 'undo' && undo.result.success, 'Bot undoes the short opening as its own step');
+        assert(game.teams.A.melds.length === 0, 'Meld taken back');
+
+        const step = takeBotStep(game, 'p1');
+        assert(step.type === 'discard' && step.result.success, 'Then discards without laying it again');
+        assert(game.getCurrentPlayerId() === 'p2', 'Turn passed');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
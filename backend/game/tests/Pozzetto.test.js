@@ -0,0 +1,240 @@
+/**
+ * Test cases for pozzetto allocation (shared or reserved per team) and pickup timing
+ * Run with: node backend/game/tests/Pozzetto.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset } from '../Ruleset.js';
+import { checkDealConfig } from '../Room.js';
+import { replayGame } from '../Replay.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+function closingRules(closing, drawing = {}) {
+    return resolveRuleset({ preset: 'indian', overrides: { closing, drawing } }).ruleset;
+}
+
+const run = () => [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7')];
+
+/**
+ * Two-player game on P1's meld phase, after drawing h8
+ * Pozzetto i holds the single card pz<i>
+ */
+function createGame(closing, { pozzettoCount = 2, hand = run(), drawing } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const pozzetti = Array.from({ length: pozzettoCount }, (_, i) => [card('diamonds', 'Q', `pz${i}`)]);
+    const game = new GameState({
+        playerCount: 2,
+        players,
+        hands: [hand, [card('spades', '3', 's3'), card('spades', '4', 's4')]],
+        pozzetti,
+        drawPile: [card('clubs', '9', 'c9'), card('hearts', '8', 'h8')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0, ruleset: closingRules(closing, drawing) }
+    });
+    game.drawFromPile('p1');
+    return game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Reserved pozzetti', () => {
+
+    test('Each team picks up only its own pozzetto', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved' });
+        game.pozzetti[0] = []; // Team A's pozzetto is gone (e.g. became the draw pile)
+
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+        assert(result.success === false, 'Team B\'s pozzetto is not Team A\'s to take');
+        assert(game.getPlayerView('p1').closing.pozzettoAvailable === false, 'No pozzetto shown for Team A');
+        assert(game.getPlayerView('p2').closing.pozzettoAvailable === true, 'Team B still has one');
+    });
+
+    test('Melding out takes the team\'s own pozzetto', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved' });
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.tookPozzetto && result.pozzettoIndex === 0 && result.team === 'A', 'Pozzetto 1 goes to Team A');
+        assert(game.teams.A.pozzettoIndices.join() === '0', 'Team A tracks which pozzetto it took');
+    });
+
+    test('More pozzetti than teams are dealt round', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved', maxPozzettiPerTeam: null }, { pozzettoCount: 4 });
+        const view = game.getPlayerView('p1');
+
+        assert(view.pozzettiOwners.join() === 'A,B,A,B', 'Owners alternate A, B');
+        game.pozzetti[0] = [];
+        assert(game.findPozzettoFor(game.teams.A) === 2, 'Team A moves on to pozzetto 3');
+    });
+
+    test('Player view shows which team took each pozzetto', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved' });
+        game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+        const view = game.getPlayerView('p2');
+
+        assert(view.pozzettiTakenBy.join() === 'A,', 'Pozzetto 1 taken by Team A, pozzetto 2 still down');
+    });
+});
+
+describe('Shared pozzetti', () => {
+
+    test('Any team may take any pozzetto, up to its cap', () => {
+        const game = createGame({ pozzettoAllocation: 'shared', maxPozzettiPerTeam: 1 });
+        const first = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(first.tookPozzetto && first.pozzettoIndex === 0, 'First pozzetto taken');
+        assert(game.findPozzettoFor(game.teams.A) === -1, 'Team A has had its share');
+        assert(game.findPozzettoFor(game.teams.B) === 1, 'Team B may take the other');
+        assert(game.getPlayerView('p1').pozzettiOwners.every(owner => owner === null), 'No owners shown');
+    });
+});
+
+describe('Pickup timing', () => {
+
+    test('Without on-the-fly pickup, a meld must keep a card to discard', () => {
+        const game = createGame({ pozzettoOnTheFly: false });
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.success === false, 'Melding out is rejected');
+        assert(result.reason === 'Keep a card to discard - the pozzetto is picked up after discarding', `Reason given: ${result.reason}`);
+        assert(game.getPlayerView('p1').closing.pozzettoOnTheFly === false, 'Closing status tells the client');
+    });
+
+    test('The pozzetto is picked up after the last discard', () => {
+        const game = createGame({ pozzettoOnTheFly: false });
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        const result = game.discard('p1', 'h8');
+
+        assert(result.pozzettoInfo?.tookPozzetto && result.pozzettoInfo.onTheFly === false, 'Picked up after discarding');
+        assert(result.pozzettoInfo.team === 'A' && result.pozzettoInfo.playerNickname === 'P1', 'Names the team and player');
+        assert(game.hands.get('p1')[0].id === 'pz0', 'Pozzetto is the next hand');
+    });
+
+    test('On-the-fly pickups are marked as such and locked from undo', () => {
+        const game = createGame({});
+        const result = game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+
+        assert(result.onTheFly === true, 'Marked on the fly');
+        assert(game.undoLastMove('p1').success === false, 'The meld cannot be taken back');
+    });
+
+    test('The log and replay record who took which pozzetto', () => {
+        const game = createGame({});
+        game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+        const event = game.getGameLog().events.find(e => e.type === 'pozzetto');
+
+        assert(event.team === 'A' && event.pozzettoIndex === 0 && event.onTheFly === true, 'Logged with team and timing');
+        const frame = replayGame(game.getGameLog()).frames.find(f => f.event.type === 'pozzetto');
+        assert(frame.event.team === 'A' && frame.event.onTheFly === true, 'Replay frame keeps them');
+    });
+});
+
+describe('Empty stock', () => {
+
+    const pozzettoStock = { emptyStock: 'pozzetto' };
+
+    test('A pozzetto still reserved for a team never becomes the draw pile', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved' }, { drawing: pozzettoStock });
+        game.drawPile = [];
+        const result = game.discard('p1', 'h5');
+
+        assert(result.success && !result.restocked, 'No pozzetto used');
+        assert(game.pozzetti.every(p => p.length === 1), 'Both teams\' pozzetti still down');
+    });
+
+    test('A reserved pozzetto its team can no longer take may restock', () => {
+        const game = createGame({ pozzettoAllocation: 'reserved', maxPozzettiPerTeam: 1 },
+            { drawing: pozzettoStock, pozzettoCount: 3, hand: [...run(), card('clubs', 'K', 'cK')] });
+        game.playMeld('p1', ['h5', 'h6', 'h7', 'h8']);
+        game.drawPile = [];
+        const result = game.discard('p1', 'cK'); // Team A picks up pozzetto 1 after its last discard
+
+        assert(result.restocked?.pozzettoIndex === 2, 'Team A\'s second pozzetto is the new draw pile');
+        assert(game.pozzetti[1].length === 1, 'Team B\'s is left alone');
+    });
+});
+
+describe('Rooms and snapshots', () => {
+
+    test('Reserved pozzetti need one per team', () => {
+        const result = checkDealConfig(3, { ruleset: 'italian', pozzettoCount: 2 });
+        assert(result.success === false, 'Three teams with two pozzetti rejected');
+        assert(result.reason === 'With a pozzetto reserved for each team, 3 teams need at least 3 pozzetti', `Reason given: ${result.reason}`);
+        assert(checkDealConfig(3, { ruleset: 'italian', pozzettoCount: 3 }).success, 'Three pozzetti are enough');
+        assert(checkDealConfig(3, { pozzettoCount: 2 }).success, 'Shared pozzetti need no minimum');
+    });
+
+    test('Older snapshots keep the pozzetto their team took', () => {
+        const game = createGame({});
+        const data = JSON.parse(JSON.stringify(game.toJSON()));
+        for (const team of Object.values(data.teams)) {
+            delete team.id;
+            delete team.pozzettoIndices;
+        }
+        data.teams.B.pozzettoIndex = 1;
+
+        const restored = GameState.fromJSON(data);
+        assert(restored.teams.B.id === 'B' && restored.teams.B.pozzettoIndices.join() === '1', 'Index carried over');
+        assert(restored.teams.A.pozzettoIndices.length === 0, 'None for a team that took none');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -224,6 +224,51 @@ describe('Player Reconnection', () => {
     });
 });
 
+describe('Seat status while disconnected', () => {
+
+    test('Player views show who is offline', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        room.addPlayer('socket-player2', 'Player2', 2);
+        room.startGame();
+
+        room.removePlayer('socket-player2');
+
+        const view = room.getPlayerView('socket-host');
+        const player2 = view.players.find(p => p.nickname === 'Player2');
+        assert(player2.disconnected === true, 'Host should see Player2 as offline');
+        assert(room.hasConnectedPlayers() === true, 'Host is still connected');
+    });
+
+    test('Bot holds the seat until the player returns', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        room.addPlayer('socket-player2', 'Player2', 2);
+        room.startGame();
+
+        assert(room.replaceWithBot('socket-player2') === false, 'Connected seat cannot be handed to a bot');
+
+        room.removePlayer('socket-player2');
+        assert(room.replaceWithBot('socket-player2') === true, 'Disconnected seat can be handed to a bot');
+        assert(room.isBot('socket-player2') === true, 'Seat should now be played by a bot');
+
+        const result = room.addPlayer('socket-player2-new', 'Player2', 2);
+        assert(result.success === true, 'Player can still rejoin');
+        assert(room.isBot('socket-player2-new') === false, 'Player takes the seat back from the bot');
+    });
+
+    test('Same session reconnecting keeps its socket ID', () => {
+        const room = new Room('socket-host', 'Host', 1, 2);
+        room.addPlayer('socket-player2', 'Player2', 2);
+        room.startGame();
+
+        room.removePlayer('socket-player2');
+        room.reconnectPlayer('socket-player2');
+
+        const player = room.players.get('socket-player2');
+        assert(player.disconnected === false, 'Player should be online again');
+        assert(room.game.hands.has('socket-player2'), 'Hand should stay under the same socket ID');
+    });
+});
+
 describe('Meld validation still works after reconnection', () => {
 
     test('Reconnected player can play melds', () => {
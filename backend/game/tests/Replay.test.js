@@ -0,0 +1,223 @@
+/**
+ * Test cases for the game action log and replays (GameState log + Replay.js)
+ * Run with: node backend/game/tests/Replay.test.js
+ */
+
+import Room from '../Room.js';
+import GameState from '../GameState.js';
+import { takeBotStep } from '../Bot.js';
+import { replayGame, applyEvent } from '../Replay.js';
+import { MemoryStorage } from '../Storage.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Start a hand where every seat is played by a bot
+function createBotGame(maxPlayers) {
+    const room = new Room('socket-host', 'Host', 1, maxPlayers);
+    while (room.players.size < maxPlayers) room.addBot();
+    room.startGame();
+    return room.game;
+}
+
+// Let the bots play until the hand ends (or a step limit)
+function playOut(game, maxSteps = 5000) {
+    let steps = 0;
+    while (!game.isGameOver && steps < maxSteps) {
+        takeBotStep(game, game.getCurrentPlayerId());
+        steps++;
+    }
+}
+
+const ids = cards => cards.map(c => c.id);
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Action log', () => {
+
+    test('Deal is the first event and records every card', () => {
+        const game = createBotGame(2);
+        const [deal] = game.log;
+
+        assert(game.log.length === 1, 'Only the deal is logged before play');
+        assert(deal.type === 'deal' && deal.seq === 0, 'First event is the deal');
+        assert(deal.hands.length === 2 && deal.hands[0].length === 14, 'Both hands are recorded');
+        assert(deal.drawPile.length === game.drawPile.length, 'Draw pile is recorded');
+        assert(deal.players.every(p => p.socketId === undefined), 'Log never exposes socket IDs');
+    });
+
+    test('Draw and discard are logged with actor, time and card', () => {
+        const game = createBotGame(2);
+        const playerId = game.getCurrentPlayerId();
+
+        const draw = game.drawFromPile(playerId);
+        game.discard(playerId, draw.card.id);
+
+        const [, drawEvent, discardEvent] = game.log;
+        assert(drawEvent.type === 'draw' && drawEvent.card.id === draw.card.id, 'Draw records the card');
+        assert(drawEvent.seat === 0 && drawEvent.nickname === 'Host', 'Draw records the actor');
+        assert(typeof drawEvent.timestamp === 'number', 'Draw records a timestamp');
+        assert(discardEvent.type === 'discard' && discardEvent.card.id === draw.card.id, 'Discard records the card');
+    });
+
+    test('Rejected moves are not logged', () => {
+        const game = createBotGame(2);
+        const otherPlayer = game.players[1].socketId;
+
+        game.drawFromPile(otherPlayer);
+        game.discard(game.getCurrentPlayerId(), 'no-such-card');
+
+        assert(game.log.length === 1, 'Only the deal is in the log');
+    });
+
+    test('Taking the discard pile logs every card taken', () => {
+        const game = createBotGame(2);
+        const playerId = game.getCurrentPlayerId();
+        const pile = ids(game.discardPile);
+
+        game.takeDiscardPile(playerId);
+
+        const event = game.log[1];
+        assert(event.type === 'takeDiscard', 'Event is takeDiscard');
+        assert(JSON.stringify(ids(event.cards)) === JSON.stringify(pile), 'All pile cards are listed');
+    });
+
+    test('A full hand ends with a gameEnd event', () => {
+        const game = createBotGame(4);
+        playOut(game);
+
+        const types = new Set(game.log.map(e => e.type));
+        const last = game.log[game.log.length - 1];
+        assert(game.isGameOver, 'Hand should finish');
+        assert(last.type === 'gameEnd' && last.winner === game.winner, 'Last event records the winner');
+        assert(types.has('meld') && types.has('discard'), 'Melds and discards are logged');
+        assert(game.log.every((e, i) => e.seq === i), 'Sequence numbers are contiguous');
+    });
+
+    test('Game log carries the game id and result', () => {
+        const game = createBotGame(2);
+        assert(game.getGameLog().result === null, 'No result while the hand is in progress');
+
+        playOut(game);
+        const log = game.getGameLog();
+        assert(log.gameId === game.gameId, 'Log has the game id');
+        assert(log.result.gameId === game.gameId, 'Result links back to the log');
+        assert(log.events === game.log, 'Log holds the events');
+    });
+});
+
+describe('Replay', () => {
+
+    test('Replaying the log rebuilds the final table', () => {
+        for (const maxPlayers of [2, 4, 6]) {
+            const game = createBotGame(maxPlayers);
+            playOut(game);
+
+            const replay = replayGame(game.getGameLog());
+            const { table } = replay.frames[replay.frames.length - 1];
+
+            const handsMatch = game.players.every(p =>
+                JSON.stringify(table.hands[p.seat]) === JSON.stringify(ids(game.hands.get(p.socketId)))
+            );
+            const meldsMatch = ['A', 'B'].every(team =>
+                JSON.stringify(table.melds[team].map(m => m.cards)) ===
+                JSON.stringify(game.teams[team].melds.map(m => ids(m.cards)))
+            );
+
+            assert(replay.frames.length === game.log.length, `${maxPlayers} players: one frame per event`);
+            assert(handsMatch, `${maxPlayers} players: every hand matches`);
+            assert(meldsMatch, `${maxPlayers} players: every meld matches`);
+            assert(JSON.stringify(table.discardPile) === JSON.stringify(ids(game.discardPile)), `${maxPlayers} players: discard pile matches`);
+            assert(table.drawPile.length === game.drawPile.length, `${maxPlayers} players: draw pile matches`);
+            assert(table.result.winner === game.winner, `${maxPlayers} players: result matches`);
+        }
+    });
+
+    test('Frames are independent so the viewer can step back', () => {
+        const game = createBotGame(2);
+        const playerId = game.getCurrentPlayerId();
+        const draw = game.drawFromPile(playerId);
+        game.discard(playerId, draw.card.id);
+
+        const { frames, cards } = replayGame(game.getGameLog());
+        assert(frames[0].table.hands[0].length === 14, 'Deal frame shows the dealt hand');
+        assert(frames[1].table.hands[0].length === 15, 'Draw frame shows the drawn card');
+        assert(frames[2].table.currentSeat === 1, 'Discard passes the turn');
+        assert(frames[0].event.hands === undefined, 'Frame events stay small');
+        assert(cards[draw.card.id].rank === draw.card.rank, 'Card ids resolve to cards');
+    });
+
+    test('Replay survives a storage round trip', () => {
+        const game = createBotGame(2);
+        playOut(game);
+
+        const storage = new MemoryStorage();
+        storage.saveGameLog(game.getGameLog());
+        const replay = replayGame(storage.loadGameLog(game.gameId));
+
+        assert(replay.gameId === game.gameId, 'Stored log replays');
+        assert(storage.loadGameLog('game-missing') === null, 'Unknown games are not found');
+    });
+
+    test('Restored games keep logging', () => {
+        const game = createBotGame(2);
+        const restored = GameState.fromJSON(JSON.parse(JSON.stringify(game)));
+        const playerId = restored.getCurrentPlayerId();
+
+        restored.drawFromPile(playerId);
+        assert(restored.log.length === 2, 'Restored game appends to its log');
+    });
+
+    test('Unknown events are rejected', () => {
+        let threw = false;
+        try {
+            applyEvent({ hands: [] }, { type: 'teleport' });
+        } catch {
+            threw = true;
+        }
+        assert(threw, 'Replay refuses events it does not understand');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
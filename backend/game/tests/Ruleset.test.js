@@ -0,0 +1,360 @@
+/**
+ * Test cases for rulesets (presets, overrides and the rules engine reading them)
+ * Run with: node backend/game/tests/Ruleset.test.js
+ */
+
+import GameState from '../GameState.js';
+import Room from '../Room.js';
+import { resolveRuleset, RULESET_PRESETS, DEFAULT_RULESET } from '../Ruleset.js';
+import { validateMeld, validateSet, validateSequence, canExtendMeld, sortSequenceMeld } from '../MeldValidator.js';
+import { calculateTeamScore } from '../Scoring.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const italian = resolveRuleset('italian').ruleset;
+
+// Hearts cards of the given ranks
+function heartsRun(ranks) {
+    return ranks.map(rank => card('hearts', rank, `h${rank}`));
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Resolving rulesets', () => {
+
+    test('Default is the Indian preset', () => {
+        const result = resolveRuleset();
+        assert(result.success === true, 'Default should resolve');
+        assert(result.ruleset.id === 'indian', 'Default id is indian');
+        assert(result.ruleset.name === 'Indian (current)', 'Default name');
+        assert(DEFAULT_RULESET.melds.maxSize === 7 && DEFAULT_RULESET.melds.maxWilds === 1, 'Current limits kept');
+    });
+
+    test('Presets by id and rooms never share the preset object', () => {
+        const result = resolveRuleset({ preset: 'italian' });
+        assert(result.ruleset.name === 'Italian classic', 'Italian preset resolves');
+        result.ruleset.melds.maxWilds = 3;
+        assert(RULESET_PRESETS.italian.melds.maxWilds === 1, 'Built-in preset unchanged');
+    });
+
+    test('Overrides mark the ruleset as custom', () => {
+        const result = resolveRuleset({ preset: 'indian', overrides: { scoring: { goingOut: 100 } } });
+        assert(result.success === true, 'Override accepted');
+        assert(result.ruleset.scoring.goingOut === 100, 'Override applied');
+        assert(result.ruleset.scoring.cleanBurraco === 200, 'Other rules kept');
+        assert(result.ruleset.name === 'Indian (current) (custom)' && result.ruleset.custom === true, 'Named as custom');
+
+        const same = resolveRuleset({ preset: 'indian', overrides: { scoring: { goingOut: 50 } } });
+        assert(!same.ruleset.custom, 'Overriding with the preset value is not custom');
+    });
+
+    test('Bad rulesets are rejected with a reason', () => {
+        assert(resolveRuleset('canasta').reason === 'Unknown ruleset: canasta', 'Unknown preset');
+        assert(resolveRuleset({ overrides: { table: {} } }).reason === 'Unknown rule section: table', 'Unknown section');
+        assert(resolveRuleset({ overrides: { melds: { colour: 1 } } }).reason === 'Unknown rule: melds.colour', 'Unknown rule');
+        assert(!resolveRuleset({ overrides: { melds: { maxWilds: 1.5 } } }).success, 'Fractions rejected');
+        assert(!resolveRuleset({ overrides: { melds: { burracoSize: null } } }).success, 'Required rule cannot be null');
+        assert(resolveRuleset({ overrides: { melds: { maxSize: 5 } } }).reason === 'Maximum meld size must allow a burraco',
+            'Max size below burraco size');
+    });
+
+    test('Room keeps the ruleset and shows it in public info', () => {
+        const room = new Room('host', 'Host', 1, 2, { ruleset: 'italian' });
+        assert(room.getPublicInfo().config.ruleset.name === 'Italian classic', 'Public info names the ruleset');
+
+        const fallback = new Room('host', 'Host', 1, 2, { ruleset: 'canasta' });
+        assert(fallback.config.ruleset.id === 'indian', 'Unusable ruleset falls back to the default');
+
+        const restored = Room.fromJSON(JSON.parse(JSON.stringify(room)));
+        assert(restored.config.ruleset.id === 'italian', 'Ruleset survives a snapshot');
+    });
+});
+
+describe('Meld validation reads the ruleset', () => {
+
+    test('Meld size limit', () => {
+        const eight = heartsRun(['3', '4', '5', '6', '7', '8', '9', '10']);
+        assert(!validateMeld(eight).valid, 'Indian: no more than 7 cards');
+        const result = validateMeld(eight, italian);
+        assert(result.valid && result.isBurraco, 'Italian: 8-card burraco is fine');
+
+        const seven = heartsRun(['3', '4', '5', '6', '7', '8', '9']);
+        assert(canExtendMeld(seven, [card('hearts', '10', 'h10')], { type: 'sequence', suit: 'hearts' }, italian).valid,
+            'Italian: burraco can keep growing');
+    });
+
+    test('Wild card limit', () => {
+        const set = [card('spades', 'K', 'sK'), card('clubs', 'K', 'cK'), card('joker', 'JOKER', 'j1')];
+        const noWilds = resolveRuleset({ overrides: { melds: { maxWilds: 0 } } }).ruleset;
+        assert(validateSet(set).valid, 'Default allows one Joker');
+        assert(validateSet(set, noWilds).reason === 'Set cannot contain wild cards', 'Limit of 0 refuses Jokers');
+    });
+
+    test('Burraco size', () => {
+        const shortBurraco = resolveRuleset({ overrides: { melds: { burracoSize: 6 } } }).ruleset;
+        const six = heartsRun(['3', '4', '5', '6', '7', '8']);
+        assert(!validateMeld(six).isBurraco, 'Default: 6 cards is not a burraco');
+        assert(validateMeld(six, shortBurraco).isBurraco, 'burracoSize 6: 6 cards is a burraco');
+    });
+});
+
+describe('2s wild (pinella)', () => {
+
+    const pinella = resolveRuleset({ overrides: { melds: { twosWild: true } } }).ruleset;
+    const ids = cards => cards.map(c => c.id).join(',');
+
+    test('Off by default: 2 is a plain card', () => {
+        const set = [card('spades', 'K', 'sK'), card('clubs', 'K', 'cK'), card('hearts', '2', 'h2')];
+        assert(!validateSet(set).valid, 'K K 2 is not a set');
+        assert(validateMeld(heartsRun(['2', '3', '4'])).isClean, '2-3-4 of hearts is clean');
+    });
+
+    test('A 2 is wild in sets and out of place in sequences', () => {
+        const set = [card('spades', 'K', 'sK'), card('clubs', 'K', 'cK'), card('hearts', '2', 'h2')];
+        const setResult = validateSet(set, pinella);
+        assert(setResult.valid && !setResult.isClean, 'K K 2 is a dirty set');
+
+        const offSuit = [card('spades', '2', 's2'), card('hearts', '3', 'h3'), card('hearts', '4', 'h4')];
+        const offSuitResult = validateSequence(offSuit, pinella);
+        assert(offSuitResult.valid && !offSuitResult.isClean && offSuitResult.suit === 'hearts', '2♠ 3♥ 4♥ is a dirty hearts sequence');
+
+        const gap = heartsRun(['2', '4', '5']);
+        assert(validateSequence(gap, pinella).valid && !validateSequence(gap, pinella).isClean, '2♥ fills the gap in 4-5 as a wild');
+    });
+
+    test('A 2 of the suit in its natural place keeps the sequence clean', () => {
+        assert(validateSequence(heartsRun(['2', '3', '4']), pinella).isClean, '2-3-4 of hearts is clean');
+        assert(validateSequence(heartsRun(['A', '2', '3']), pinella).isClean, 'A-2-3 of hearts is clean');
+
+        const withJoker = [...heartsRun(['2', '3']), card('joker', 'JOKER', 'j1')];
+        const result = validateSequence(withJoker, pinella);
+        assert(result.valid && !result.isClean, 'Natural 2 leaves room for the one Joker');
+
+        const twoTwos = [...heartsRun(['2', '3', '4']), card('hearts', '2', 'h2-1')];
+        assert(validateSequence(twoTwos, pinella).valid, 'Second 2 of the suit acts as the wild');
+        const threeWilds = [...twoTwos, card('joker', 'JOKER', 'j1')];
+        assert(!validateSequence(threeWilds, pinella).valid, 'Still only one wild allowed');
+    });
+
+    test('Sorting places wild 2s in gaps and natural 2s in order', () => {
+        const gap = [card('hearts', '3', 'h3'), card('hearts', '5', 'h5'), card('spades', '2', 's2')];
+        assert(ids(sortSequenceMeld(gap, 'hearts', pinella)) === 'h3,s2,h5', 'Wild 2 fills the 4');
+
+        const natural = heartsRun(['4', '2', '3']);
+        assert(ids(sortSequenceMeld(natural, 'hearts', pinella)) === 'h2,h3,h4', 'Natural 2 sorted in place');
+    });
+
+    test('Extending cannot add a second wild', () => {
+        const meld = [...heartsRun(['4', '5', '6']), card('joker', 'JOKER', 'j1')];
+        const result = canExtendMeld(meld, [card('spades', '2', 's2')], { type: 'sequence', suit: 'hearts' }, pinella);
+        assert(!result.valid, 'Off-suit 2 would be a second wild');
+    });
+});
+
+describe('Wild cards per meld', () => {
+
+    const twoWilds = resolveRuleset({ overrides: { melds: { maxWilds: 2 } } }).ruleset;
+    const anyWilds = resolveRuleset({ preset: 'italian', overrides: { melds: { maxWilds: null, twosWild: false } } }).ruleset;
+    const joker = n => card('joker', 'JOKER', `j${n}`);
+    const ids = cards => cards.map(c => c.id).join(',');
+    const kings = [card('spades', 'K', 'sK'), card('clubs', 'K', 'cK')];
+
+    test('Limit of 2', () => {
+        assert(validateSet([...kings, joker(1), joker(2)], twoWilds).valid, 'K K + 2 Jokers is a set');
+        assert(!validateSet([...kings, joker(1), joker(2)]).valid, 'Default limit of 1 still refuses it');
+        assert(validateSequence([...heartsRun(['5', '7']), joker(1), joker(2)], twoWilds).valid, '5 _ 7 _ with 2 Jokers');
+        const three = validateSequence([...heartsRun(['5', '6', '7', '8']), joker(1), joker(2), joker(3)], twoWilds);
+        assert(three.reason === 'Sequence can have at most 2 wild cards', 'Third Joker refused');
+    });
+
+    test('Wilds never outnumber naturals', () => {
+        const result = validateSet([kings[0], joker(1), joker(2)], twoWilds);
+        assert(result.reason === 'Wild cards cannot outnumber natural cards in a set', 'K + 2 Jokers refused');
+        assert(validateSequence([...heartsRun(['5', '6', '7', '8']), joker(1), joker(2), joker(3)], anyWilds).valid,
+            'No limit: 4 naturals + 3 Jokers');
+        assert(!validateSequence([...heartsRun(['5', '6', '7']), joker(1), joker(2), joker(3), joker(4)], anyWilds).valid,
+            'No limit: 3 naturals + 4 Jokers refused');
+    });
+
+    test('Extending keeps to the limit', () => {
+        const meld = [...heartsRun(['5', '6', '7']), joker(1), joker(2)];
+        const info = { type: 'sequence', suit: 'hearts' };
+        assert(!canExtendMeld(meld, [joker(3)], info, twoWilds).valid, 'No third Joker');
+        assert(canExtendMeld(meld, [card('hearts', '4', 'h4')], info, twoWilds).valid, 'Naturals still fit');
+    });
+
+    test('Sequences stay between Ace and Ace', () => {
+        const twoToKing = heartsRun(['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']);
+        const noMax = resolveRuleset({ preset: 'italian', overrides: { melds: { maxWilds: 2, twosWild: false } } }).ruleset;
+        assert(validateSequence([...twoToKing, joker(1)], noMax).valid, '2-K + Joker as Ace');
+        assert(!validateSequence([...twoToKing, joker(1), joker(2)], noMax).valid, 'No room for a second Joker');
+    });
+
+    test('Sorting places several wilds in gaps and at both ends', () => {
+        assert(ids(sortSequenceMeld([...heartsRun(['5', '7']), joker(1), joker(2)], 'hearts', twoWilds)) === 'h5,j1,h7,j2',
+            'One in the gap, one above');
+        assert(ids(sortSequenceMeld([...heartsRun(['J', 'Q', 'K']), joker(1), joker(2)], 'hearts', twoWilds)) === 'j2,hJ,hQ,hK,j1',
+            'Above the King as Ace, then below');
+        assert(ids(sortSequenceMeld([...heartsRun(['Q', 'K', 'A']), joker(1), joker(2)], 'hearts', twoWilds)) === 'j1,j2,hQ,hK,hA',
+            'High Ace: both below');
+        assert(ids(sortSequenceMeld([...heartsRun(['A', '2', '3']), joker(1), joker(2)], 'hearts', twoWilds)) === 'hA,h2,h3,j1,j2',
+            'Low Ace: both above');
+    });
+});
+
+describe('Scoring reads the ruleset', () => {
+
+    const dirtyBurraco = {
+        cards: [...heartsRun(['3', '4', '5', '6', '7', '8']), card('joker', 'JOKER', 'j1')],
+        isBurraco: true,
+        isClean: false
+    };
+    const setBurraco = {
+        cards: ['hearts', 'spades', 'clubs', 'diamonds', 'hearts', 'spades', 'clubs'].map((s, i) => card(s, '5', `s5-${i}`)),
+        isBurraco: true,
+        isClean: true
+    };
+
+    test('Indian scoring (default)', () => {
+        const result = calculateTeamScore({ melds: [dirtyBurraco, setBurraco], hands: [], pozzettoCount: 1, wentOut: true });
+        assert(result.dirtyBurracoPoints === 200, 'Dirty burraco 200');
+        assert(result.sameRankBurracoPoints === 100, 'Same-rank burraco 100');
+        assert(result.totalScore === 200 + 100 + 50 + 50, 'Going out +50 and pozzetto +50');
+    });
+
+    test('Indian scoring leaves burraco cards out and has no pozzetto penalty', () => {
+        const result = calculateTeamScore({ melds: [dirtyBurraco], hands: [], pozzettoCount: 0, wentOut: false });
+        assert(result.burracoCardPoints === 0, 'Burraco cards not counted');
+        assert(result.missedPozzettoPenalty === 0 && result.totalScore === 200, 'Only the burraco bonus');
+    });
+
+    test('Italian scoring', () => {
+        const result = calculateTeamScore({ melds: [dirtyBurraco, setBurraco], hands: [], pozzettoCount: 1, wentOut: true }, italian);
+        assert(result.dirtyBurracoPoints === 100, 'Dirty burraco 100');
+        assert(result.sameRankBurracos === 0 && result.cleanBurracoPoints === 200, 'Set burraco scores as clean');
+        assert(result.burracoCardPoints === 90 + 70, 'Burraco cards counted (Joker 30)');
+        assert(result.missedPozzettoPenalty === 0, 'No penalty once the pozzetto is picked up');
+        assert(result.totalScore === 160 + 100 + 200 + 100, 'Cards, bonuses, going out +100, no pozzetto bonus');
+    });
+
+    test('Unpicked pozzetto penalty', () => {
+        const hand = [card('spades', 'K', 'sK')];
+        const result = calculateTeamScore({ melds: [setBurraco], hands: [hand], pozzettoCount: 0, wentOut: false }, italian);
+        assert(result.missedPozzettoPenalty === -100, 'Team that never picked up a pozzetto loses 100');
+        assert(result.totalScore === 70 + 200 - 10 - 100, 'Penalty on top of the cards left in hand');
+    });
+
+    test('Scoring options toggle one at a time', () => {
+        const { ruleset } = resolveRuleset({ preset: 'indian', overrides: { scoring: { burracoCardValues: true } } });
+        const result = calculateTeamScore({ melds: [dirtyBurraco], hands: [], pozzettoCount: 0, wentOut: false }, ruleset);
+        assert(ruleset.custom === true, 'Toggling an option makes the ruleset custom');
+        assert(result.dirtyBurracoPoints === 200 && result.burracoCardPoints === 90, 'Indian bonus plus the cards');
+        assert(result.missedPozzettoPenalty === 0, 'Penalty still off');
+
+        const { totalScore, ...items } = calculateTeamScore({ melds: [dirtyBurraco, setBurraco], hands: [[card('spades', 'K', 'sK')]], pozzettoCount: 0, wentOut: false }, italian);
+        const sum = items.regularMeldPoints + items.burracoCardPoints + items.cleanBurracoPoints + items.dirtyBurracoPoints +
+            items.sameRankBurracoPoints + items.wentOutBonus + items.pozzettoBonus + items.handPenalty + items.missedPozzettoPenalty;
+        assert(sum === totalScore, `Line items add up to the total (${sum} = ${totalScore})`);
+    });
+});
+
+describe('Turn flow reads the ruleset', () => {
+
+    function createGame(ruleset) {
+        const players = [
+            { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+            { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+        ];
+        const game = new GameState({
+            playerCount: 2,
+            players,
+            hands: [[], [card('spades', '3', 's3'), card('spades', '4', 's4')]],
+            pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+            drawPile: [card('hearts', '8', 'h8')],
+            discardPile: [card('clubs', '4', 'c4')],
+            config: { turnTimer: 0, ruleset }
+        });
+        // Team A has already had one pozzetto and P1 is down to the card they draw
+        game.teams.A.tookPozzetto = true;
+        game.teams.A.pozzettoCount = 1;
+        game.pozzetti[0] = [];
+        return game;
+    }
+
+    test('Indian: a team keeps picking up pozzetti while any are left', () => {
+        const game = createGame(DEFAULT_RULESET);
+        game.drawFromPile('p1');
+        const result = game.discard('p1', 'h8');
+
+        assert(result.pozzettoInfo?.pozzettoIndex === 1, 'Second pozzetto taken');
+        assert(!game.isGameOver, 'Game goes on');
+    });
+
+    test('Italian: one pozzetto per team, then the team closes', () => {
+        const game = createGame(italian);
+        game.teams.A.melds.push({ id: 'meld-burraco', cards: [], isClean: true, isBurraco: true }); // needed to close
+        game.drawFromPile('p1');
+        const result = game.discard('p1', 'h8');
+
+        assert(result.gameOver === true && game.endReason === 'closing', 'Emptying the hand closes the game');
+        assert(game.pozzetti[1].length === 1, 'Other pozzetto left untouched');
+        assert(game.getPlayerView('p2').rules.id === 'italian', 'Players can see the rules in play');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,147 @@
+/**
+ * Test cases for the headless game simulator
+ * Run with: node backend/game/tests/Simulator.test.js
+ */
+
+import Room from '../Room.js';
+import {
+    allConfigs,
+    checkInvariants,
+    createRng,
+    runSimulations,
+    simulateGame,
+    formatReport
+} from '../Simulator.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+const DEFAULT_CONFIG = { playerCount: 4, deckCount: 3, jokersPerDeck: 2, pozzettoCount: 2 };
+const TOTAL_CARDS = 3 * 54;
+
+function startGame() {
+    const room = new Room('socket-host', 'Host', 1, 4);
+    room.addPlayer('socket-p2', 'P2', 1);
+    room.addPlayer('socket-p3', 'P3', 1);
+    room.addPlayer('socket-p4', 'P4', 1);
+    room.startGame();
+    return room.game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Invariants', () => {
+
+    test('Fresh deal satisfies every invariant', () => {
+        const violations = checkInvariants(startGame(), TOTAL_CARDS);
+        assert(violations.length === 0, 'No violations after the deal');
+    });
+
+    test('Lost and duplicated cards are reported', () => {
+        const game = startGame();
+        game.drawPile.pop();
+        assert(checkInvariants(game, TOTAL_CARDS).some(v => v.includes('Card count')), 'Missing card detected');
+
+        const game2 = startGame();
+        game2.drawPile[0] = game2.discardPile[0];
+        assert(checkInvariants(game2, TOTAL_CARDS).some(v => v.includes('Duplicate')), 'Duplicate card detected');
+    });
+
+    test('Invalid melds are reported', () => {
+        const game = startGame();
+        const hand = game.hands.get('socket-host');
+        game.teams.A.melds.push({ id: 'bad', type: 'set', cards: hand.splice(0, 2) });
+        assert(checkInvariants(game, TOTAL_CARDS).some(v => v.includes('invalid meld')), 'Two-card meld detected');
+    });
+});
+
+describe('Simulating games', () => {
+
+    test('Seeded random numbers repeat', () => {
+        const a = createRng(7);
+        const b = createRng(7);
+        assert([a(), a(), a()].join() === [b(), b(), b()].join(), 'Same seed gives the same sequence');
+    });
+
+    test('A game ends with a known status', () => {
+        const result = simulateGame(DEFAULT_CONFIG, { rng: createRng(1) });
+        assert(['finished', 'stuck', 'invariant'].includes(result.status), `Status is ${result.status}`);
+        assert(result.actions > 0, 'Players took actions');
+        if (result.status === 'finished') {
+            assert(typeof result.scores.A === 'number', 'Finished game has scores');
+        }
+    });
+
+    test('Turn limit is reported as stuck', () => {
+        const result = simulateGame(DEFAULT_CONFIG, { rng: createRng(1), maxTurns: 3 });
+        assert(result.status === 'stuck', 'Game should be stuck');
+        assert(result.reason.includes('3 turns'), 'Reason names the turn limit');
+    });
+
+    test('Too few cards for the table is caught at the deal', () => {
+        const result = simulateGame({ playerCount: 6, deckCount: 1, jokersPerDeck: 0, pozzettoCount: 4 });
+        assert(result.status === 'invariant', 'Short deck should break an invariant');
+        assert(result.reason.startsWith('After deal'), 'Problem found right after dealing');
+    });
+});
+
+describe('Reports', () => {
+
+    test('Configs cover every playable combination', () => {
+        assert(allConfigs().length === 85, '4 player counts x 3 decks x 3 joker counts x 3 pozzetto counts, less 23 without enough cards');
+        assert(!allConfigs().some(c => c.playerCount === 6 && c.deckCount === 2), 'Two decks never cover six players');
+    });
+
+    test('Report totals add up', () => {
+        const report = runSimulations({ gamesPerConfig: 2, configs: [DEFAULT_CONFIG], seed: 3 });
+        const row = report.byConfig[0];
+
+        assert(report.games === 2, 'Two games played');
+        assert(row.finished + row.stuck + row.crashed + row.invariantFailures === 2, 'Every game is counted once');
+        assert(report.problems.length === report.games - report.finished, 'Every unfinished game is listed');
+        assert(formatReport(report).includes('4p 3d 2j 2z'), 'Formatted report names the config');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,202 @@
+/**
+ * Test cases for room persistence (Storage.js + Room/GameState snapshots)
+ * Run with: node backend/game/tests/Storage.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Room from '../Room.js';
+import { MemoryStorage, FileStorage, createStorage } from '../Storage.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+function startTwoPlayerGame() {
+    const room = new Room('socket-host', 'Host', 1, 2, { turnTimer: 0 });
+    room.addPlayer('socket-player2', 'Player2', 2);
+    room.startGame();
+    return room;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Room snapshots', () => {
+
+    test('Waiting room round-trips', () => {
+        const room = new Room('socket-host', 'Host', 1, 4, { targetScore: 1500 });
+        room.addPlayer('socket-player2', 'Player2', 2);
+
+        const restored = Room.fromJSON(JSON.parse(JSON.stringify(room)));
+
+        assert(restored instanceof Room, 'Should be a Room');
+        assert(restored.code === room.code, 'Room code should be kept');
+        assert(restored.players.get('socket-player2').nickname === 'Player2', 'Players should be kept by socket ID');
+        assert(restored.config.targetScore === 1500, 'Config should be kept');
+        assert(restored.game === null, 'No game yet');
+    });
+
+    test('Game in progress round-trips', () => {
+        const room = startTwoPlayerGame();
+        const game = room.game;
+        const playerId = game.getCurrentPlayerId();
+        game.drawFromPile(playerId);
+
+        const restored = Room.fromJSON(JSON.parse(JSON.stringify(room)));
+        const restoredGame = restored.game;
+
+        assert(restoredGame.hands instanceof Map, 'Hands should be a Map again');
+        assert(restoredGame.hands.get(playerId).map(c => c.id).join() === game.hands.get(playerId).map(c => c.id).join(),
+            'Hand cards should be identical');
+        assert(restoredGame.drawPile.length === game.drawPile.length, 'Draw pile should be kept');
+        assert(restoredGame.currentPhase === 'meld', 'Turn phase should be kept');
+        assert(restored.match.currentRound === 1, 'Match should be restored');
+    });
+
+    test('Restored game can be played on', () => {
+        const room = startTwoPlayerGame();
+        const restored = Room.fromJSON(JSON.parse(JSON.stringify(room)));
+        const game = restored.game;
+        const playerId = game.getCurrentPlayerId();
+
+        assert(game.drawFromPile(playerId).success === true, 'Draw should work after restore');
+        assert(game.discard(playerId, game.hands.get(playerId)[0].id).success === true, 'Discard should work after restore');
+        assert(game.getCurrentPlayerId() !== playerId, 'Turn should pass');
+        assert(restored.getPlayerView('socket-host') !== null, 'Player view should work after restore');
+    });
+});
+
+describe('Storage backends', () => {
+
+    test('Memory storage keeps a snapshot, not a live reference', () => {
+        const storage = new MemoryStorage();
+        const room = startTwoPlayerGame();
+        storage.save(room);
+
+        room.game.drawPile.pop();
+        const [restored] = storage.loadAll();
+
+        assert(restored.game.drawPile.length === room.game.drawPile.length + 1, 'Snapshot should not change afterwards');
+
+        storage.remove(room.code);
+        assert(storage.loadAll().length === 0, 'Removed room should be gone');
+    });
+
+    test('File storage saves, loads and removes rooms', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buraco-storage-'));
+        try {
+            const storage = new FileStorage(directory);
+            const room = startTwoPlayerGame();
+            storage.save(room);
+
+            const restored = new FileStorage(directory).loadAll();
+            assert(restored.length === 1, 'One room should be loaded');
+            assert(restored[0].game.hands.has('socket-player2'), 'Game should be restored from disk');
+
+            fs.writeFileSync(path.join(directory, 'room-999.json'), '{ not json');
+            assert(storage.loadAll().length === 1, 'Unreadable snapshots should be skipped');
+
+            storage.remove(room.code);
+            assert(!fs.existsSync(storage.filePath(room.code)), 'Snapshot file should be deleted');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('File storage keeps finished game logs', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buraco-storage-'));
+        try {
+            const storage = new FileStorage(directory);
+            const game = startTwoPlayerGame().game;
+            storage.saveGameLog(game.getGameLog());
+
+            const log = new FileStorage(directory).loadGameLog(game.gameId);
+            assert(log.events.length === game.log.length, 'Log should be loaded from disk');
+            assert(storage.loadGameLog('game-missing') === null, 'Missing log should give null');
+            assert(storage.loadGameLog('../room-1') === null, 'Ids outside the game namespace are refused');
+            assert(storage.loadAll().length === 0, 'Game logs are not loaded as rooms');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('Only the newest game logs are kept', () => {
+        const log = gameId => ({ gameId, events: [] });
+
+        const memory = new MemoryStorage({ maxGameLogs: 2 });
+        ['game-a', 'game-b', 'game-c'].forEach(id => memory.saveGameLog(log(id)));
+        assert(memory.loadGameLog('game-a') === null, 'Memory storage drops the oldest log');
+        assert(memory.loadGameLog('game-c') !== null, 'and keeps the newest');
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'buraco-storage-'));
+        try {
+            const storage = new FileStorage(directory, { maxGameLogs: 2 });
+            ['game-a', 'game-b', 'game-c'].forEach((id, i) => {
+                storage.saveGameLog(log(id));
+                const time = new Date(Date.now() - (3 - i) * 60000); // Each log a minute newer
+                fs.utimesSync(path.join(directory, `${id}.json`), time, time);
+            });
+            storage.saveGameLog(log('game-d'));
+
+            assert(storage.loadGameLog('game-a') === null && storage.loadGameLog('game-b') === null, 'File storage deletes the oldest logs');
+            assert(storage.loadGameLog('game-c') !== null && storage.loadGameLog('game-d') !== null, 'and keeps the newest two');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('Storage type is pluggable', () => {
+        assert(createStorage({ type: 'memory' }) instanceof MemoryStorage, 'memory type gives MemoryStorage');
+
+        let threw = false;
+        try {
+            createStorage({ type: 'carrier-pigeon' });
+        } catch (err) {
+            threw = true;
+        }
+        assert(threw, 'Unknown type should throw');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,146 @@
+/**
+ * Test cases for team counts (three teams of two at six-player tables)
+ * Run with: node backend/game/tests/TeamCount.test.js
+ */
+
+import Room, { checkTeamConfig, defaultTeamCount } from '../Room.js';
+import { allConfigs } from '../Simulator.js';
+import { takeBotStep } from '../Bot.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Room with every seat filled by bots after the host
+function fullRoom(maxPlayers, roomConfig = {}) {
+    const room = new Room('socket-host', 'Host', 1, maxPlayers, roomConfig);
+    while (room.players.size < maxPlayers) room.addBot();
+    return room;
+}
+
+const teamsBySeat = room => Array.from(room.players.values())
+    .sort((a, b) => a.seat - b.seat)
+    .map(p => p.team)
+    .join('');
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Team count config', () => {
+
+    test('Tables default to partnerships, or everyone alone below four', () => {
+        assert(defaultTeamCount(2) === 2 && defaultTeamCount(3) === 3, 'Two and three players play alone');
+        assert(defaultTeamCount(4) === 2 && defaultTeamCount(6) === 2, 'Four and six play two teams');
+        assert(new Room('h', 'Host', 1, 6).config.teamCount === 2, 'Room config has the default');
+    });
+
+    test('Team counts must suit the table', () => {
+        assert(checkTeamConfig(6, { teamCount: 3 }).success, 'Six players in three teams');
+        const rejected = checkTeamConfig(4, { teamCount: 3 });
+        assert(rejected.success === false, 'Four players cannot make three teams');
+        assert(rejected.reason === '4 players can play as 2 or 4 teams', `Reason given: ${rejected.reason}`);
+        assert(new Room('h', 'Host', 1, 4, { teamCount: 3 }).config.teamCount === 2, 'Room falls back to the default');
+    });
+
+    test('Snapshots from before team counts get the default', () => {
+        const room = new Room('h', 'Host', 1, 6, { teamCount: 3 });
+        const data = JSON.parse(JSON.stringify(room));
+        delete data.config.teamCount;
+
+        assert(Room.fromJSON(data).config.teamCount === 2, 'Two teams');
+    });
+});
+
+describe('Three teams of two', () => {
+
+    test('Partners sit opposite each other', () => {
+        const room = fullRoom(6, { teamCount: 3 });
+        assert(teamsBySeat(room) === 'ABCABC', `Teams by seat: ${teamsBySeat(room)}`);
+        assert(teamsBySeat(fullRoom(6)) === 'ABABAB', 'Two teams of three alternate');
+    });
+
+    test('Swapping moves a player to the next team', () => {
+        const room = fullRoom(6, { teamCount: 3 });
+        room.swapPlayerTeam(0);
+        assert(teamsBySeat(room).startsWith('B'), 'A -> B');
+        room.swapPlayerTeam(0);
+        assert(teamsBySeat(room).startsWith('C'), 'B -> C');
+        room.swapPlayerTeam(0);
+        assert(teamsBySeat(room).startsWith('A'), 'C -> A');
+    });
+
+    test('Partners share melds and a score', () => {
+        const room = fullRoom(6, { teamCount: 3, turnTimer: 0 });
+        room.startGame();
+        const game = room.game;
+
+        assert(Object.keys(game.teams).join() === 'A,B,C', 'Three teams in the game');
+        assert(Object.values(game.teams).every(team => team.playerIds.length === 2), 'Two players each');
+
+        const [first, , , fourth] = game.players;
+        const view = game.getPlayerView(fourth.socketId);
+        assert(view.myTeam === first.team, 'Seat 3 plays with seat 0');
+        assert(Object.keys(view.teamsMelds).join() === 'A,B,C' && Object.keys(view.scores).join() === 'A,B,C', 'Melds and scores for each team');
+    });
+
+    test('Bots play a hand to the end and the match totals three teams', () => {
+        const room = fullRoom(6, { teamCount: 3, turnTimer: 0 });
+        room.startGame();
+        const game = room.game;
+        let failures = 0;
+        for (let steps = 0; !game.isGameOver && steps < 5000; steps++) {
+            if (!takeBotStep(game, game.getCurrentPlayerId()).result.success) failures++;
+        }
+
+        assert(failures === 0 && game.isGameOver, 'Hand finishes with legal moves');
+        assert(Object.keys(game.getGameResult().teamDetails).join() === 'A,B,C', 'Score breakdown per team');
+        assert(room.finishRound().success && Object.keys(room.match.totals).length === 3, 'Match keeps three totals');
+    });
+
+    test('Simulator can cover every team count', () => {
+        const configs = allConfigs({ playerCounts: [6], deckCounts: [3], jokersPerDeck: [2], pozzettoCounts: [2], allTeamCounts: true });
+        assert(configs.map(c => c.teamCount ?? 2).join() === '2,3,6', 'Two teams, three teams, everyone alone');
+        assert(allConfigs({ playerCounts: [6], deckCounts: [3], jokersPerDeck: [2], pozzettoCounts: [2] }).length === 1, 'Default teams only unless asked');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
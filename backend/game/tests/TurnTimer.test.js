@@ -0,0 +1,160 @@
+/**
+ * Test cases for the server-authoritative turn timer
+ * Run with: node backend/game/tests/TurnTimer.test.js
+ */
+
+import Room from '../Room.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+function startTwoPlayerGame(roomConfig = {}) {
+    const room = new Room('socket-host', 'Host', 1, 2, roomConfig);
+    room.addPlayer('socket-player2', 'Player2', 2);
+    room.startGame();
+    return room;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Turn deadline', () => {
+
+    test('Deadline is set from config.turnTimer', () => {
+        const before = Date.now();
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const deadline = room.game.turnDeadline;
+
+        assert(deadline >= before + 30000, 'Deadline should be 30s after start');
+        assert(deadline <= Date.now() + 30000, 'Deadline should not be later than 30s');
+
+        const view = room.getPlayerView('socket-host');
+        assert(view.turnDeadline === deadline, 'Player view should include the deadline');
+        assert(typeof view.serverTime === 'number', 'Player view should include server time');
+    });
+
+    test('Timer disabled when turnTimer is 0', () => {
+        const room = startTwoPlayerGame({ turnTimer: 0 });
+        assert(room.game.turnDeadline === null, 'No deadline when timer is off');
+        assert(room.game.isTurnExpired(Date.now() + 10 ** 9) === false, 'Turn never expires');
+    });
+
+    test('Deadline resets on next turn', () => {
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const game = room.game;
+        const playerId = game.getCurrentPlayerId();
+
+        game.drawFromPile(playerId);
+        game.turnDeadline = Date.now() - 1000; // First turn already overdue
+        const before = Date.now();
+        game.discard(playerId, game.hands.get(playerId)[0].id);
+
+        assert(game.turnDeadline >= before + 30000, 'New turn should get a fresh 30s deadline');
+    });
+});
+
+describe('Timeout move', () => {
+
+    test('Timeout before the deadline is rejected', () => {
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const result = room.game.handleTurnTimeout(Date.now());
+        assert(result.success === false, 'Should not time out early');
+    });
+
+    test('Timeout in draw phase draws and discards the drawn card', () => {
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const game = room.game;
+        const playerId = game.getCurrentPlayerId();
+        const handSize = game.hands.get(playerId).length;
+        const topOfStock = game.drawPile[game.drawPile.length - 1];
+
+        const result = game.handleTurnTimeout(game.turnDeadline);
+
+        assert(result.success === true, 'Timeout move should succeed');
+        assert(result.timedOut === true, 'Result should be flagged as a timeout');
+        assert(result.drawnFrom === 'drawPile', 'Should draw from the stock');
+        assert(result.discardedCard.id === topOfStock.id, 'Should discard the drawn card');
+        assert(game.hands.get(playerId).length === handSize, 'Hand size should be unchanged');
+        assert(game.getCurrentPlayerId() !== playerId, 'Turn should pass to the next player');
+    });
+
+    test('Timeout in meld phase only discards', () => {
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const game = room.game;
+        const playerId = game.getCurrentPlayerId();
+        game.drawFromPile(playerId);
+        const handSize = game.hands.get(playerId).length;
+        const stockSize = game.drawPile.length;
+
+        const result = game.handleTurnTimeout(game.turnDeadline);
+
+        assert(result.success === true, 'Timeout move should succeed');
+        assert(result.drawnFrom === null, 'Should not draw again');
+        assert(game.drawPile.length === stockSize, 'Stock should be untouched');
+        assert(game.hands.get(playerId).length === handSize - 1, 'One card should be discarded');
+    });
+
+    test('Timeout takes the discard pile when the stock is empty', () => {
+        const room = startTwoPlayerGame({ turnTimer: 30 });
+        const game = room.game;
+        game.drawPile = [];
+
+        const result = game.handleTurnTimeout(game.turnDeadline);
+
+        assert(result.success === true, 'Timeout move should succeed');
+        assert(result.drawnFrom === 'discardPile', 'Should take the discard pile');
+    });
+
+    test('The timeout move can end a turn with no timer', () => {
+        const room = startTwoPlayerGame({ turnTimer: 0 });
+        const game = room.game;
+        const playerId = game.getCurrentPlayerId();
+
+        const result = game.playTimeoutMove();
+
+        assert(result.success === true, 'Turn ended for the player');
+        assert(game.getCurrentPlayerId() !== playerId, 'Turn should pass to the next player');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
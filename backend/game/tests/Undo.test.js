@@ -0,0 +1,226 @@
+/**
+ * Test cases for undoing meld moves within the current turn
+ * Run with: node backend/game/tests/Undo.test.js
+ */
+
+import GameState from '../GameState.js';
+import { replayGame } from '../Replay.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+const ids = cards => cards.map(c => c.id).join(',');
+
+// Two-player game where P1 holds a hearts run, a Joker and spare cards
+function createGame({ hand = null, drawPile = null } = {}) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const hands = [
+        hand || [
+            card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7'),
+            card('hearts', '9', 'h9'), card('joker', 'JOKER', 'j1'),
+            card('spades', 'K', 'sK'), card('clubs', 'K', 'cK'), card('diamonds', 'K', 'dK'),
+            card('clubs', '2', 'c2')
+        ],
+        [card('spades', '3', 's3'), card('spades', '4', 's4')]
+    ];
+
+    return new GameState({
+        playerCount: 2,
+        players,
+        hands,
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: drawPile || [card('hearts', '8', 'h8')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0 }
+    });
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('Undo within a turn', () => {
+
+    test('Undoing a meld restores hand and melds exactly', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        const handBefore = ids(game.hands.get('p1'));
+
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        assert(game.getPlayerView('p1').canUndo === true, 'Player can undo after melding');
+
+        const result = game.undoLastMove('p1');
+        assert(result.success && result.undone === 'meld', 'Undo succeeds and reports the move');
+        assert(ids(game.hands.get('p1')) === handBefore, 'Hand is back in its original order');
+        assert(game.teams.A.melds.length === 0, 'Meld is gone');
+        assert(game.currentPhase === 'meld', 'Player can keep playing the turn');
+    });
+
+    test('Undoing an extension restores the original meld', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        const meld = game.teams.A.melds[0];
+        const meldBefore = JSON.stringify(meld);
+        const handBefore = ids(game.hands.get('p1'));
+
+        game.extendMeld('p1', meld.id, ['h8']);
+        assert(game.teams.A.melds[0].cards.length === 4, 'Meld was extended');
+
+        game.undoLastMove('p1');
+        assert(JSON.stringify(game.teams.A.melds[0]) === meldBefore, 'Meld matches its state before the extension');
+        assert(ids(game.hands.get('p1')) === handBefore, 'Card is back in hand');
+    });
+
+    test('Undoing a wild swap gives the natural card back and the Joker to the meld', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'j1']);
+        const meld = game.teams.A.melds[0];
+        const meldBefore = JSON.stringify(meld);
+        const handBefore = ids(game.hands.get('p1'));
+
+        const swap = game.replaceWildInMeld('p1', meld.id, 'j1', 'h7');
+        assert(swap.success, 'Swap succeeds');
+
+        game.undoLastMove('p1');
+        assert(JSON.stringify(game.teams.A.melds[0]) === meldBefore, 'Joker is back in the meld');
+        assert(ids(game.hands.get('p1')) === handBefore, 'Natural card is back in hand, Joker is not');
+    });
+
+    test('Moves are undone last-first, one at a time', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.playMeld('p1', ['sK', 'cK', 'dK']);
+
+        game.undoLastMove('p1');
+        assert(game.teams.A.melds.length === 1 && game.teams.A.melds[0].type === 'sequence', 'Kings meld undone first');
+
+        game.undoLastMove('p1');
+        assert(game.teams.A.melds.length === 0, 'Then the run');
+
+        const result = game.undoLastMove('p1');
+        assert(result.success === false && result.reason === 'Nothing to undo this turn', 'Nothing left to undo');
+    });
+});
+
+describe('Undo limits', () => {
+
+    test('Moves cannot be undone after discarding', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.discard('p1', 'c2');
+
+        assert(game.undoLastMove('p1').reason === 'Not your turn', 'Turn is over for P1');
+        game.drawFromPile('p2');
+        assert(game.undoLastMove('p2').success === false, 'Next player has nothing to undo');
+        assert(game.teams.A.melds.length === 1, 'Meld stays on the table');
+    });
+
+    test('Draws and discard pile pickups are not undoable', () => {
+        const game = createGame();
+        game.takeDiscardPile('p1');
+        assert(game.undoLastMove('p1').success === false, 'Taking the discard pile cannot be undone');
+    });
+
+    test('Undo is refused once the pozzetto is picked up', () => {
+        const game = createGame({
+            hand: [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('hearts', '7', 'h7')]
+        });
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        const extend = game.extendMeld('p1', game.teams.A.melds[0].id, ['h8']);
+        assert(extend.tookPozzetto === true, 'Emptying the hand picks up the pozzetto');
+
+        const result = game.undoLastMove('p1');
+        assert(result.success === false && result.reason === 'Cannot undo after picking up the pozzetto', 'Undo is refused');
+        assert(game.getPlayerView('p1').canUndo === false, 'Player view hides undo');
+        assert(game.teams.A.melds[0].cards.length === 4, 'Table is unchanged');
+    });
+
+    test('Other players cannot undo', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+
+        assert(game.undoLastMove('p2').reason === 'Not your turn', 'P2 cannot undo P1\'s meld');
+        assert(game.getPlayerView('p2').canUndo === false, 'P2 is not offered undo');
+    });
+});
+
+describe('Undo in the action log', () => {
+
+    test('Replay follows the rollback', () => {
+        const game = createGame();
+        game.drawFromPile('p1');
+        game.playMeld('p1', ['h5', 'h6', 'h7']);
+        game.extendMeld('p1', game.teams.A.melds[0].id, ['h8']);
+        game.undoLastMove('p1');
+
+        const { frames } = replayGame(game.getGameLog());
+        const { event, table } = frames[frames.length - 1];
+
+        assert(event.type === 'undo' && event.undone === 'extendMeld', 'Undo is logged');
+        assert(table.hands[0].join(',') === ids(game.hands.get('p1')), 'Replayed hand matches');
+        assert(table.melds.A[0].cards.join(',') === ids(game.teams.A.melds[0].cards), 'Replayed meld matches');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,172 @@
+/**
+ * Test cases for the rank each wild stands for in a meld (recorded on play, extend, swap and undo)
+ * Run with: node backend/game/tests/WildRanks.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset, DEFAULT_RULESET } from '../Ruleset.js';
+import { replayGame } from '../Replay.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+
+function meldRules(melds) {
+    return resolveRuleset({ preset: 'indian', overrides: { melds } }).ruleset;
+}
+
+/**
+ * Two-player game on P1's meld phase (after drawing c9), with Team A's meld laid
+ * from meldCards and P1 holding hand
+ */
+function createGame(meldCards, hand, ruleset = DEFAULT_RULESET) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const game = new GameState({
+        playerCount: 2,
+        players,
+        hands: [[...meldCards, ...hand], [card('spades', '3', 's3'), card('spades', '4', 's4')]],
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('clubs', '9', 'c9')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0, ruleset }
+    });
+    game.drawFromPile('p1');
+    game.playMeld('p1', meldCards.map(c => c.id));
+    return game;
+}
+
+const represents = meld => JSON.stringify(meld.represents);
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('New melds', () => {
+
+    test('A wild filling a gap stands for the missing rank', () => {
+        const game = createGame([card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')], [card('clubs', 'K', 'cK')]);
+        assert(represents(game.teams.A.melds[0]) === '{"j1":"6"}', 'Joker is the 6');
+    });
+
+    test('A wild above the King stands for the Ace', () => {
+        const game = createGame([card('hearts', 'Q', 'hQ'), card('hearts', 'K', 'hK'), card('joker', 'JOKER', 'j1')], [card('clubs', 'K', 'cK')]);
+        assert(represents(game.teams.A.melds[0]) === '{"j1":"A"}', 'Joker is the high Ace');
+    });
+
+    test('Wilds in a set stand for the set\'s rank', () => {
+        const game = createGame([card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('joker', 'JOKER', 'j1')], [card('clubs', 'K', 'cK')]);
+        assert(represents(game.teams.A.melds[0]) === '{"j1":"9"}', 'Joker is a 9');
+    });
+
+    test('Clean melds and natural 2s have nothing to show', () => {
+        const rules = meldRules({ twosWild: true });
+        const game = createGame([card('hearts', 'A', 'hA'), card('hearts', '2', 'h2'), card('hearts', '3', 'h3')], [card('clubs', 'K', 'cK')], rules);
+        assert(represents(game.teams.A.melds[0]) === '{}', 'No wilds listed');
+    });
+});
+
+describe('Changing a meld', () => {
+
+    test('Extending recalculates where the wild sits', () => {
+        const game = createGame([card('hearts', 'Q', 'hQ'), card('hearts', 'K', 'hK'), card('joker', 'JOKER', 'j1')], [card('hearts', 'A', 'hA'), card('clubs', 'K', 'cK')]);
+        const meld = game.teams.A.melds[0];
+        assert(game.extendMeld('p1', meld.id, ['hA']).success, 'Ace added');
+        assert(represents(meld) === '{"j1":"J"}', 'Joker moves down to the Jack');
+    });
+
+    test('Replacing the wild clears it', () => {
+        const game = createGame([card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')], [card('hearts', '6', 'h6'), card('clubs', 'K', 'cK')]);
+        const meld = game.teams.A.melds[0];
+        assert(game.replaceWildInMeld('p1', meld.id, 'j1', 'h6').success, 'Joker swapped out');
+        assert(represents(meld) === '{}', 'Nothing left to show');
+    });
+
+    test('Undo brings back the earlier ranks', () => {
+        const game = createGame([card('hearts', 'Q', 'hQ'), card('hearts', 'K', 'hK'), card('joker', 'JOKER', 'j1')], [card('hearts', 'A', 'hA'), card('clubs', 'K', 'cK')]);
+        game.extendMeld('p1', game.teams.A.melds[0].id, ['hA']);
+        game.undoLastMove('p1');
+        assert(represents(game.teams.A.melds[0]) === '{"j1":"A"}', 'Joker is the Ace again');
+    });
+});
+
+describe('Sharing the ranks', () => {
+
+    const meld = () => [card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')];
+
+    test('Every player sees them', () => {
+        const game = createGame(meld(), [card('clubs', 'K', 'cK')]);
+        assert(represents(game.getPlayerView('p2').teamsMelds.A[0]) === '{"j1":"6"}', 'Opponent view has them');
+    });
+
+    test('Replay frames keep them', () => {
+        const game = createGame(meld(), [card('clubs', 'K', 'cK')]);
+        const { table } = replayGame(game.getGameLog()).frames.at(-1);
+        assert(represents(table.melds.A[0]) === '{"j1":"6"}', 'Replayed meld has them');
+    });
+
+    test('Older snapshots get them on restore', () => {
+        const game = createGame(meld(), [card('clubs', 'K', 'cK')]);
+        const data = JSON.parse(JSON.stringify(game.toJSON()));
+        delete data.teams.A.melds[0].represents;
+
+        const restored = GameState.fromJSON(data);
+        assert(represents(restored.teams.A.melds[0]) === '{"j1":"6"}', 'Worked out from the cards');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,259 @@
+/**
+ * Test cases for swapping wild cards out of melds (exact stand-in card, sets, returned wild rule)
+ * Run with: node backend/game/tests/WildSwap.test.js
+ */
+
+import GameState from '../GameState.js';
+import { resolveRuleset, DEFAULT_RULESET } from '../Ruleset.js';
+import { wildStandIns, canReplaceWild } from '../MeldValidator.js';
+import { takeBotStep } from '../Bot.js';
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`  ✅ ${message}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ ${message}`);
+        testsFailed++;
+    }
+}
+
+function describe(name, fn) {
+    console.log(`\n📋 ${name}`);
+    fn();
+}
+
+function test(name, fn) {
+    console.log(`\n  🧪 ${name}`);
+    try {
+        fn();
+    } catch (err) {
+        console.log(`  ❌ Error: ${err.message}`);
+        testsFailed++;
+    }
+}
+
+// Helper to create cards
+function card(suit, rank, id) {
+    const isJoker = rank === 'JOKER';
+    return {
+        id: id || `${suit}-${rank}-0`,
+        suit: isJoker ? 'joker' : suit,
+        rank,
+        isWild: isJoker,
+        isJoker,
+        value: isJoker ? 30 : 10
+    };
+}
+
+function meldRules(melds) {
+    return resolveRuleset({ preset: 'indian', overrides: { melds } }).ruleset;
+}
+
+const standIn = (cards, info, rules = DEFAULT_RULESET) =>
+    wildStandIns(cards, info, rules).map(w => `${w.card.id}=${w.rank}`).join();
+
+/**
+ * Two-player game on P1's meld phase (after drawing c9), with Team A's meld laid
+ * from meldCards and P1 holding hand
+ */
+function createGame(meldCards, hand, ruleset = DEFAULT_RULESET) {
+    const players = [
+        { socketId: 'p1', nickname: 'P1', team: 'A', seat: 0 },
+        { socketId: 'p2', nickname: 'P2', team: 'B', seat: 1 }
+    ];
+    const game = new GameState({
+        playerCount: 2,
+        players,
+        hands: [[...meldCards, ...hand], [card('spades', '3', 's3'), card('spades', '4', 's4')]],
+        pozzetti: [[card('diamonds', 'Q', 'dQ')], [card('diamonds', 'J', 'dJ')]],
+        drawPile: [card('clubs', '9', 'c9')],
+        discardPile: [card('clubs', '4', 'c4')],
+        config: { turnTimer: 0, ruleset }
+    });
+    game.drawFromPile('p1');
+    game.playMeld('p1', meldCards.map(c => c.id));
+    return game;
+}
+
+// ============================================
+// TEST CASES
+// ============================================
+
+describe('What a wild stands for', () => {
+
+    const hearts = { type: 'sequence', suit: 'hearts' };
+
+    test('A wild filling a gap stands for the missing rank', () => {
+        const cards = [card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')];
+        assert(standIn(cards, hearts) === 'j1=6', 'Joker is the 6');
+    });
+
+    test('A wild at the end stands for the next rank up, or down from the high Ace', () => {
+        const up = [card('hearts', '5', 'h5'), card('hearts', '6', 'h6'), card('joker', 'JOKER', 'j1')];
+        assert(standIn(up, hearts) === 'j1=7', 'Joker above 5-6 is the 7');
+
+        const down = [card('hearts', 'Q', 'hQ'), card('hearts', 'K', 'hK'), card('hearts', 'A', 'hA'), card('joker', 'JOKER', 'j1')];
+        assert(standIn(down, hearts) === 'j1=J', 'Joker below Q-K-A is the Jack');
+    });
+
+    test('Ace-around sequences wrap the stand-in rank', () => {
+        const rules = meldRules({ aceAround: true });
+        const cards = [card('hearts', 'K', 'hK'), card('joker', 'JOKER', 'j1'), card('hearts', '2', 'h2')];
+        assert(standIn(cards, hearts, rules) === 'j1=A', 'Joker between K and 2 is the Ace');
+    });
+
+    test('A 2 in its natural place is not a wild', () => {
+        const rules = meldRules({ twosWild: true });
+        const cards = [card('hearts', 'A', 'hA'), card('hearts', '2', 'h2'), card('hearts', '3', 'h3'), card('joker', 'JOKER', 'j1')];
+        assert(standIn(cards, hearts, rules) === 'j1=4', 'Only the Joker is listed');
+    });
+
+    test('Wilds in a set stand for the set\'s rank', () => {
+        const cards = [card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('joker', 'JOKER', 'j1')];
+        assert(standIn(cards, { type: 'set', rank: '9' }) === 'j1=9', 'Joker is a 9');
+    });
+});
+
+describe('Swapping a wild out of a sequence', () => {
+
+    const meld = () => [card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')];
+
+    test('The natural card the wild stands for takes its place', () => {
+        const game = createGame(meld(), [card('hearts', '6', 'h6'), card('clubs', 'K', 'cK')]);
+        const result = game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+
+        assert(result.success && result.returnedWild.id === 'j1', 'Swap succeeds, Joker returned');
+        assert(game.teams.A.melds[0].cards.map(c => c.id).join() === 'h5,h6,h7', 'Meld is 5-6-7');
+        assert(game.teams.A.melds[0].isClean, 'and clean');
+        assert(game.hands.get('p1').some(c => c.id === 'j1'), 'Joker in hand');
+    });
+
+    test('Any other card is refused, even one that would still make a sequence', () => {
+        const game = createGame(meld(), [card('hearts', '8', 'h8'), card('spades', '6', 's6')]);
+        const meldId = game.teams.A.melds[0].id;
+
+        const wrongRank = game.replaceWildInMeld('p1', meldId, 'j1', 'h8');
+        assert(wrongRank.success === false, '8 of hearts refused');
+        assert(wrongRank.reason === 'That wild stands for the 6 of hearts - only that card can replace it', `Reason given: ${wrongRank.reason}`);
+
+        assert(game.replaceWildInMeld('p1', meldId, 'j1', 's6').success === false, '6 of spades refused');
+        assert(game.teams.A.melds[0].cards.some(c => c.id === 'j1'), 'Joker stays in the meld');
+    });
+
+    test('Natural cards cannot be swapped out', () => {
+        const result = canReplaceWild(meld(), meld()[0], card('hearts', '5', 'h5b'), { type: 'sequence', suit: 'hearts' });
+        assert(result.reason === 'Selected card is not a wild card in this meld', `Reason given: ${result.reason}`);
+    });
+});
+
+describe('Swapping a wild out of a set', () => {
+
+    const nines = () => [card('hearts', '9', 'h9'), card('spades', '9', 's9'), card('joker', 'JOKER', 'j1')];
+
+    test('Refused unless the ruleset allows it', () => {
+        const game = createGame(nines(), [card('clubs', '9', 'c9b'), card('clubs', 'K', 'cK')]);
+        const result = game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'c9b');
+
+        assert(result.reason === 'Wild cards cannot be taken back from sets', `Reason given: ${result.reason}`);
+    });
+
+    test('Any card of the set\'s rank replaces the wild when allowed', () => {
+        const rules = meldRules({ wildSwapInSets: true });
+        const game = createGame(nines(), [card('clubs', '9', 'c9b'), card('clubs', '8', 'c8')], rules);
+        const meldId = game.teams.A.melds[0].id;
+
+        assert(game.replaceWildInMeld('p1', meldId, 'j1', 'c8').reason === 'That wild stands for a 9 - only that card can replace it', 'An 8 is refused');
+        assert(game.replaceWildInMeld('p1', meldId, 'j1', 'c9b').success, 'A 9 takes its place');
+        assert(game.teams.A.melds[0].isClean && game.teams.A.melds[0].cards.length === 3, 'Set is clean, same size');
+    });
+});
+
+describe('The returned wild', () => {
+
+    const rules = meldRules({ returnedWild: 'meldThisTurn' });
+    const meld = () => [card('hearts', '5', 'h5'), card('joker', 'JOKER', 'j1'), card('hearts', '7', 'h7')];
+    const hand = () => [card('hearts', '6', 'h6'), card('spades', 'K', 'sK'), card('clubs', 'K', 'cK'), card('diamonds', '3', 'd3')];
+
+    test('Free to keep by default', () => {
+        const game = createGame(meld(), hand());
+        const swap = game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+
+        assert(swap.mustMeld === false, 'No obligation');
+        assert(game.discard('p1', 'd3').success, 'Player may discard');
+    });
+
+    test('Under meldThisTurn it blocks the discard until melded', () => {
+        const game = createGame(meld(), hand(), rules);
+        const swap = game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+
+        assert(swap.success && swap.mustMeld === true, 'Swap flags the obligation');
+        assert(game.getPlayerView('p1').mustMeldWildIds.join() === 'j1', 'Player view names the wild');
+        assert(game.getPlayerView('p2').mustMeldWildIds.length === 0, 'Only shown to the player on turn');
+
+        const blocked = game.discard('p1', 'd3');
+        assert(blocked.reason === 'Meld the wild card you took back before discarding, or undo the swap', `Reason given: ${blocked.reason}`);
+
+        assert(game.playMeld('p1', ['sK', 'cK', 'j1']).success, 'Wild melded with the Kings');
+        assert(game.discard('p1', 'd3').success, 'Discard allowed');
+    });
+
+    test('Undoing the swap lifts the obligation', () => {
+        const game = createGame(meld(), hand(), rules);
+        game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+        game.undoLastMove('p1');
+
+        assert(game.discard('p1', 'd3').success, 'Discard allowed once the Joker is back');
+    });
+
+    test('Turn timeout melds the wild for the player', () => {
+        const game = createGame(meld(), hand(), rules);
+        game.config.turnTimer = 30;
+        game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+        game.turnDeadline = 1000;
+
+        const result = game.handleTurnTimeout(2000);
+        assert(result.success && game.getCurrentPlayerId() === 'p2', 'Turn passed');
+        assert(!game.hands.get('p1').some(c => c.id === 'j1'), 'Joker no longer in hand');
+    });
+
+    test('Turn timeout undoes the swap when the wild cannot be melded', () => {
+        const game = createGame(meld(), [card('hearts', '6', 'h6'), card('spades', 'K', 'sK'), card('clubs', 'Q', 'cQ')], rules);
+        game.config.turnTimer = 30;
+        const meldId = game.teams.A.melds[0].id;
+        game.replaceWildInMeld('p1', meldId, 'j1', 'h6');
+        game.turnDeadline = 1000;
+
+        assert(game.handleTurnTimeout(2000).success, 'Timeout move played');
+        assert(game.teams.A.melds[0].cards.some(c => c.id === 'j1'), 'Joker is back in the meld');
+    });
+
+    test('A bot taking over melds the wild first', () => {
+        const game = createGame(meld(), hand(), rules);
+        game.replaceWildInMeld('p1', game.teams.A.melds[0].id, 'j1', 'h6');
+        const step = takeBotStep(game, 'p1');
+
+        assert(['meld', 'extendMeld'].includes(step.type) && step.result.success, 'Bot melds first');
+        assert(game.teams.A.melds.some(m => m.cards.some(c => c.id === 'j1')), 'using the Joker');
+        assert(takeBotStep(game, 'p1').type === 'discard' && game.getCurrentPlayerId() === 'p2', 'Then discards');
+    });
+});
+
+// ============================================
+// Run tests and print summary
+// ============================================
+
+console.log('\n' + '='.repeat(50));
+console.log('TEST SUMMARY');
+console.log('='.repeat(50));
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('='.repeat(50));
+
+if (testsFailed > 0) {
+    process.exit(1);
+}
@@ -3,7 +3,8 @@
  * Tests wild card (JOKER) repositioning and sequence extension
  */
 
-import { canExtendMeld, validateMeld, sortSequenceMeld } from '../MeldValidator.js';
+import { canExtendMeld, validateMeld, sortSequenceMeld, placeSequence } from '../MeldValidator.js';
+import { resolveRuleset } from '../Ruleset.js';
 
 // Helper to create card objects
 function card(rank, suit, id) {
@@ -306,6 +307,107 @@ runTest('Add A and 2 to 10-J-Q-JOKER (gap too large)', () => {
     };
 });
 
+const aceAround = resolveRuleset({ preset: 'indian', overrides: { melds: { aceAround: true } } }).ruleset;
+const ranksOf = cards => cards.map(c => c.rank).join(' ');
+
+// ============================================================
+// Test 11: Ace placement (shared by validation, sorting and extension)
+// ============================================================
+runTest('Ace is placed low, high or around by one routine', () => {
+    const place = (ranks, rules) => placeSequence(ranks.map(r => card(r, 'spades')), rules)
+        .map(p => `${p.card.rank}:${p.idx}`).join(' ');
+
+    const checks = [
+        [place(['2', 'A', '3']), 'A:0 2:1 3:2'],
+        [place(['K', 'A', 'Q']), 'Q:11 K:12 A:13'],
+        [place(['A', 'Q']), 'Q:11 A:13'],
+        [place(['2', 'A', 'K']), 'A:0 2:1 K:12'],
+        [place(['2', 'A', 'K'], aceAround), 'K:12 A:13 2:14'],
+        [place(['3', 'Q', 'A', '2', 'K'], aceAround), 'Q:11 K:12 A:13 2:14 3:15']
+    ];
+    const wrong = checks.find(([actual, expected]) => actual !== expected);
+    const duplicate = placeSequence([card('A', 'spades', 'a1'), card('A', 'spades', 'a2')]);
+
+    return {
+        passed: !wrong && duplicate === null,
+        reason: wrong ? `Expected ${wrong[1]}, got ${wrong[0]}` : duplicate !== null ? 'Duplicate Aces should not place' : null
+    };
+});
+
+// ============================================================
+// Test 12: JOKER between Q and a high Ace
+// ============================================================
+runTest('Sort A-Q-JOKER as Q-JOKER-A', () => {
+    const cards = [card('A', 'hearts'), card('Q', 'hearts'), card('JOKER', 'joker', 'joker-1')];
+    const result = validateMeld(cards);
+    const actual = ranksOf(sortSequenceMeld(cards, 'hearts'));
+
+    return {
+        passed: result.valid && actual === 'Q JOKER A',
+        reason: !result.valid ? 'Should be valid' : `Expected Q JOKER A, got ${actual}`
+    };
+});
+
+// ============================================================
+// Test 13: JOKER extends K-A downward
+// ============================================================
+runTest('Sort K-A-JOKER as JOKER-K-A (nothing above a high Ace)', () => {
+    const cards = [card('K', 'clubs'), card('A', 'clubs'), card('JOKER', 'joker', 'joker-1')];
+    const result = validateMeld(cards);
+    const actual = ranksOf(sortSequenceMeld(cards, 'clubs'));
+
+    return {
+        passed: result.valid && actual === 'JOKER K A',
+        reason: !result.valid ? 'Should be valid' : `Expected JOKER K A, got ${actual}`
+    };
+});
+
+// ============================================================
+// Test 14: Q-K-A-2-3 only with ace-around sequences
+// ============================================================
+runTest('Q-K-A-2-3 wraps only with aceAround', () => {
+    const cards = ['3', 'A', 'Q', '2', 'K'].map(r => card(r, 'diamonds'));
+    const plain = validateMeld(cards);
+    const wrapped = validateMeld(cards, aceAround);
+    const actual = ranksOf(sortSequenceMeld(cards, 'diamonds', aceAround));
+
+    return {
+        passed: !plain.valid && wrapped.valid && wrapped.isClean && actual === 'Q K A 2 3',
+        reason: plain.valid ? 'Should be invalid without aceAround'
+            : !wrapped.valid ? `Should be valid with aceAround: ${wrapped.reason}`
+            : `Expected Q K A 2 3, got ${actual}`
+    };
+});
+
+// ============================================================
+// Test 15: JOKER next to the Ace in a wrapped sequence
+// ============================================================
+runTest('Sort K-A-JOKER-3 as K-A-JOKER-3 with aceAround', () => {
+    const cards = [card('3', 'hearts'), card('JOKER', 'joker', 'joker-1'), card('K', 'hearts'), card('A', 'hearts')];
+    const result = validateMeld(cards, aceAround);
+    const actual = ranksOf(sortSequenceMeld(cards, 'hearts', aceAround));
+
+    return {
+        passed: result.valid && actual === 'K A JOKER 3',
+        reason: !result.valid ? `Should be valid: ${result.reason}` : `Expected K A JOKER 3, got ${actual}`
+    };
+});
+
+// ============================================================
+// Test 16: Extending a high Ace past itself
+// ============================================================
+runTest('Add 2 to Q-K-A only with aceAround', () => {
+    const existing = [card('Q', 'spades'), card('K', 'spades'), card('A', 'spades')];
+    const meldInfo = { type: 'sequence', suit: 'spades', isClean: true };
+    const plain = canExtendMeld(existing, [card('2', 'spades')], meldInfo);
+    const wrapped = canExtendMeld(existing, [card('2', 'spades')], meldInfo, aceAround);
+
+    return {
+        passed: !plain.valid && wrapped.valid,
+        reason: plain.valid ? 'Should be invalid without aceAround' : `Should be valid with aceAround: ${wrapped.reason}`
+    };
+});
+
 // ============================================================
 // Summary
 // ============================================================
@@ -9,9 +9,14 @@ import { createServer } from 'http';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import Room from './game/Room.js';
+import Room, { checkDealConfig, checkTeamConfig, PLAYER_COUNTS } from './game/Room.js';
+import { takeBotStep } from './game/Bot.js';
+import { createStorage } from './game/Storage.js';
+import { replayGame } from './game/Replay.js';
+import { resolveRuleset } from './game/Ruleset.js';
 import {
     createSession,
+    restoreSession,
     getSession,
     joinRoom as sessionJoinRoom,
     leaveRoom as sessionLeaveRoom,
@@ -35,8 +40,30 @@ const httpServer = createServer(app);
 app.use(cors());
 app.use(express.json());
 
-// Room storage (in-memory)
+// Live rooms, snapshotted to storage so games survive a restart
+// STORAGE=memory disables persistence; STORAGE_DIR picks the snapshot directory;
+// MAX_GAME_LOGS caps how many finished hands are kept for replays
 const rooms = new Map(); // roomCode -> Room instance
+const storage = createStorage({
+    type: process.env.STORAGE || 'file',
+    directory: process.env.STORAGE_DIR || path.join(__dirname, 'data'),
+    maxGameLogs: Number(process.env.MAX_GAME_LOGS) || undefined
+});
+
+// Pause between hands so players can read the round breakdown
+const NEXT_ROUND_DELAY_MS = 15 * 1000;
+
+// Server-side turn timers (the server owns each turn's deadline)
+const turnTimers = new Map(); // roomCode -> timeout handle
+const TURN_TIMEOUT_GRACE_MS = 500; // Allow for network latency on last-second moves
+
+// Bots play one action per step, paced so humans can follow along
+const botTimers = new Map(); // roomCode -> timeout handle
+const BOT_STEP_DELAY_MS = 1200;
+
+// Seats of players who drop mid-game are held this long before a bot takes over
+const disconnectTimers = new Map(); // playerId -> timeout handle
+const DISCONNECT_GRACE_MS = 2 * 60 * 1000;
 
 // Serve frontend static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -89,6 +116,9 @@ app.get('/api/events/:playerId', (req, res) => {
     // Send initial connected event
     res.write(`event: connected\ndata: ${JSON.stringify({ playerId })}\n\n`);
 
+    // Reattach a returning player to their seat
+    handlePlayerReconnect(playerId);
+
     // Keep-alive ping every 15 seconds
     const keepAliveInterval = setInterval(() => {
         try {
@@ -101,25 +131,18 @@ app.get('/api/events/:playerId', (req, res) => {
     // Handle client disconnect
     req.on('close', () => {
         clearInterval(keepAliveInterval);
-        removeSseResponse(playerId);
+
+        // A newer stream has already replaced this one
+        if (!removeSseResponse(playerId, res)) return;
 
         // Handle player leaving room
         const roomCode = getPlayerRoom(playerId);
         if (roomCode) {
             const room = rooms.get(roomCode);
-            if (room) {
-                room.removePlayer(playerId);
-                sessionLeaveRoom(playerId);
-
-                if (room.players.size === 0) {
-                    rooms.delete(roomCode);
-                    console.log(`Room ${roomCode} removed (empty)`);
-                } else {
-                    // Notify remaining players
-                    broadcastToRoom(roomCode, 'playerLeft', {
-                        roomInfo: room.getPublicInfo()
-                    });
-                }
+            if (room && room.status !== 'waiting') {
+                handlePlayerDisconnect(roomCode, room, playerId);
+            } else if (room) {
+                removeWaitingPlayer(roomCode, room, playerId);
             }
         }
 
@@ -127,6 +150,240 @@ app.get('/api/events/:playerId', (req, res) => {
     });
 });
 
+/**
+ * Take a player out of a room that has not started yet
+ */
+function removeWaitingPlayer(roomCode, room, playerId) {
+    room.removePlayer(playerId);
+    sessionLeaveRoom(playerId);
+
+    if (!room.hasHumanPlayers()) {
+        deleteRoom(roomCode);
+        console.log(`Room ${roomCode} removed (empty)`);
+    } else {
+        // Notify remaining players
+        broadcastToRoom(roomCode, 'playerLeft', {
+            roomInfo: room.getPublicInfo()
+        });
+        persistRoom(room);
+    }
+}
+
+/**
+ * Hold a dropped player's seat and start the grace period
+ */
+function handlePlayerDisconnect(roomCode, room, playerId) {
+    const player = room.players.get(playerId);
+    if (!player || player.isBot) return;
+
+    room.removePlayer(playerId);
+    console.log(`${player.nickname} disconnected from room ${roomCode}`);
+
+    broadcastToRoom(roomCode, 'playerDisconnected', {
+        nickname: player.nickname,
+        seat: player.seat,
+        graceMs: DISCONNECT_GRACE_MS
+    });
+    sendGameState(room);
+    persistRoom(room);
+
+    startGraceTimer(roomCode, room, playerId);
+}
+
+/**
+ * Hold a disconnected player's seat for the grace period
+ * Seats restored into a waiting room are held the same way, then freed if nobody came back
+ */
+function startGraceTimer(roomCode, room, playerId) {
+    clearDisconnectTimer(playerId);
+    disconnectTimers.set(playerId, setTimeout(() => {
+        disconnectTimers.delete(playerId);
+        const player = room.players.get(playerId);
+        if (rooms.get(roomCode) !== room || !player) return;
+
+        if (player.disconnected) {
+            handleGraceExpired(roomCode, room, playerId);
+        } else if (!getSession(playerId)?.sseResponse) {
+            // Restored seat whose player never reconnected
+            if (room.status === 'waiting') {
+                removeWaitingPlayer(roomCode, room, playerId);
+            } else {
+                handlePlayerDisconnect(roomCode, room, playerId);
+            }
+        }
+    }, DISCONNECT_GRACE_MS));
+}
+
+/**
+ * Grace period is over: close the room if nobody is left, otherwise a bot plays the seat
+ */
+function handleGraceExpired(roomCode, room, playerId) {
+    if (!room.hasConnectedPlayers()) {
+        deleteRoom(roomCode);
+        console.log(`Room ${roomCode} removed (all players gone)`);
+        return;
+    }
+
+    if (!room.replaceWithBot(playerId)) return;
+
+    console.log(`Bot took over ${room.players.get(playerId).nickname}'s seat in room ${roomCode}`);
+    broadcastPlayerAction(roomCode, room, playerId, 'botTakeover');
+    sendGameState(room);
+    persistRoom(room);
+    scheduleBotTurn(roomCode, room);
+}
+
+/**
+ * Reattach a player whose SSE stream reconnected and send them the full view
+ */
+function handlePlayerReconnect(playerId) {
+    const roomCode = getPlayerRoom(playerId);
+    const room = roomCode && rooms.get(roomCode);
+    if (!room || !room.game) return;
+
+    const player = room.players.get(playerId);
+    if (!player) return;
+
+    const wasOffline = player.disconnected;
+    room.reconnectPlayer(playerId);
+    clearDisconnectTimer(playerId);
+
+    sendToPlayer(playerId, 'reconnected', {
+        roomInfo: room.getPublicInfo(),
+        gameState: room.getPlayerView(playerId)
+    });
+
+    if (wasOffline) {
+        console.log(`${player.nickname} reconnected to room ${roomCode}`);
+        announceReconnect(roomCode, room, playerId);
+    }
+}
+
+/**
+ * Tell the table a player is back (and stop any bot playing their seat)
+ */
+function announceReconnect(roomCode, room, playerId) {
+    const player = room.players.get(playerId);
+    broadcastToRoom(roomCode, 'playerReconnected', {
+        nickname: player.nickname,
+        seat: player.seat
+    }, playerId);
+    sendGameState(room);
+    persistRoom(room);
+    scheduleBotTurn(roomCode, room);
+}
+
+/**
+ * Cancel a pending grace-period timer
+ */
+function clearDisconnectTimer(playerId) {
+    const timer = disconnectTimers.get(playerId);
+    if (timer) {
+        clearTimeout(timer);
+        disconnectTimers.delete(playerId);
+    }
+}
+
+/**
+ * Remove a room and stop its timers
+ */
+function deleteRoom(roomCode) {
+    const room = rooms.get(roomCode);
+    clearTurnTimer(roomCode);
+    clearBotTurn(roomCode);
+    if (room) {
+        for (const playerId of room.players.keys()) {
+            clearDisconnectTimer(playerId);
+        }
+    }
+    rooms.delete(roomCode);
+
+    try {
+        storage.remove(roomCode);
+    } catch (err) {
+        console.error(`Failed to remove stored room ${roomCode}:`, err.message);
+    }
+}
+
+/**
+ * Snapshot a room to storage (errors are logged, never thrown to players)
+ */
+function persistRoom(room) {
+    try {
+        storage.save(room);
+    } catch (err) {
+        console.error(`Failed to save room ${room.code}:`, err.message);
+    }
+}
+
+/**
+ * Keep a finished hand's log in storage so it can be replayed later
+ */
+function archiveGameLog(game) {
+    try {
+        storage.saveGameLog(game.getGameLog());
+    } catch (err) {
+        console.error(`Failed to save log for ${game.gameId}:`, err.message);
+    }
+}
+
+/**
+ * Find the log of a finished game (live rooms first, then storage)
+ * Logs show every hand, so games still being played are refused
+ */
+function findGameLog(gameId) {
+    for (const room of rooms.values()) {
+        if (room.game?.gameId !== gameId) continue;
+        if (!room.game.isGameOver) {
+            return { success: false, status: 403, reason: 'Game is still in progress' };
+        }
+        return { success: true, log: room.game.getGameLog() };
+    }
+
+    const log = storage.loadGameLog(gameId);
+    if (!log) {
+        return { success: false, status: 404, reason: 'Game not found' };
+    }
+    return { success: true, log };
+}
+
+/**
+ * Load rooms saved before the last shutdown and resume their games
+ * Players start out disconnected and reconnect with their existing player ID within the grace period
+ */
+function restoreRooms() {
+    for (const room of storage.loadAll()) {
+        if (room.status === 'finished') {
+            storage.remove(room.code);
+            continue;
+        }
+
+        rooms.set(room.code, room);
+
+        for (const [playerId, player] of room.players) {
+            if (player.isBot && !player.replacedByBot) continue;
+
+            restoreSession(playerId, room.code, player.nickname, player.avatarId);
+            if (room.status === 'playing') {
+                room.removePlayer(playerId); // Marks the seat as disconnected
+            }
+            if (!player.replacedByBot) {
+                startGraceTimer(room.code, room, playerId);
+            }
+        }
+
+        if (room.game?.isGameOver) {
+            scheduleNextRound(room.code, room);
+        } else if (room.game) {
+            room.game.startTurnClock(); // Nobody should lose a turn to the restart
+            scheduleTurnTimer(room.code, room);
+            scheduleBotTurn(room.code, room);
+        }
+
+        console.log(`Restored room ${room.code} (${room.status})`);
+    }
+}
+
 /**
  * Create a new room
  */
@@ -142,13 +399,32 @@ app.post('/api/room/create', (req, res) => {
             return res.json({ success: false, reason: 'Nickname required' });
         }
 
-        if (![2, 4, 6].includes(maxPlayers)) {
+        if (!PLAYER_COUNTS.includes(maxPlayers)) {
             return res.json({ success: false, reason: 'Invalid player count' });
         }
 
+        const teams = checkTeamConfig(maxPlayers, roomConfig ?? {});
+        if (!teams.success) {
+            return res.json({ success: false, reason: teams.reason });
+        }
+
+        if (roomConfig?.ruleset !== undefined) {
+            const ruleset = resolveRuleset(roomConfig.ruleset);
+            if (!ruleset.success) {
+                return res.json({ success: false, reason: ruleset.reason });
+            }
+        }
+
+        // The decks must cover every hand and pozzetto and leave a draw pile
+        const deal = checkDealConfig(maxPlayers, roomConfig ?? {});
+        if (!deal.success) {
+            return res.json({ success: false, reason: deal.reason });
+        }
+
         const room = new Room(playerId, nickname.trim(), avatarId, maxPlayers, roomConfig);
         rooms.set(room.code, room);
         sessionJoinRoom(playerId, room.code, nickname.trim(), avatarId);
+        persistRoom(room);
 
         console.log(`Room created: ${room.code} by ${nickname}`);
 
@@ -193,10 +469,27 @@ app.post('/api/room/join', (req, res) => {
 
         sessionJoinRoom(playerId, code, nickname.trim(), avatarId);
 
+        // Rejoining a game in progress under a new session
+        if (result.rejoined) {
+            clearDisconnectTimer(result.oldSocketId);
+            removeSession(result.oldSocketId);
+
+            console.log(`${nickname} rejoined room ${code}`);
+            announceReconnect(code, room, playerId);
+
+            return res.json({
+                success: true,
+                rejoined: true,
+                roomInfo: room.getPublicInfo(),
+                gameState: room.getPlayerView(playerId)
+            });
+        }
+
         // Notify all players in room via SSE
         broadcastToRoom(code, 'playerJoined', {
             roomInfo: room.getPublicInfo()
         });
+        persistRoom(room);
 
         console.log(`${nickname} joined room ${code}`);
 
@@ -211,7 +504,7 @@ app.post('/api/room/join', (req, res) => {
 });
 
 /**
- * Swap a player's team (host only, 4/6 player games)
+ * Move a player to the next team (host only, 4/6 player partnership games)
  */
 app.post('/api/room/swap-team', (req, res) => {
     try {
@@ -245,6 +538,7 @@ app.post('/api/room/swap-team', (req, res) => {
         broadcastToRoom(roomCode, 'playerJoined', {
             roomInfo: room.getPublicInfo()
         });
+        persistRoom(room);
 
         res.json({ success: true });
     } catch (err) {
@@ -253,6 +547,94 @@ app.post('/api/room/swap-team', (req, res) => {
     }
 });
 
+/**
+ * Add a computer-controlled player to an empty seat (host only)
+ */
+app.post('/api/room/add-bot', (req, res) => {
+    try {
+        const { playerId } = req.body;
+
+        if (!playerId || !getSession(playerId)) {
+            return res.status(401).json({ success: false, reason: 'Invalid session' });
+        }
+
+        const roomCode = getPlayerRoom(playerId);
+        if (!roomCode) {
+            return res.json({ success: false, reason: 'Not in a room' });
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            return res.json({ success: false, reason: 'Room not found' });
+        }
+
+        if (room.hostId !== playerId) {
+            return res.json({ success: false, reason: 'Only host can add bots' });
+        }
+
+        const result = room.addBot();
+
+        if (!result.success) {
+            return res.json(result);
+        }
+
+        broadcastToRoom(roomCode, 'playerJoined', {
+            roomInfo: room.getPublicInfo()
+        });
+        persistRoom(room);
+
+        console.log(`${result.nickname} added to room ${roomCode}`);
+
+        res.json({ success: true, roomInfo: room.getPublicInfo() });
+    } catch (err) {
+        console.error('Error adding bot:', err);
+        res.json({ success: false, reason: 'Failed to add bot' });
+    }
+});
+
+/**
+ * Remove a bot from the waiting room (host only)
+ */
+app.post('/api/room/remove-bot', (req, res) => {
+    try {
+        const { playerId, seat } = req.body;
+
+        if (!playerId || !getSession(playerId)) {
+            return res.status(401).json({ success: false, reason: 'Invalid session' });
+        }
+
+        const roomCode = getPlayerRoom(playerId);
+        if (!roomCode) {
+            return res.json({ success: false, reason: 'Not in a room' });
+        }
+
+        const room = rooms.get(roomCode);
+        if (!room) {
+            return res.json({ success: false, reason: 'Room not found' });
+        }
+
+        if (room.hostId !== playerId) {
+            return res.json({ success: false, reason: 'Only host can remove bots' });
+        }
+
+        const result = room.removeBot(seat);
+
+        if (!result.success) {
+            return res.json(result);
+        }
+
+        broadcastToRoom(roomCode, 'playerLeft', {
+            roomInfo: room.getPublicInfo()
+        });
+        persistRoom(room);
+
+        res.json({ success: true, roomInfo: room.getPublicInfo() });
+    } catch (err) {
+        console.error('Error removing bot:', err);
+        res.json({ success: false, reason: 'Failed to remove bot' });
+    }
+});
+
 /**
  * Start the game (host only)
  */
@@ -287,11 +669,11 @@ app.post('/api/game/start', (req, res) => {
         console.log(`Game started in room ${roomCode}`);
 
         // Send personalized game state to each player via SSE
-        for (const [pid] of room.players) {
-            sendToPlayer(pid, 'gameStarted', {
-                gameState: room.getPlayerView(pid)
-            });
-        }
+        sendGameState(room, 'gameStarted');
+        persistRoom(room);
+
+        scheduleTurnTimer(roomCode, room);
+        scheduleBotTurn(roomCode, room);
 
         res.json({ success: true });
     } catch (err) {
@@ -317,30 +699,260 @@ function handleGameAction(playerId, action) {
     const result = action(room);
 
     if (result.success) {
-        // Broadcast updated game state to all players via SSE
-        for (const [pid] of room.players) {
-            sendToPlayer(pid, 'gameStateUpdate', {
-                gameState: room.getPlayerView(pid)
-            });
-        }
+        broadcastGameUpdate(roomCode, room, result);
+    }
 
-        // If game is over, send result and schedule cleanup
-        if (result.gameOver || room.game.isGameOver) {
-            broadcastToRoom(roomCode, 'gameOver', {
-                result: room.game.getGameResult()
-            });
+    return result;
+}
 
-            // Delete room after 30 seconds to free memory and allow new games
-            setTimeout(() => {
-                if (rooms.has(roomCode)) {
-                    rooms.delete(roomCode);
-                    console.log(`Deleted room ${roomCode} after game over`);
-                }
-            }, 30 * 1000);
-        }
+/**
+ * Broadcast the updated game state after a successful action
+ * and keep the server-side turn timer in step with the new turn
+ */
+function broadcastGameUpdate(roomCode, room, result = {}) {
+    sendGameState(room);
+
+    // If the hand is over, score it in the match
+    if (result.gameOver || room.game.isGameOver) {
+        clearTurnTimer(roomCode);
+        clearBotTurn(roomCode);
+        handleRoundEnd(roomCode, room);
+    } else {
+        scheduleTurnTimer(roomCode, room);
+        scheduleBotTurn(roomCode, room);
     }
 
-    return result;
+    persistRoom(room);
+}
+
+/**
+ * Send each player their own view of the game via SSE
+ */
+function sendGameState(room, eventType = 'gameStateUpdate') {
+    for (const [pid] of room.players) {
+        sendToPlayer(pid, eventType, {
+            gameState: room.getPlayerView(pid)
+        });
+    }
+}
+
+/**
+ * Broadcast a player action (used for animations and toasts)
+ */
+function broadcastPlayerAction(roomCode, room, playerId, type, details = {}) {
+    const player = room.players.get(playerId);
+    broadcastToRoom(roomCode, 'playerAction', {
+        type,
+        playerNickname: player?.nickname || 'Player',
+        playerSeat: player?.seat,
+        ...details
+    });
+}
+
+/**
+ * Announce a pozzetto pickup: who took which pozzetto, for which team, and whether mid-turn
+ * @param {Object} pickup - a GameState pozzetto pickup ({ pozzettoIndex, cards, team, onTheFly })
+ */
+function broadcastPozzettoPickup(roomCode, room, playerId, pickup) {
+    if (!pickup?.tookPozzetto) return;
+    broadcastPlayerAction(roomCode, room, playerId, 'takePozzetto', {
+        cardCount: pickup.cards,
+        pozzettoIndex: pickup.pozzettoIndex,
+        team: pickup.team,
+        onTheFly: pickup.onTheFly
+    });
+}
+
+/**
+ * Arm the timer for the current turn's deadline (replaces any previous one)
+ */
+function scheduleTurnTimer(roomCode, room) {
+    clearTurnTimer(roomCode);
+
+    const deadline = room.game?.turnDeadline;
+    if (!deadline) return;
+
+    const game = room.game;
+    const delay = Math.max(0, deadline - Date.now()) + TURN_TIMEOUT_GRACE_MS;
+    const timer = setTimeout(() => {
+        turnTimers.delete(roomCode);
+        if (rooms.get(roomCode) !== room || room.game !== game) return;
+        handleTurnTimeout(roomCode, room);
+    }, delay);
+
+    turnTimers.set(roomCode, timer);
+}
+
+/**
+ * Cancel the pending turn timer for a room
+ */
+function clearTurnTimer(roomCode) {
+    const timer = turnTimers.get(roomCode);
+    if (timer) {
+        clearTimeout(timer);
+        turnTimers.delete(roomCode);
+    }
+}
+
+/**
+ * Current player ran out of time - let the game play the timeout move
+ */
+function handleTurnTimeout(roomCode, room) {
+    // Fired early (the deadline moved) - wait for the real one
+    if (!room.game.isTurnExpired()) {
+        scheduleTurnTimer(roomCode, room);
+        return;
+    }
+
+    console.log(`Turn timed out for ${room.game.getCurrentPlayer().nickname} in room ${roomCode}`);
+    forceTurnEnd(roomCode, room);
+}
+
+/**
+ * End the current player's turn with the timeout move and broadcast it
+ * If even that move is refused the hand is ended, so the table never hangs
+ */
+function forceTurnEnd(roomCode, room) {
+    const result = room.game.playTimeoutMove();
+
+    if (!result.success) {
+        console.error(`Could not end the turn in room ${roomCode}: ${result.reason} - ending the hand`);
+        room.game.endGame('stuck');
+        broadcastGameUpdate(roomCode, room, { gameOver: true });
+        return;
+    }
+
+    if (result.drawnFrom === 'drawPile') {
+        broadcastPlayerAction(roomCode, room, result.playerId, 'drawFromPile', { cardCount: 1 });
+    } else if (result.drawnFrom === 'discardPile') {
+        broadcastPlayerAction(roomCode, room, result.playerId, 'takeDiscardPile', { cardCount: result.drawnCount });
+    }
+
+    broadcastPlayerAction(roomCode, room, result.playerId, 'turnTimeout', { cardCount: 1 });
+
+    broadcastPozzettoPickup(roomCode, room, result.playerId, result.pozzettoInfo);
+    if (result.restocked) {
+        broadcastPlayerAction(roomCode, room, result.playerId, 'restock', { cardCount: result.restocked.cardCount });
+    }
+
+    broadcastGameUpdate(roomCode, room, result);
+}
+
+/**
+ * Record a finished hand, then deal the next one or finish the match
+ */
+function handleRoundEnd(roomCode, room) {
+    const roundResult = room.finishRound();
+    if (!roundResult.success) return;
+
+    archiveGameLog(room.game);
+
+    broadcastToRoom(roomCode, 'roundEnded', {
+        result: room.game.getGameResult(),
+        match: room.match.getSummary()
+    });
+
+    if (roundResult.matchOver) {
+        console.log(`Match over in room ${roomCode}, winner: Team ${room.match.winner}`);
+
+        broadcastToRoom(roomCode, 'matchOver', {
+            winner: room.match.winner,
+            standings: room.match.getStandings(),
+            match: room.match.getSummary()
+        });
+
+        // Delete room after 30 seconds to free memory and allow new games
+        setTimeout(() => {
+            if (rooms.get(roomCode) === room) {
+                deleteRoom(roomCode);
+                console.log(`Deleted room ${roomCode} after match over`);
+            }
+        }, 30 * 1000);
+        return;
+    }
+
+    scheduleNextRound(roomCode, room);
+}
+
+/**
+ * Deal the next hand after players have seen the round breakdown
+ */
+function scheduleNextRound(roomCode, room) {
+    const finishedGame = room.game;
+    setTimeout(() => {
+        if (rooms.get(roomCode) !== room || room.game !== finishedGame) return;
+
+        const nextRound = room.startNextRound();
+        if (!nextRound.success) return;
+
+        console.log(`Round ${room.match.currentRound} started in room ${roomCode}`);
+
+        sendGameState(room, 'gameStarted');
+        persistRoom(room);
+
+        scheduleTurnTimer(roomCode, room);
+        scheduleBotTurn(roomCode, room);
+    }, NEXT_ROUND_DELAY_MS);
+}
+
+/**
+ * If the current player is a bot, queue its next action
+ */
+function scheduleBotTurn(roomCode, room) {
+    clearBotTurn(roomCode);
+
+    const game = room.game;
+    if (!game || game.isGameOver || !room.isBot(game.getCurrentPlayerId())) return;
+
+    const timer = setTimeout(() => {
+        botTimers.delete(roomCode);
+        if (rooms.get(roomCode) !== room || room.game !== game) return;
+        playBotStep(roomCode, room);
+    }, BOT_STEP_DELAY_MS);
+
+    botTimers.set(roomCode, timer);
+}
+
+/**
+ * Cancel the pending bot action for a room
+ */
+function clearBotTurn(roomCode) {
+    const timer = botTimers.get(roomCode);
+    if (timer) {
+        clearTimeout(timer);
+        botTimers.delete(roomCode);
+    }
+}
+
+/**
+ * Play one action for the bot whose turn it is and broadcast it like a human move
+ */
+function playBotStep(roomCode, room) {
+    const botId = room.game.getCurrentPlayerId();
+    const { type, result } = takeBotStep(room.game, botId);
+
+    if (!result.success) {
+        // Retrying would fail the same way, and waiting on the turn timer stalls the table
+        // (or hangs it with no timer) - end the bot's turn now
+        console.error(`Bot move failed in room ${roomCode}: ${result.reason} - ending its turn`);
+        forceTurnEnd(roomCode, room);
+        return;
+    }
+
+    if (type === 'drawFromPile') {
+        broadcastPlayerAction(roomCode, room, botId, 'drawFromPile', { cardCount: 1 });
+    } else if (type === 'takeDiscardPile') {
+        broadcastPlayerAction(roomCode, room, botId, 'takeDiscardPile', { cardCount: result.cards?.length || 0 });
+    } else if (type === 'undo') {
+        broadcastPlayerAction(roomCode, room, botId, 'undo', { undone: result.undone });
+    }
+
+    broadcastPozzettoPickup(roomCode, room, botId, result.tookPozzetto ? result : result.pozzettoInfo);
+    if (result.restocked) {
+        broadcastPlayerAction(roomCode, room, botId, 'restock', { cardCount: result.restocked.cardCount });
+    }
+
+    broadcastGameUpdate(roomCode, room, result);
 }
 
 /**
@@ -433,15 +1045,9 @@ app.post('/api/game/meld', (req, res) => {
         const result = handleGameAction(playerId, (room) => {
             const meldResult = room.game.playMeld(playerId, cardIds);
 
-            // Check if pozzetto was taken
-            if (meldResult.success && meldResult.tookPozzetto) {
-                const player = room.players.get(playerId);
-                broadcastToRoom(roomCode, 'playerAction', {
-                    type: 'takePozzetto',
-                    playerNickname: player?.nickname || 'Player',
-                    playerSeat: player?.seat,
-                    cardCount: meldResult.cards
-                });
+            // Melding out picks up a pozzetto on the fly
+            if (meldResult.success) {
+                broadcastPozzettoPickup(roomCode, room, playerId, meldResult);
             }
 
             return meldResult;
@@ -471,15 +1077,9 @@ app.post('/api/game/extend-meld', (req, res) => {
         const result = handleGameAction(playerId, (room) => {
             const extendResult = room.game.extendMeld(playerId, meldId, cardIds);
 
-            // Check if pozzetto was taken
-            if (extendResult.success && extendResult.tookPozzetto) {
-                const player = room.players.get(playerId);
-                broadcastToRoom(roomCode, 'playerAction', {
-                    type: 'takePozzetto',
-                    playerNickname: player?.nickname || 'Player',
-                    playerSeat: player?.seat,
-                    cardCount: extendResult.cards
-                });
+            // Melding out picks up a pozzetto on the fly
+            if (extendResult.success) {
+                broadcastPozzettoPickup(roomCode, room, playerId, extendResult);
             }
 
             return extendResult;
@@ -510,14 +1110,13 @@ app.post('/api/game/discard', (req, res) => {
             const discardResult = room.game.discard(playerId, cardId);
 
             // Check if pozzetto was taken after discarding
-            if (discardResult.success && discardResult.pozzettoInfo) {
-                const player = room.players.get(playerId);
-                broadcastToRoom(roomCode, 'playerAction', {
-                    type: 'takePozzetto',
-                    playerNickname: player?.nickname || 'Player',
-                    playerSeat: player?.seat,
-                    cardCount: discardResult.pozzettoInfo.cards
-                });
+            if (discardResult.success) {
+                broadcastPozzettoPickup(roomCode, room, playerId, discardResult.pozzettoInfo);
+            }
+
+            // The draw pile ran out and a pozzetto took its place
+            if (discardResult.success && discardResult.restocked) {
+                broadcastPlayerAction(roomCode, room, playerId, 'restock', { cardCount: discardResult.restocked.cardCount });
             }
 
             return discardResult;
@@ -552,6 +1151,60 @@ app.post('/api/game/replace-wild', (req, res) => {
     }
 });
 
+/**
+ * Explain whether the selected cards form a meld (no move is made, nothing is broadcast)
+ */
+app.post('/api/game/check-meld', (req, res) => {
+    try {
+        const { playerId, cardIds } = req.body;
+
+        if (!playerId || !getSession(playerId)) {
+            return res.status(401).json({ success: false, reason: 'Invalid session' });
+        }
+
+        const room = rooms.get(getPlayerRoom(playerId));
+        if (!room || !room.game) {
+            return res.json({ success: false, reason: 'Game not found' });
+        }
+        if (!Array.isArray(cardIds)) {
+            return res.json({ success: false, reason: 'Card list required' });
+        }
+
+        res.json(room.game.checkMeld(playerId, cardIds));
+    } catch (err) {
+        console.error('Error in check-meld:', err);
+        res.json({ success: false, reason: 'Check failed' });
+    }
+});
+
+/**
+ * Undo the last meld, extension or wild swap made this turn
+ */
+app.post('/api/game/undo', (req, res) => {
+    try {
+        const { playerId } = req.body;
+
+        if (!playerId || !getSession(playerId)) {
+            return res.status(401).json({ success: false, reason: 'Invalid session' });
+        }
+
+        const roomCode = getPlayerRoom(playerId);
+
+        const result = handleGameAction(playerId, (room) => {
+            const undoResult = room.game.undoLastMove(playerId);
+            if (undoResult.success) {
+                broadcastPlayerAction(roomCode, room, playerId, 'undo', { undone: undoResult.undone });
+            }
+            return undoResult;
+        });
+
+        res.json(result);
+    } catch (err) {
+        console.error('Error in undo action:', err);
+        res.json({ success: false, reason: 'Action failed' });
+    }
+});
+
 /**
  * Send a chat message
  */
@@ -596,6 +1249,40 @@ app.post('/api/chat/send', (req, res) => {
     }
 });
 
+/**
+ * Get the event log of a finished game
+ */
+app.get('/api/games/:gameId/log', (req, res) => {
+    try {
+        const found = findGameLog(req.params.gameId);
+        if (!found.success) {
+            return res.status(found.status).json({ success: false, reason: found.reason });
+        }
+
+        res.json({ success: true, log: found.log });
+    } catch (err) {
+        console.error('Error loading game log:', err);
+        res.json({ success: false, reason: 'Failed to load game log' });
+    }
+});
+
+/**
+ * Get a finished game replayed into one frame per event (for the replay viewer)
+ */
+app.get('/api/games/:gameId/replay', (req, res) => {
+    try {
+        const found = findGameLog(req.params.gameId);
+        if (!found.success) {
+            return res.status(found.status).json({ success: false, reason: found.reason });
+        }
+
+        res.json({ success: true, replay: replayGame(found.log) });
+    } catch (err) {
+        console.error('Error replaying game:', err);
+        res.json({ success: false, reason: 'Failed to replay game' });
+    }
+});
+
 // Serve frontend index.html for all non-API routes in production
 if (process.env.NODE_ENV === 'production') {
     app.get('*', (req, res) => {
@@ -612,8 +1299,8 @@ setInterval(() => {
     const staleTimeout = 10 * 60 * 1000; // 30 minutes (optimized for low memory)
 
     for (const [code, room] of rooms) {
-        if (now - room.createdAt > staleTimeout && room.players.size === 0) {
-            rooms.delete(code);
+        if (now - room.createdAt > staleTimeout && !room.hasHumanPlayers()) {
+            deleteRoom(code);
             console.log(`Cleaned up stale room: ${code}`);
         }
     }
@@ -625,6 +1312,8 @@ setInterval(() => {
 /**
  * Start server
  */
+restoreRooms();
+
 const PORT = process.env.PORT || 3001;
 httpServer.listen(PORT, () => {
     console.log(`Buraco server running on port ${PORT} (SSE mode)`);
@@ -0,0 +1,62 @@
+/**
+ * Run headless Buraco simulations from the command line
+ *
+ * Usage: node simulate.js [--games=20] [--players=2,3,4,6] [--decks=2,3,4]
+ *                         [--jokers=0,2,4] [--pozzetti=2,3,4] [--rulesets=indian,italian]
+ *                         [--all-teams] [--seed=123] [--max-turns=1000]
+ *
+ * --all-teams also plays every other team count a table allows (3 teams of 2 at six,
+ * everyone alone at four and six).
+ *
+ * Exits with code 1 if any game crashed, got stuck or broke an invariant.
+ */
+
+import {
+    allConfigs,
+    runSimulations,
+    formatReport,
+    describeConfig,
+    PLAYER_COUNTS,
+    DECK_COUNTS,
+    JOKERS_PER_DECK,
+    POZZETTO_COUNTS,
+    RULESETS
+} from './game/Simulator.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, value = ''] = arg.slice(2).split('=');
+            return [key, value];
+        })
+);
+
+const numberList = (value, fallback) => value ? value.split(',').map(Number) : fallback;
+
+const configs = allConfigs({
+    playerCounts: numberList(args.players, PLAYER_COUNTS),
+    allTeamCounts: 'all-teams' in args,
+    deckCounts: numberList(args.decks, DECK_COUNTS),
+    jokersPerDeck: numberList(args.jokers, JOKERS_PER_DECK),
+    pozzettoCounts: numberList(args.pozzetti, POZZETTO_COUNTS),
+    rulesets: args.rulesets ? args.rulesets.split(',') : RULESETS
+});
+
+const gamesPerConfig = Number(args.games) || 20;
+console.log(`Simulating ${gamesPerConfig} games for each of ${configs.length} configs...`);
+
+const report = runSimulations({
+    gamesPerConfig,
+    configs,
+    seed: args.seed ? Number(args.seed) : Date.now(),
+    maxTurns: Number(args['max-turns']) || undefined,
+    onProgress: row => console.log(`  ${describeConfig(row.config)}: ${row.finished}/${row.games} finished`)
+});
+
+console.log('');
+console.log(formatReport(report));
+
+if (report.stuck + report.crashed + report.invariantFailures > 0) {
+    process.exit(1);
+}
@@ -152,6 +152,10 @@ async function runTests() {
         });
         test('Replace wild endpoint responds', replaceWild.reason !== undefined || replaceWild.success !== undefined, replaceWild);
 
+        // Check meld (read-only diagnosis of a selection)
+        const checkMeld = await post('/api/game/check-meld', { playerId: player1Id, cardIds: ['invalid'] });
+        test('Check meld endpoint responds', checkMeld.reason !== undefined || checkMeld.success !== undefined, checkMeld);
+
         // Take discard pile
         const takeDiscard = await post('/api/game/take-discard', { playerId: player2Id });
         test('Take discard endpoint responds', takeDiscard.reason !== undefined || takeDiscard.success !== undefined, takeDiscard);
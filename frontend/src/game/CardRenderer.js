@@ -258,6 +258,17 @@ export function renderMeld(meld, options = {}) {
 
     for (const card of meld.cards) {
         const cardEl = createCardElement(card, { clickable: false });
+
+        // Wilds show the rank they stand for (worked out by the server)
+        const represents = meld.represents?.[card.id];
+        if (represents) {
+            const badge = document.createElement('span');
+            badge.className = 'wild-represents';
+            badge.textContent = represents;
+            badge.title = `Stands for ${represents}`;
+            cardEl.appendChild(badge);
+        }
+
         meldEl.appendChild(cardEl);
     }
 
@@ -108,9 +108,14 @@ class GameClient {
                 this.emit('gameStateUpdate', data);
             });
 
-            this.eventSource.addEventListener('gameOver', (e) => {
+            this.eventSource.addEventListener('roundEnded', (e) => {
                 const data = JSON.parse(e.data);
-                this.emit('gameOver', data);
+                this.emit('roundEnded', data);
+            });
+
+            this.eventSource.addEventListener('matchOver', (e) => {
+                const data = JSON.parse(e.data);
+                this.emit('matchOver', data);
             });
 
             this.eventSource.addEventListener('playerAction', (e) => {
@@ -118,6 +123,23 @@ class GameClient {
                 this.emit('playerAction', data);
             });
 
+            this.eventSource.addEventListener('playerDisconnected', (e) => {
+                const data = JSON.parse(e.data);
+                this.emit('playerDisconnected', data);
+            });
+
+            this.eventSource.addEventListener('playerReconnected', (e) => {
+                const data = JSON.parse(e.data);
+                this.emit('playerReconnected', data);
+            });
+
+            // Full view sent when our stream reattaches to a game in progress
+            this.eventSource.addEventListener('reconnected', (e) => {
+                const data = JSON.parse(e.data);
+                this.gameState = data.gameState;
+                this.emit('reconnected', data);
+            });
+
             this.eventSource.addEventListener('chatMessage', (e) => {
                 const data = JSON.parse(e.data);
                 this.emit('chatMessage', data);
@@ -244,6 +266,32 @@ class GameClient {
         }
     }
 
+    /**
+     * Fill an empty seat with a bot (host only)
+     */
+    async addBot() {
+        const response = await this.postRequest('/api/room/add-bot');
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.reason);
+        }
+    }
+
+    /**
+     * Remove a bot from the waiting room (host only)
+     */
+    async removeBot(seat) {
+        const response = await this.postRequest('/api/room/remove-bot', { seat });
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.reason);
+        }
+    }
+
     /**
      * Start the game (host only)
      */
@@ -322,6 +370,20 @@ class GameClient {
         }
     }
 
+    /**
+     * Ask what the selected cards lack to form a meld (nothing is played)
+     * @returns {Object} - Diagnosis: { valid, reason, type, rank, suit, offCards, missingRanks, wildWouldFix, completions }
+     */
+    async checkMeld(cardIds) {
+        const response = await this.postRequest('/api/game/check-meld', { cardIds });
+
+        if (response.success) {
+            return response.diagnosis;
+        } else {
+            throw new Error(response.reason);
+        }
+    }
+
     /**
      * Replace a wild card in a meld with a natural card from hand
      */
@@ -352,6 +414,33 @@ class GameClient {
         }
     }
 
+    /**
+     * Undo the last meld, extension or wild swap made this turn
+     */
+    async undoMove() {
+        const response = await this.postRequest('/api/game/undo');
+
+        if (response.success) {
+            return response;
+        } else {
+            throw new Error(response.reason);
+        }
+    }
+
+    /**
+     * Fetch a finished game replayed frame by frame (all hands visible)
+     */
+    async getReplay(gameId) {
+        const response = await fetch(`${BACKEND_URL}/api/games/${encodeURIComponent(gameId)}/replay`);
+        const data = await response.json();
+
+        if (data.success) {
+            return data.replay;
+        } else {
+            throw new Error(data.reason);
+        }
+    }
+
     /**
      * Disconnect from server
      */
@@ -7,6 +7,7 @@ import gameClient from './game/GameClient.js';
 import LobbyUI from './ui/Lobby.js';
 import GameTableUI from './ui/GameTable.js';
 import CharacterSelection from './ui/CharacterSelection.js';
+import ReplayViewerUI, { describeEndReason } from './ui/ReplayViewer.js';
 
 // Screen elements
 const characterSelectionScreen = document.getElementById('character-selection-screen');
@@ -26,19 +27,30 @@ const leaveRoomBtn = document.getElementById('leave-room-btn');
 const configTimer = document.getElementById('config-timer');
 const configDecks = document.getElementById('config-decks');
 const configJokers = document.getElementById('config-jokers');
+const configDealSizes = document.getElementById('config-deal-sizes');
+const configTarget = document.getElementById('config-target');
+const configTeams = document.getElementById('config-teams');
+const configSeedItem = document.getElementById('config-seed-item');
+const configRuleset = document.getElementById('config-ruleset');
 
 // Game over elements
 const winnerText = document.getElementById('winner-text');
 const backToLobbyBtn = document.getElementById('back-to-lobby-btn');
+const matchStandings = document.getElementById('match-standings');
+const nextRoundText = document.getElementById('next-round-text');
+const dealSeedText = document.getElementById('deal-seed-text');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
 
 // State
 let isHost = false;
 let currentRoomInfo = null;
+let lastGameId = null; // Finished hand shown in the round breakdown
 
 // Initialize UI modules
 const characterSelection = new CharacterSelection();
 const lobbyUI = new LobbyUI();
 const gameTableUI = new GameTableUI();
+const replayViewer = new ReplayViewerUI();
 
 /**
  * Switch between screens
@@ -54,6 +66,26 @@ function showScreen(screenId) {
     }
 }
 
+/**
+ * Ruleset name plus the meld and closing rules players most often ask about
+ */
+function describeRuleset(ruleset) {
+    const { maxWilds, twosWild, aceAround } = ruleset.melds;
+    const { requireBurraco, requireCleanBurraco, pozzettoAllocation, pozzettoOnTheFly } = ruleset.closing;
+    const wilds = maxWilds === null ? 'any wilds' : `${maxWilds} wild${maxWilds === 1 ? '' : 's'}/meld`;
+    const closing = requireCleanBurraco ? 'clean burraco to close' : requireBurraco ? 'burraco to close' : null;
+    const pickup = { topCard: 'top discard only', mustMeldTop: 'meld the top discard' }[ruleset.drawing?.discardPickup];
+    const emptyStock = { pozzetto: 'pozzetto restocks', endHand: 'hand ends with the stock' }[ruleset.drawing?.emptyStock];
+    const thresholds = ruleset.opening?.thresholds ?? [];
+    const opening = thresholds.length > 0 ? `open with ${thresholds.map(t => t.minPoints).join('/')}` : null;
+    const pozzetti = [
+        pozzettoAllocation === 'reserved' ? 'a pozzetto per team' : null,
+        pozzettoOnTheFly === false ? 'pozzetto after discarding' : null
+    ];
+    return [ruleset.name, wilds, twosWild ? '2s wild' : null, aceAround ? 'ace around' : null, pickup, emptyStock, opening, ...pozzetti, closing]
+        .filter(Boolean).join(' · ');
+}
+
 /**
  * Update waiting room UI
  */
@@ -69,13 +101,24 @@ function updateWaitingRoom(roomInfo) {
         configTimer.textContent = roomInfo.config.turnTimer > 0 ? `${roomInfo.config.turnTimer}s` : 'Off';
         configDecks.textContent = roomInfo.config.deckCount;
         configJokers.textContent = roomInfo.config.jokersPerDeck;
+        configDealSizes.textContent = `${roomInfo.config.handSize ?? 14} / ${roomInfo.config.pozzettoSize ?? 14}`;
+        configTarget.textContent = roomInfo.config.targetScore;
+        const teamCount = roomInfo.config.teamCount ?? 2;
+        configTeams.textContent = teamCount === roomInfo.maxPlayers
+            ? 'Everyone alone'
+            : `${teamCount} teams of ${roomInfo.maxPlayers / teamCount}`;
+        configSeedItem.classList.toggle('hidden', !roomInfo.config.seed);
+        const ruleset = roomInfo.config.ruleset;
+        configRuleset.textContent = ruleset ? describeRuleset(ruleset) : '';
     }
 
     // Render player slots
     playersContainer.innerHTML = '';
 
-    // For 4/6 players, group by teams
-    const showTeamSwap = isHost && roomInfo.maxPlayers > 2;
+    // For 4/6 players, group by teams (with 2-3 players or free-for-all everyone plays alone)
+    const teamIds = ['A', 'B', 'C', 'D', 'E', 'F'].slice(0, roomInfo.config?.teamCount ?? 2);
+    const soloPlay = teamIds.length === roomInfo.maxPlayers;
+    const showTeamSwap = isHost && !soloPlay;
 
     for (let i = 0; i < roomInfo.maxPlayers; i++) {
         const player = roomInfo.players[i];
@@ -88,17 +131,25 @@ function updateWaitingRoom(roomInfo) {
 
             let swapBtnHtml = '';
             if (showTeamSwap) {
-                const otherTeam = player.team === 'A' ? 'B' : 'A';
+                const otherTeam = teamIds[(teamIds.indexOf(player.team) + 1) % teamIds.length];
                 swapBtnHtml = `<button class="swap-team-btn" data-seat="${player.seat}" title="Move to Team ${otherTeam}">⇄</button>`;
             }
 
+            let removeBotHtml = '';
+            if (isHost && player.isBot) {
+                removeBotHtml = `<button class="remove-bot-btn" data-seat="${player.seat}" title="Remove bot">✕</button>`;
+            }
+
             slot.innerHTML = `
                 <div class="player-info-row">
-                    <div class="nickname">${player.nickname}</div>
+                    <div class="nickname">${player.isBot ? '🤖 ' : ''}${player.nickname}</div>
                     ${swapBtnHtml}
+                    ${removeBotHtml}
                 </div>
-                <div class="team-badge">Team ${player.team}</div>
+                <div class="team-badge">${soloPlay ? 'Plays alone' : `Team ${player.team}`}</div>
             `;
+        } else if (isHost) {
+            slot.innerHTML = `<button class="add-bot-btn" title="Fill this seat with a computer player">+ Add Bot</button>`;
         } else {
             slot.innerHTML = `<div class="nickname" style="opacity: 0.5">Waiting...</div>`;
         }
@@ -116,6 +167,18 @@ function updateWaitingRoom(roomInfo) {
         });
     }
 
+    // Bot seat controls (host only)
+    if (isHost) {
+        document.querySelectorAll('.add-bot-btn').forEach(btn => {
+            btn.addEventListener('click', handleAddBot);
+        });
+        document.querySelectorAll('.remove-bot-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                handleRemoveBot(parseInt(btn.dataset.seat));
+            });
+        });
+    }
+
     // Enable start button only for host when room is full
     startGameBtn.disabled = !isHost || roomInfo.currentPlayers < roomInfo.maxPlayers;
 
@@ -141,29 +204,123 @@ async function handleSwapTeam(seat) {
 }
 
 /**
- * Show game over modal with score breakdown
+ * Handle add bot request
+ */
+async function handleAddBot() {
+    try {
+        await gameClient.addBot();
+    } catch (err) {
+        console.error('Failed to add bot:', err);
+        alert(err.message);
+    }
+}
+
+/**
+ * Handle remove bot request
  */
-function showGameOver(result) {
+async function handleRemoveBot(seat) {
+    try {
+        await gameClient.removeBot(seat);
+    } catch (err) {
+        console.error('Failed to remove bot:', err);
+        alert(err.message);
+    }
+}
+
+/**
+ * Show round-over modal with score breakdown and match totals
+ */
+function showRoundEnded(result, match) {
     gameOverModal.classList.remove('hidden');
 
     // Set winner text
     if (result.winner === 'tie') {
-        winnerText.textContent = "It's a Tie!";
+        winnerText.textContent = `Round ${result.round}: It's a Tie!`;
     } else {
-        winnerText.textContent = `Team ${result.winner} Wins!`;
+        winnerText.textContent = `Round ${result.round}: ${gameTableUI.getTeamName(result.winner)} Wins the Hand!`;
+    }
+    const endReason = describeEndReason(result.endReason);
+    if (endReason) {
+        winnerText.textContent += ` (${endReason})`;
+    }
+
+    // One score card per team, winner highlighted
+    const teamIds = Object.keys(result.scores).sort();
+    showScoreCards(teamIds);
+    for (const teamId of teamIds) {
+        const card = document.querySelector(`.team-${teamId.toLowerCase()}-card`);
+        card.querySelector('.score-card-header h3').textContent = gameTableUI.getTeamName(teamId);
+        card.classList.toggle('winner', result.winner === teamId);
+        populateTeamBreakdown(teamId.toLowerCase(), result.teamDetails?.[teamId], result.scores[teamId]);
     }
 
-    // Highlight winning card
-    const teamACard = document.querySelector('.team-a-card');
-    const teamBCard = document.querySelector('.team-b-card');
-    teamACard.classList.toggle('winner', result.winner === 'A');
-    teamBCard.classList.toggle('winner', result.winner === 'B');
+    renderMatchStandings(match);
+
+    // Seed lets testers deal this exact hand again
+    dealSeedText.textContent = Number.isInteger(result.seed) ? `Deal seed: ${result.seed}` : '';
 
-    // Populate Team A breakdown
-    populateTeamBreakdown('a', result.teamDetails?.A, result.scores.A);
+    // The finished hand can be replayed with every hand face up
+    lastGameId = result.gameId || null;
+    watchReplayBtn.classList.toggle('hidden', !lastGameId);
 
-    // Populate Team B breakdown
-    populateTeamBreakdown('b', result.teamDetails?.B, result.scores.B);
+    // Next hand is dealt automatically unless the match just ended
+    nextRoundText.classList.toggle('hidden', match.isOver);
+    backToLobbyBtn.classList.toggle('hidden', !match.isOver);
+}
+
+/**
+ * Show the match winner on top of the last round breakdown
+ */
+function showMatchOver(data) {
+    gameOverModal.classList.remove('hidden');
+    winnerText.textContent = `${gameTableUI.getTeamName(data.winner)} Wins the Match!`;
+
+    renderMatchStandings(data.match);
+
+    nextRoundText.classList.add('hidden');
+    backToLobbyBtn.classList.remove('hidden');
+}
+
+/**
+ * Render cumulative match totals, one row per team
+ */
+function renderMatchStandings(match) {
+    if (!match) {
+        matchStandings.innerHTML = '';
+        return;
+    }
+
+    const rows = match.standings.map(({ team, score }) => `
+        <div class="breakdown-row ${team === match.winner ? 'match-leader' : ''}">
+            <span>${gameTableUI.getTeamName(team)}</span>
+            <span class="breakdown-value">${score} / ${match.targetScore}</span>
+        </div>
+    `).join('');
+
+    matchStandings.innerHTML = `
+        <h3>Match Totals after Round ${match.roundsPlayed}</h3>
+        ${rows}
+    `;
+}
+
+/**
+ * Make sure there is a score card for each team: the Team A and B cards are in the page,
+ * more teams (3 players, free-for-all) get a copy of the Team B card
+ */
+function showScoreCards(teamIds) {
+    const container = document.querySelector('.score-cards-container');
+    const template = container.querySelector('.team-b-card');
+    container.querySelectorAll('.score-card.extra-team').forEach(card => card.remove());
+
+    for (const teamId of teamIds.filter(id => id !== 'A' && id !== 'B')) {
+        const suffix = teamId.toLowerCase();
+        const card = template.cloneNode(true);
+        card.classList.replace('team-b-card', `team-${suffix}-card`);
+        card.classList.add('extra-team');
+        card.querySelectorAll('[id$="-b"]').forEach(el => { el.id = `${el.id.slice(0, -2)}-${suffix}`; });
+        container.appendChild(card);
+    }
+    container.classList.toggle('many-teams', teamIds.length > 2);
 }
 
 /**
@@ -181,20 +338,24 @@ function populateTeamBreakdown(teamId, details, totalScore) {
     const regularMeldPoints = details.regularMeldPoints || 0;
     document.getElementById(`meld-score-${teamId}`).textContent = regularMeldPoints;
 
+    // Card values of burracos (only counted by some rulesets)
+    document.getElementById(`burraco-cards-${teamId}`).textContent = details.burracoCardPoints || 0;
+
+    // Burraco bonuses depend on the ruleset, so show count × bonus = points
+    const burracoLine = (count = 0, points = 0) =>
+        count > 0 ? `${count} × ${points / count} = ${points}` : '0';
+
     // Same Rank Burracos
-    const sameRankCount = details.sameRankBurracos || 0;
     document.getElementById(`same-rank-${teamId}`).textContent =
-        sameRankCount > 0 ? `${sameRankCount} × 100 = ${sameRankCount * 100}` : '0';
+        burracoLine(details.sameRankBurracos, details.sameRankBurracoPoints);
 
     // Clean Burracos
-    const cleanCount = details.cleanBurracos || 0;
     document.getElementById(`clean-burraco-${teamId}`).textContent =
-        cleanCount > 0 ? `${cleanCount} × 200 = ${cleanCount * 200}` : '0';
+        burracoLine(details.cleanBurracos, details.cleanBurracoPoints);
 
     // Dirty Burracos
-    const dirtyCount = details.dirtyBurracos || 0;
     document.getElementById(`dirty-burraco-${teamId}`).textContent =
-        dirtyCount > 0 ? `${dirtyCount} × 200 = ${dirtyCount * 200}` : '0';
+        burracoLine(details.dirtyBurracos, details.dirtyBurracoPoints);
 
     // Going Out Bonus
     const goingOutBonus = details.wentOutBonus || 0;
@@ -209,15 +370,24 @@ function populateTeamBreakdown(teamId, details, totalScore) {
     // Hand Penalty (negative)
     const penalty = details.handPenalty || 0;
     document.getElementById(`penalty-${teamId}`).textContent = penalty;
+
+    // Penalty for never picking up a pozzetto (negative)
+    document.getElementById(`missed-pozzetto-${teamId}`).textContent = details.missedPozzettoPenalty || 0;
 }
 
 /**
  * Handle room joined (from lobby)
  */
-lobbyUI.onRoomJoined = (roomInfo, createdRoom) => {
+lobbyUI.onRoomJoined = (roomInfo, createdRoom, gameState = null) => {
     isHost = createdRoom;
     updateWaitingRoom(roomInfo);
-    showScreen('waiting-screen');
+
+    if (gameState) {
+        showScreen('game-screen');
+        gameTableUI.initGame(gameState);
+    } else {
+        showScreen('waiting-screen');
+    }
 };
 
 /**
@@ -231,13 +401,26 @@ gameClient.on('playerLeft', (data) => {
     updateWaitingRoom(data.roomInfo);
 });
 
+gameClient.on('reconnected', (data) => {
+    // Our stream dropped and came back - redraw the table from the full view
+    currentRoomInfo = data.roomInfo;
+    showScreen('game-screen');
+    gameTableUI.initGame(data.gameState);
+});
+
 gameClient.on('gameStarted', (data) => {
+    // A new hand of the match closes the previous round breakdown
+    gameOverModal.classList.add('hidden');
     showScreen('game-screen');
     gameTableUI.initGame(data.gameState);
 });
 
-gameTableUI.onGameOver = (result) => {
-    showGameOver(result);
+gameTableUI.onRoundEnded = (result, match) => {
+    showRoundEnded(result, match);
+};
+
+gameTableUI.onMatchOver = (data) => {
+    showMatchOver(data);
 };
 
 /**
@@ -285,6 +468,12 @@ leaveRoomBtn.addEventListener('click', () => {
     showScreen('lobby-screen');
 });
 
+watchReplayBtn.addEventListener('click', () => {
+    if (lastGameId) {
+        replayViewer.open(lastGameId);
+    }
+});
+
 backToLobbyBtn.addEventListener('click', () => {
     gameClient.disconnect();
     gameOverModal.classList.add('hidden');
@@ -299,7 +488,7 @@ backToLobbyBtn.addEventListener('click', () => {
 gameClient.on('disconnected', () => {
     // Only show alert if we were in a game
     if (gameScreen.classList.contains('active')) {
-        alert('Disconnected from server');
+        alert('Disconnected from server. Rejoin with the same nickname and room code to take your seat back.');
     }
     gameOverModal.classList.add('hidden');
     showScreen('lobby-screen');
@@ -22,11 +22,13 @@ class GameTableUI {
         this.draggedCardId = null;
         this.customCardOrder = null; // Custom card arrangement
 
-        // Timer state
+        // Timer state (countdown display only - the server owns the deadline)
         this.turnTimer = null;
         this.turnTimeLeft = 60; // Default 60 seconds
         this.turnDuration = 60; // Configurable
         this.timerEnabled = true; // Can be disabled
+        this.turnDeadline = null; // Server timestamp when the turn times out
+        this.clockOffset = 0; // serverTime - local time
         this.lastCurrentPlayer = null; // Track turn changes
 
         // DOM elements
@@ -41,8 +43,6 @@ class GameTableUI {
         this.teamBMelds = document.getElementById('team-b-melds');
         this.drawCount = document.getElementById('draw-count');
         this.turnIndicator = document.getElementById('current-turn');
-        this.teamAZonePoints = document.getElementById('team-a-zone-points');
-        this.teamBZonePoints = document.getElementById('team-b-zone-points');
 
         // Player info badges
         this.opponentBadge = document.getElementById('opponent-badge');
@@ -54,11 +54,11 @@ class GameTableUI {
         this.takeDiscardBtn = document.getElementById('take-discard-btn');
         this.discardBtn = document.getElementById('discard-btn');
         this.meldBtn = document.getElementById('meld-btn');
+        this.undoBtn = document.getElementById('undo-btn');
         this.sortHandBtn = document.getElementById('sort-hand-btn');
-
-        // Pozzetti
-        this.pozzetto1 = document.getElementById('pozzetto-1');
-        this.pozzetto2 = document.getElementById('pozzetto-2');
+        this.meldHint = document.getElementById('meld-hint');
+        this.meldCheck = null; // { key, pending, diagnosis } - the server's verdict on the selection
+        this.meldDiagnosis = null; // Near-miss diagnosis shown for the selection
 
         // Chat elements
         this.chatIconBtn = document.getElementById('chat-icon-btn');
@@ -67,7 +67,10 @@ class GameTableUI {
         this.chatSendBtn = document.getElementById('chat-send-btn');
         this.chatMessagesDisplay = document.getElementById('chat-messages-display');
 
-        this.onGameOver = null; // Callback for game end
+        this.matchInfo = document.getElementById('match-info');
+
+        this.onRoundEnded = null; // Callback for hand end
+        this.onMatchOver = null; // Callback for match end
 
         this.setupEventListeners();
         this.setupDragAndDrop();
@@ -93,6 +96,9 @@ class GameTableUI {
         // Play meld
         this.meldBtn.addEventListener('click', () => this.handlePlayMeld());
 
+        // Undo last meld move this turn
+        this.undoBtn.addEventListener('click', () => this.handleUndo());
+
         // Sort hand
         this.sortHandBtn.addEventListener('click', () => this.sortAndRenderHand());
 
@@ -101,9 +107,16 @@ class GameTableUI {
             this.updateGameState(data.gameState);
         });
 
-        gameClient.on('gameOver', (data) => {
-            if (this.onGameOver) {
-                this.onGameOver(data.result);
+        gameClient.on('roundEnded', (data) => {
+            this.stopTurnTimer();
+            if (this.onRoundEnded) {
+                this.onRoundEnded(data.result, data.match);
+            }
+        });
+
+        gameClient.on('matchOver', (data) => {
+            if (this.onMatchOver) {
+                this.onMatchOver(data);
             }
         });
 
@@ -115,6 +128,15 @@ class GameTableUI {
         gameClient.on('chatMessage', (data) => {
             this.addChatMessageDisplay(data.playerNickname, data.message);
         });
+
+        // Connection status of other players
+        gameClient.on('playerDisconnected', (data) => {
+            this.showActionAnimation({ type: 'playerDisconnected', playerNickname: data.nickname });
+        });
+
+        gameClient.on('playerReconnected', (data) => {
+            this.showActionAnimation({ type: 'playerReconnected', playerNickname: data.nickname });
+        });
     }
 
     /**
@@ -256,13 +278,37 @@ class GameTableUI {
                 break;
             case 'takeDiscardPile':
                 icon = '🎴';
-                desc = `took ${cardCount} cards from discard`;
+                desc = cardCount === 1 ? 'took the top discard' : `took ${cardCount} cards from discard`;
                 sourceElement = this.discardPile;
                 break;
+            case 'turnTimeout':
+                icon = '⏰';
+                desc = 'ran out of time - a card was discarded';
+                break;
+            case 'playerDisconnected':
+                icon = '📴';
+                desc = 'lost connection - their seat is held';
+                break;
+            case 'playerReconnected':
+                icon = '🔌';
+                desc = 'is back';
+                break;
+            case 'undo':
+                icon = '↩️';
+                desc = action.undone === 'takeDiscard' ? 'gave back the discard pile' : 'took back a move';
+                break;
+            case 'botTakeover':
+                icon = '🤖';
+                desc = 'is now played by a bot';
+                break;
+            case 'restock':
+                icon = '📦';
+                desc = `emptied the draw pile - a pozzetto (${cardCount} cards) is the new draw pile`;
+                break;
             case 'takePozzetto':
                 icon = '🎁';
-                desc = `took the pozzetto (${cardCount} cards)`;
-                sourceElement = this.pozzetto1?.classList.contains('taken') ? this.pozzetto2 : this.pozzetto1;
+                desc = `took pozzetto ${action.pozzettoIndex + 1} (${cardCount} cards)${action.onTheFly ? ' on the fly' : ''}`;
+                sourceElement = document.getElementById(`pozzetto-${action.pozzettoIndex + 1}`);
                 isSpecial = true;
                 break;
             default:
@@ -456,6 +502,12 @@ class GameTableUI {
             return;
         }
 
+        const warning = this.mustMeldWarning() || this.openingWarning() || this.closingWarning(this.gameState.hand.length - 1);
+        if (warning) {
+            alert(warning);
+            return;
+        }
+
         try {
             await gameClient.discard(cardId);
             this.selectedCards.clear();
@@ -481,21 +533,17 @@ class GameTableUI {
 
         // Apply room config (timer settings)
         if (gameState.config) {
-            this.turnDuration = gameState.config.turnTimer || 60;
+            this.turnDuration = gameState.config.turnTimer ?? 60;
             this.timerEnabled = this.turnDuration > 0;
             this.turnTimeLeft = this.turnDuration;
         }
+        this.turnDeadline = null;
 
         // Set my team
         const me = gameState.players?.find(p => p.nickname === gameState.myNickname);
         this.myTeam = me?.team || 'A';
 
         this.renderAll();
-
-        // Start timer for first turn
-        if (this.timerEnabled) {
-            this.startTurnTimer();
-        }
     }
 
 
@@ -555,15 +603,21 @@ class GameTableUI {
         this.isMyTurn = this.gameState.isMyTurn;
         this.currentPhase = this.gameState.currentPhase;
 
-        // Restart timer when turn changes to a new player
+        // Restart countdown whenever the server sets a new turn deadline
+        if (this.gameState.serverTime) {
+            this.clockOffset = this.gameState.serverTime - Date.now();
+        }
+        if (this.gameState.turnDeadline !== this.turnDeadline) {
+            this.turnDeadline = this.gameState.turnDeadline;
+            this.startTurnTimer();
+        }
+
+        // Announce turn changes to the new player
         const currentPlayerNickname = this.gameState.currentPlayerNickname;
         const turnChanged = currentPlayerNickname !== this.lastCurrentPlayer;
 
         if (turnChanged) {
             this.lastCurrentPlayer = currentPlayerNickname;
-            if (this.timerEnabled) {
-                this.startTurnTimer(); // Reset timer for new turn
-            }
 
             // ✅ Only show to the player who just got the turn
             if (this.gameState.isMyTurn) {
@@ -603,6 +657,20 @@ class GameTableUI {
                 this.handleCardReorder(draggedId, targetId, dropSide);
             }
         });
+
+        // Cards that have to be melded before discarding: taken with the pile, or wilds swapped out of melds
+        const mustMeldIds = [this.gameState.mustMeldCardId, ...(this.gameState.mustMeldWildIds || [])];
+        for (const cardId of mustMeldIds.filter(Boolean)) {
+            this.playerHand.querySelector(`[data-card-id="${cardId}"]`)?.classList.add('must-meld');
+        }
+
+        // Selected cards that break a near-miss meld, and hand cards that would complete it
+        for (const cardId of this.meldDiagnosis?.offCards || []) {
+            this.playerHand.querySelector(`[data-card-id="${cardId}"]`)?.classList.add('meld-breaker');
+        }
+        for (const cardId of this.meldDiagnosis?.completions || []) {
+            this.playerHand.querySelector(`[data-card-id="${cardId}"]`)?.classList.add('meld-completer');
+        }
     }
 
     /**
@@ -752,10 +820,10 @@ class GameTableUI {
         const teamClass = this.myTeam === 'A' ? 'team-a' : 'team-b';
 
         this.opponentBadge.innerHTML = `
-            <div class="player-info-badge ${teamClass} ${isOpponentTurn ? 'current-turn' : ''}">
+            <div class="player-info-badge ${teamClass} ${isOpponentTurn ? 'current-turn' : ''} ${opponent.disconnected ? 'offline' : ''}">
                 <img src="/assets/avatars/avatar_${avatarId}.png" class="badge-avatar" alt="${opponent.nickname}">
                 <div class="badge-info">
-                    <span class="badge-name">${opponent.nickname}</span>
+                    <span class="badge-name">${this.getPlayerLabel(opponent)}</span>
                     <span class="badge-card-count">${cardCount}</span>
                 </div>
                 ${this.timerEnabled && isOpponentTurn ? `<div class="badge-timer" id="opponent-timer">${this.turnTimeLeft}</div>` : ''}
@@ -764,27 +832,35 @@ class GameTableUI {
     }
 
     /**
-     * Start the turn timer
+     * Start the turn countdown towards the server deadline
      */
     startTurnTimer() {
         this.stopTurnTimer();
 
-        if (!this.timerEnabled) return;
+        if (!this.timerEnabled || !this.turnDeadline) return;
 
-        this.turnTimeLeft = this.turnDuration;
+        this.turnTimeLeft = this.getSecondsToDeadline();
         this.updateTimerDisplay();
 
         this.turnTimer = setInterval(() => {
-            this.turnTimeLeft--;
+            this.turnTimeLeft = this.getSecondsToDeadline();
             this.updateTimerDisplay();
 
+            // The server plays the timeout move and broadcasts the new state
             if (this.turnTimeLeft <= 0) {
                 this.stopTurnTimer();
-                this.handleTimerExpired();
             }
         }, 1000);
     }
 
+    /**
+     * Seconds left until the server deadline, corrected for clock skew
+     */
+    getSecondsToDeadline() {
+        const serverNow = Date.now() + this.clockOffset;
+        return Math.max(0, Math.ceil((this.turnDeadline - serverNow) / 1000));
+    }
+
     /**
      * Stop the turn timer
      */
@@ -808,33 +884,6 @@ class GameTableUI {
         });
     }
 
-    /**
-     * Handle timer expiration - auto discard
-     */
-    async handleTimerExpired() {
-        if (!this.isMyTurn) return;
-
-        // If in draw phase, auto-draw first
-        if (this.currentPhase === 'draw') {
-            try {
-                await gameClient.drawFromPile();
-            } catch (err) {
-                console.error('Auto-draw failed:', err);
-            }
-        }
-
-        // Auto-discard a random card from hand
-        const hand = this.gameState?.hand;
-        if (hand && hand.length > 0) {
-            const randomCard = hand[Math.floor(Math.random() * hand.length)];
-            try {
-                await gameClient.discard(randomCard.id);
-            } catch (err) {
-                console.error('Auto-discard failed:', err);
-            }
-        }
-    }
-
     /**
      * Handle card click (select/deselect)
      */
@@ -886,7 +935,8 @@ class GameTableUI {
 
         // Arrange players based on count
         // For 2 players: opponent on top
-        // For 4 players: teammate on top, opponents on left/right
+        // For 3 or more: every other player in the top row, in turn order from my left
+        // (with 4 players the teammate lands in the center)
 
         console.log('DEBUG: myIndex =', myIndex, ', playerCount =', playerCount);
 
@@ -895,29 +945,22 @@ class GameTableUI {
             // The opponent badge is rendered separately via renderOpponentBadge()
             // Keep opponentsRow hidden for 2-player games
             this.opponentsRow.innerHTML = '';
+            return;
+        }
 
-        } else if (playerCount === 4) {
-            // 4 player game: show all 3 other players in top row
-            // Order: left opponent, teammate (center), right opponent
-            const positions = [
-                (myIndex + 1) % 4, // Left
-                (myIndex + 2) % 4, // Center (teammate)
-                (myIndex + 3) % 4  // Right
-            ];
-
-            this.renderOpponentsRow([
-                allPlayers[positions[0]],
-                allPlayers[positions[1]],
-                allPlayers[positions[2]]
-            ]);
-        } else if (playerCount === 6) {
-            // 6 player game: show all 5 other players in top row
-            const otherPlayers = [];
-            for (let i = 1; i < 6; i++) {
-                otherPlayers.push(allPlayers[(myIndex + i) % 6]);
-            }
-            this.renderOpponentsRow(otherPlayers);
+        const otherPlayers = [];
+        for (let i = 1; i < playerCount; i++) {
+            otherPlayers.push(allPlayers[(myIndex + i) % playerCount]);
         }
+        this.renderOpponentsRow(otherPlayers);
+    }
+
+    /**
+     * Player name with an offline or bot marker
+     */
+    getPlayerLabel(player) {
+        const marker = player.disconnected ? '📴 ' : player.isBot ? '🤖 ' : '';
+        return `${marker}${player.nickname}`;
     }
 
     /**
@@ -937,11 +980,11 @@ class GameTableUI {
             const isTeammate = player.team === this.myTeam;
 
             const badgeEl = document.createElement('div');
-            badgeEl.className = `player-info-badge ${isCurrentTurn ? 'current-turn' : ''} ${isTeammate ? 'teammate' : 'opponent'}`;
+            badgeEl.className = `player-info-badge ${isCurrentTurn ? 'current-turn' : ''} ${isTeammate ? 'teammate' : 'opponent'} ${player.disconnected ? 'offline' : ''}`;
             badgeEl.innerHTML = `
                 <img src="/assets/avatars/avatar_${avatarId}.png" class="badge-avatar" alt="${player.nickname}">
                 <div class="badge-info">
-                    <span class="badge-name">${player.nickname}</span>
+                    <span class="badge-name">${this.getPlayerLabel(player)}</span>
                     <span class="badge-card-count">${cardCount}</span>
                 </div>
                 ${this.timerEnabled && isCurrentTurn ? `<div class="badge-timer">${this.turnTimeLeft}</div>` : ''}
@@ -962,12 +1005,12 @@ class GameTableUI {
         const cardCount = player.cardCount || 0;
 
         container.innerHTML = `
-            <div class="table-player-info ${isCurrentTurn ? 'current-turn' : ''}">
+            <div class="table-player-info ${isCurrentTurn ? 'current-turn' : ''} ${player.disconnected ? 'offline' : ''}">
                 <div class="player-avatar-wrapper">
                     <img src="/assets/avatars/avatar_${avatarId}.png" class="player-avatar" alt="${player.nickname}">
                     <span class="card-count-badge">${cardCount}</span>
                 </div>
-                <span class="player-name">${player.nickname}</span>
+                <span class="player-name">${this.getPlayerLabel(player)}</span>
                 <div class="player-cards-stack"></div>
             </div>
         `;
@@ -1017,7 +1060,66 @@ class GameTableUI {
     }
 
     /**
-     * Render team melds - my team always on left side
+     * Whether more than two teams each have a single player (3 players, or a free-for-all)
+     */
+    isSoloTable() {
+        const teamCount = Object.keys(this.gameState?.teamsMelds || {}).length;
+        return teamCount > 2 && teamCount === (this.gameState?.players?.length || 0);
+    }
+
+    /**
+     * Name to show for a team: the player's nickname when everyone plays alone
+     */
+    getTeamName(teamId) {
+        if (this.gameState && this.isSoloTable()) {
+            return this.getTeamPlayerNames(teamId) || `Team ${teamId}`;
+        }
+        return `Team ${teamId}`;
+    }
+
+    /**
+     * Teams in meld-zone order: my team first, then the others in turn order from my left
+     */
+    getTeamOrder() {
+        const teamIds = Object.keys(this.gameState?.teamsMelds || {});
+        const players = this.gameState?.players || [];
+        const myIndex = players.findIndex(p => p.nickname === this.gameState.myNickname);
+        const order = [this.myTeam || 'A'];
+        for (let i = 1; i < players.length; i++) {
+            const team = players[(myIndex + i) % players.length]?.team;
+            if (team && !order.includes(team)) order.push(team);
+        }
+        return order.concat(teamIds.filter(teamId => !order.includes(teamId)));
+    }
+
+    /**
+     * One meld zone per team - the two zones in the page, plus copies of the second
+     * when there are more teams
+     */
+    getMeldZones(count) {
+        const container = this.teamAMelds.parentElement;
+        const zones = [this.teamAMelds, this.teamBMelds];
+        container.querySelectorAll('.team-melds.extra-zone').forEach((zone, i) => {
+            if (i + 2 < count) zones.push(zone);
+            else zone.remove();
+        });
+
+        while (zones.length < count) {
+            const zone = this.teamBMelds.cloneNode(true);
+            zone.id = '';
+            zone.classList.add('extra-zone');
+            zone.querySelector('.zone-points').id = '';
+            container.appendChild(zone);
+            zones.push(zone);
+        }
+
+        container.style.gridTemplateColumns = `repeat(${count}, 1fr)`;
+        container.classList.toggle('many-teams', count > 2);
+        return zones;
+    }
+
+    /**
+     * Render team melds - my team always on the left, one zone per team
      */
     renderMelds() {
         if (!this.gameState.teamsMelds) return;
@@ -1030,31 +1132,34 @@ class GameTableUI {
             this.currentPhase !== 'draw' &&
             this.selectedCards.size >= 1;
 
-        // Determine which team goes on which side (my team on left)
-        const leftTeam = this.myTeam || 'A';
-        const rightTeam = leftTeam === 'A' ? 'B' : 'A';
-
-        // Names for each team
-        const leftNames = this.getTeamPlayerNames(leftTeam);
-        const rightNames = this.getTeamPlayerNames(rightTeam);
-
-        // Update zone headers
-        const leftHeader = this.teamAMelds.querySelector('.zone-header h4');
-        const rightHeader = this.teamBMelds.querySelector('.zone-header h4');
-        if (leftHeader) leftHeader.textContent = `Team ${leftTeam} (You) — ${leftNames}`;
-        if (rightHeader) rightHeader.textContent = `Team ${rightTeam} - ${rightNames}`;
-
         // Check for new buracos before rendering
         this.checkForNewBuracos(this.gameState.teamsMelds);
 
-        // Render melds: left container = my team, right container = opponent team
-        renderTeamMelds(this.teamAMelds, this.gameState.teamsMelds[leftTeam] || [], {
-            onMeldClick: (meld) => this.handleExtendMeld(meld),
-            isClickable: canExtend // My team is always clickable when I can extend
-        });
-        renderTeamMelds(this.teamBMelds, this.gameState.teamsMelds[rightTeam] || [], {
-            onMeldClick: (meld) => this.handleExtendMeld(meld),
-            isClickable: false // Opponent team never clickable
+        // Left zone = my team, then the other teams
+        const teams = this.getTeamOrder();
+        const zones = this.getMeldZones(teams.length);
+        const solo = this.isSoloTable();
+
+        teams.forEach((teamId, i) => {
+            const zone = zones[i];
+            const isMine = i === 0;
+            zone.dataset.team = teamId;
+
+            // Zone header: team and players (just the player when everyone plays alone)
+            const header = zone.querySelector('.zone-header h4');
+            const names = this.getTeamPlayerNames(teamId);
+            if (header) {
+                if (solo) {
+                    header.textContent = isMine ? `${names} (You)` : names;
+                } else {
+                    header.textContent = isMine ? `Team ${teamId} (You) — ${names}` : `Team ${teamId} - ${names}`;
+                }
+            }
+
+            renderTeamMelds(zone, this.gameState.teamsMelds[teamId] || [], {
+                onMeldClick: (meld) => this.handleExtendMeld(meld),
+                isClickable: isMine && canExtend // Only my team's melds, when I can extend
+            });
         });
 
         // Store current melds for next comparison
@@ -1102,7 +1207,7 @@ class GameTableUI {
             <div class="action-toast ${specialClass}">
                 <span class="toast-icon">🏆</span>
                 <div class="toast-text">
-                    <span class="player-name">Team ${teamId}</span>
+                    <span class="player-name">${this.getTeamName(teamId)}</span>
                     <span class="action-desc">${message}</span>
                 </div>
             </div>
@@ -1146,11 +1251,21 @@ class GameTableUI {
                 // Update status
                 const isTaken = this.gameState.pozzettiTaken && this.gameState.pozzettiTaken[i - 1];
                 const count = this.gameState.pozzettiCounts[i - 1] || 0;
+                const owner = this.gameState.pozzettiOwners?.[i - 1] ?? null;
+                const takenBy = this.gameState.pozzettiTakenBy?.[i - 1] ?? null;
 
                 pozzettoEl.classList.toggle('taken', isTaken);
+                pozzettoEl.classList.toggle('reserved-mine', owner !== null && owner === this.myTeam);
+
+                // Reserved pozzetti name their team; taken ones name who took them
+                if (takenBy) {
+                    pozzettoEl.title = `Taken by ${this.getTeamName(takenBy)}`;
+                } else {
+                    pozzettoEl.title = owner ? `Reserved for ${this.getTeamName(owner)}` : 'Any team may take this pozzetto';
+                }
 
                 // Update visuals
-                this.updatePozzettoVisuals(pozzettoEl, countEl, count);
+                this.updatePozzettoVisuals(pozzettoEl, countEl, count, owner);
             } else {
                 // Hide this pozzetto
                 pozzettoEl.style.display = 'none';
@@ -1161,11 +1276,12 @@ class GameTableUI {
     /**
      * Update visual display of a pozzetto
      */
-    updatePozzettoVisuals(pozzettoEl, countEl, count) {
+    updatePozzettoVisuals(pozzettoEl, countEl, count, owner = null) {
         if (!pozzettoEl || !countEl) return;
 
-        // textual count
-        countEl.textContent = count > 0 ? `${count} cards` : 'Taken';
+        // textual count, with the team it is reserved for
+        const ownerLabel = owner ? ` · ${owner === this.myTeam ? 'Yours' : `Team ${owner}`}` : '';
+        countEl.textContent = count > 0 ? `${count} cards${ownerLabel}` : 'Taken';
 
         // visual deck
         const stackContainer = pozzettoEl.querySelector('.card-stack') ||
@@ -1202,6 +1318,10 @@ class GameTableUI {
      * Get readable phase text
      */
     getPhaseText() {
+        if (this.gameState?.mustMeldWildIds?.length) return 'Meld the wild card you took back';
+        if (this.mustMeldWarning()) return 'Meld the card you took from the pile';
+        if (this.openingWarning()) return `Lay ${this.gameState.opening.pointsNeeded} more points to open, or undo`;
+
         switch (this.currentPhase) {
             case 'draw': return 'Draw a card';
             case 'meld': return 'Play melds or discard';
@@ -1211,72 +1331,68 @@ class GameTableUI {
     }
 
     /**
-     * Check if selected cards form a valid meld
-     * Rules:
-     * - Minimum 3 cards, maximum 7 cards
-     * - Maximum 1 joker per meld
-     * - Same rank meld: A A A or A A JOKER (same rank, different suits)
-     * - Sequence meld: A K Q or JOKER A K Q (same suit, consecutive ranks)
-     * - Ace can be high (A-K-Q) or low (A-2-3)
+     * Meld rules of the room's ruleset (sizes, wild limit, 2s wild)
      */
-    isValidMeld(cardIds) {
-        if (cardIds.length < 3 || cardIds.length > 7) return false;
-
-        const cards = cardIds.map(id =>
-            this.gameState.hand.find(c => c.id === id)
-        ).filter(Boolean);
-
-        if (cards.length < 3) return false;
-
-        // Separate jokers and natural cards
-        const jokers = cards.filter(c => c.rank === 'JOKER');
-        const natural = cards.filter(c => c.rank !== 'JOKER');
-
-        // Maximum 1 joker per meld
-        if (jokers.length > 1) return false;
-
-        // Need at least 2 natural cards
-        if (natural.length < 2) return false;
-
-        // Check if same rank meld (e.g., A A A or A A JOKER)
-        const firstRank = natural[0].rank;
-        const allSameRank = natural.every(c => c.rank === firstRank);
+    get meldRules() {
+        return this.gameState?.rules?.melds ?? { minSize: 3, maxSize: 7, burracoSize: 7, maxWilds: 1, twosWild: false, aceAround: false };
+    }
 
-        if (allSameRank) {
-            // Same rank melds are valid with 3+ cards and max 1 joker
-            return cards.length >= 3;
+    /**
+     * Why the player may not be left with this many cards, or null if they may.
+     * With no pozzetto to pick up, emptying the hand closes it, so the
+     * team must meet the ruleset's closing requirements (sent by the server).
+     * When pozzetti are only picked up after discarding, melds must keep a card back.
+     * @param {number} cardsLeft - Cards in hand after the move
+     * @param {number} meldSize - Size of the meld the move leaves (0 for a discard);
+     *   a meld that becomes a burraco may itself let the team close, so the server decides
+     */
+    closingWarning(cardsLeft, meldSize = 0) {
+        const closing = this.gameState?.closing;
+        if (!closing || cardsLeft > 1) return null;
+        if (closing.pozzettoAvailable) {
+            return cardsLeft === 0 && meldSize > 0 && closing.pozzettoOnTheFly === false
+                ? 'Keep a card to discard - the pozzetto is picked up after discarding'
+                : null;
         }
+        if (!closing.canClose && (closing.needsPozzetto || meldSize < this.meldRules.burracoSize)) {
+            return closing.reason;
+        }
+        return cardsLeft === 0 ? 'Keep a card to discard when closing' : null;
+    }
 
-        // Check if sequence (all same suit, consecutive ranks)
-        const firstSuit = natural[0].suit;
-        const allSameSuit = natural.every(c => c.suit === firstSuit);
-
-        if (!allSameSuit) return false;
-
-        // Try both Ace-low (A=1) and Ace-high (A=14) for sequences
-        const isValidSequence = (aceValue) => {
-            const rankValues = { 'A': aceValue, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 };
-            const sorted = natural.map(c => ({ rank: c.rank, value: rankValues[c.rank] }))
-                .sort((a, b) => a.value - b.value);
-
-            // Check if consecutive allowing joker to fill gaps
-            let totalGaps = 0;
-            for (let i = 1; i < sorted.length; i++) {
-                const gap = sorted[i].value - sorted[i - 1].value - 1;
-
-                if (gap < 0) {
-                    return false; // Duplicate rank in sequence
-                }
-
-                totalGaps += gap;
-            }
+    /**
+     * Reason the player may not discard yet because of a 'mustMeldTop' pile pickup
+     * or a wild taken back from a meld under 'meldThisTurn', or null
+     */
+    mustMeldWarning() {
+        if (this.gameState?.mustMeldWildIds?.length) {
+            return 'Meld the wild card you took back before discarding, or undo the swap';
+        }
+        const cardId = this.gameState?.mustMeldCardId;
+        if (!cardId || !this.gameState.hand?.some(c => c.id === cardId)) return null;
+        return 'Meld the top card of the discard pile before discarding, or undo taking the pile';
+    }
 
-            // Total gaps must be fillable by the joker(s)
-            return totalGaps <= jokers.length;
-        };
+    /**
+     * Reason the player may not discard yet because melds laid this turn fall short
+     * of the team's opening minimum, or null
+     */
+    openingWarning() {
+        const opening = this.gameState?.opening;
+        if (!opening || opening.pointsNeeded === 0 || opening.laidPoints === 0) return null;
+        return `Your opening melds need ${opening.pointsNeeded} more points (${opening.minPoints} in total), or undo them`;
+    }
 
-        // Valid if sequence works with Ace as 1 OR Ace as 14
-        return isValidSequence(1) || isValidSequence(14);
+    /**
+     * Points still needed to open once the selected cards are melded, or 0
+     */
+    openingPointsAfterSelection() {
+        const needed = this.gameState?.opening?.pointsNeeded || 0;
+        if (needed === 0) return 0;
+        const selectedPoints = this.gameState.hand
+            .filter(c => this.selectedCards.has(c.id))
+            .reduce((sum, c) => sum + c.value, 0);
+        return Math.max(0, needed - selectedPoints);
     }
 
     /**
@@ -1291,41 +1407,177 @@ class GameTableUI {
         const canDraw = this.isMyTurn && this.currentPhase === 'draw';
         const canMeldPhase = this.isMyTurn && (this.currentPhase === 'meld' || this.currentPhase === 'discard');
 
-        const canDiscard = this.isMyTurn && this.currentPhase !== 'draw' && this.selectedCards.size === 1;
+        // Warn before a move that would close the hand while the team may not close yet
+        const discardWarning = this.mustMeldWarning() || this.openingWarning() || this.closingWarning(handCount - 1);
+        const meldWarning = this.closingWarning(handCount - selectedCount, selectedCount);
 
-        // Must be >= 3, form valid meld, AND leave at least 1 card in hand
-        const cardIds = Array.from(this.selectedCards);
-        const canPlayMeld = canMeldPhase && selectedCount >= 3 && leavesAtLeastOneCard && this.isValidMeld(cardIds);
+        const canDiscard = this.isMyTurn && this.currentPhase !== 'draw' && this.selectedCards.size === 1 &&
+            !discardWarning;
+
+        // Must be big enough, form a meld (the server validates it), AND leave at least 1 card in hand
+        const canPlayMeld = canMeldPhase && selectedCount >= this.meldRules.minSize &&
+            leavesAtLeastOneCard && !meldWarning && this.selectionIsMeld();
 
-        this.drawBtn.disabled = !canDraw;
+        const stockEmpty = this.gameState?.drawPileCount === 0;
+        this.drawBtn.disabled = !canDraw || stockEmpty;
+        this.drawBtn.title = stockEmpty ? 'The draw pile is empty - take the discard pile' : '';
         this.takeDiscardBtn.disabled = !canDraw || (this.gameState.discardPile?.length === 0);
         this.discardBtn.disabled = !canDiscard;
         this.meldBtn.disabled = !canPlayMeld;
+        this.undoBtn.disabled = !(this.isMyTurn && this.gameState?.canUndo);
+        this.discardBtn.title = (this.isMyTurn && discardWarning) || '';
+        this.meldBtn.title = (this.isMyTurn && selectedCount > 0 && meldWarning) || '';
+
+        // Before the team opens, show how far the selection is from the opening minimum
+        const openingShort = this.isMyTurn ? this.openingPointsAfterSelection() : 0;
+        this.meldBtn.textContent = openingShort > 0 ? `Play Meld (${openingShort} more to open)` : 'Play Meld';
+
+        // Discard pile pickup rule of the room
+        const pickup = this.gameState?.rules?.drawing?.discardPickup;
+        this.takeDiscardBtn.textContent = pickup === 'topCard' ? 'Take Top Card' : 'Take Discard';
+        this.takeDiscardBtn.title = pickup === 'mustMeldTop' ? 'You must meld the top card before you discard' : '';
 
         // Highlight active buttons
-        this.drawBtn.classList.toggle('highlight', canDraw);
+        this.drawBtn.classList.toggle('highlight', canDraw && !stockEmpty);
         this.takeDiscardBtn.classList.toggle('highlight', canDraw);
         this.discardBtn.classList.toggle('highlight', canDiscard);
         this.meldBtn.classList.toggle('highlight', canPlayMeld);
+
+        this.updateMeldCheck(canMeldPhase);
+    }
+
+    /**
+     * Key of the current selection and hand (completions in a diagnosis come from the hand)
+     */
+    meldCheckKey() {
+        return `${Array.from(this.selectedCards).sort().join(',')}|${this.gameState.hand.map(c => c.id).join(',')}`;
+    }
+
+    /**
+     * Whether the server has confirmed that the current selection forms a meld
+     */
+    selectionIsMeld() {
+        return this.meldCheck?.key === this.meldCheckKey() && this.meldCheck.diagnosis?.valid === true;
+    }
+
+    /**
+     * Ask the server whether the selected cards form a meld - it applies every rule of the
+     * ruleset, so the table never keeps its own copy of them. Enables the meld button when
+     * they do, and shows what they lack when they come close
+     * @param {boolean} canMeld - The player may meld now
+     */
+    async updateMeldCheck(canMeld) {
+        if (!canMeld || this.selectedCards.size < 2) {
+            this.meldCheck = null;
+            this.showMeldHint(null);
+            return;
+        }
+
+        // Ask once per selection and hand; the meld button stays disabled until the answer
+        const key = this.meldCheckKey();
+        if (key === this.meldCheck?.key) return;
+        const check = { key, pending: true, diagnosis: null };
+        this.meldCheck = check;
+        this.meldBtn.disabled = true;
+        this.meldBtn.title = 'Checking the meld...';
+
+        let diagnosis = null;
+        try {
+            diagnosis = await gameClient.checkMeld(Array.from(this.selectedCards));
+        } catch (err) {
+            console.error('Meld check failed:', err);
+        }
+
+        // A newer selection (or leaving the meld phase) replaced this check - drop the late answer
+        if (this.meldCheck !== check) return;
+
+        check.pending = false;
+        check.diagnosis = diagnosis;
+        this.showMeldHint(diagnosis?.valid ? null : diagnosis);
+        this.updateActionButtons();
+    }
+
+    /**
+     * Show a near-miss diagnosis under the hand controls and mark the cards it names,
+     * or clear the hint (null, or a selection that is nowhere near a meld)
+     */
+    showMeldHint(diagnosis) {
+        const near = diagnosis && !diagnosis.valid && (diagnosis.completions.length > 0 || diagnosis.wildWouldFix ||
+            diagnosis.offCards.length === 1 || diagnosis.missingRanks.length === 1);
+        const changed = this.meldDiagnosis !== null || near;
+        this.meldDiagnosis = near ? diagnosis : null;
+
+        if (this.meldHint) {
+            this.meldHint.textContent = near ? this.describeMeldDiagnosis(diagnosis) : '';
+            this.meldHint.classList.toggle('hidden', !near);
+        }
+        if (changed) this.renderPlayerHand();
+    }
+
+    /**
+     * Short text for a near-miss diagnosis, e.g. "8♠ breaks the ♥ sequence · add 6♥ from your hand"
+     */
+    describeMeldDiagnosis(diagnosis) {
+        const suitSymbols = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+        const name = id => {
+            const card = this.gameState.hand.find(c => c.id === id);
+            return card?.rank === 'JOKER' ? 'Joker' : `${card?.rank}${suitSymbols[card?.suit] || ''}`;
+        };
+        const { type, rank, suit, offCards, missingRanks, wildWouldFix, completions } = diagnosis;
+        const meldName = type === 'set' ? `set of ${rank}s` : `${suitSymbols[suit]} sequence`;
+
+        const parts = [];
+        if (offCards.length > 0) {
+            parts.push(`${offCards.map(name).join(', ')} ${offCards.length === 1 ? 'breaks' : 'break'} the ${meldName}`);
+        }
+        if (missingRanks.length > 0) {
+            parts.push(`missing ${missingRanks.map(r => `${r}${suitSymbols[suit]}`).join(', ')}`);
+        }
+        if (wildWouldFix) {
+            parts.push('a wild card would complete it');
+        }
+        if (completions.length > 0) {
+            parts.push(`add ${completions.slice(0, 3).map(name).join(' or ')} from your hand`);
+        }
+        return parts.length > 0 ? parts.join(' · ') : diagnosis.reason;
     }
 
     /**
-     * Update score display - respects team swap (my team on left)
+     * Update score display - each meld zone shows the points of the team it holds
      */
     updateScores() {
         if (this.gameState.scores) {
-            // Determine which team is on which side
-            const leftTeam = this.myTeam || 'A';
-            const rightTeam = leftTeam === 'A' ? 'B' : 'A';
+            const zones = this.teamAMelds.parentElement.querySelectorAll('.team-melds');
+            zones.forEach(zone => {
+                const points = zone.querySelector('.zone-points');
+                if (points) points.textContent = `${this.gameState.scores[zone.dataset.team] || 0} Pts.`;
+            });
+        }
+
+        this.updateMatchInfo();
+    }
 
-            // Update Top Bar (if exists)
-            if (this.teamAPoints) this.teamAPoints.textContent = this.gameState.scores[leftTeam] || 0;
-            if (this.teamBPoints) this.teamBPoints.textContent = this.gameState.scores[rightTeam] || 0;
+    /**
+     * Update match scoreboard (round number and cumulative totals)
+     */
+    updateMatchInfo() {
+        if (!this.matchInfo) return;
 
-            // Update Zone Points (left zone = my team, right zone = opponent)
-            if (this.teamAZonePoints) this.teamAZonePoints.textContent = `${this.gameState.scores[leftTeam] || 0} Pts.`;
-            if (this.teamBZonePoints) this.teamBZonePoints.textContent = `${this.gameState.scores[rightTeam] || 0} Pts.`;
+        const match = this.gameState.match;
+        if (!match) {
+            this.matchInfo.innerHTML = '';
+            return;
         }
+
+        const totals = Object.entries(match.totals)
+            .map(([team, score]) => `<span class="match-total ${team === this.myTeam ? 'mine' : ''}">${this.isSoloTable() ? this.getTeamPlayerNames(team) : team}: ${score}</span>`)
+            .join('');
+
+        this.matchInfo.innerHTML = `
+            <span class="match-round">Round ${match.currentRound}</span>
+            ${totals}
+            <span class="match-target">to ${match.targetScore}</span>
+        `;
     }
 
     /**
@@ -1372,6 +1624,12 @@ class GameTableUI {
 
         const cardId = Array.from(this.selectedCards)[0];
 
+        const warning = this.mustMeldWarning() || this.openingWarning() || this.closingWarning(this.gameState.hand.length - 1);
+        if (warning) {
+            alert(warning);
+            return;
+        }
+
         try {
             await gameClient.discard(cardId);
             this.selectedCards.clear();
@@ -1397,6 +1655,12 @@ class GameTableUI {
 
         const cardIds = Array.from(this.selectedCards);
 
+        const warning = this.closingWarning(this.gameState.hand.length - cardIds.length, cardIds.length);
+        if (warning) {
+            alert(warning);
+            return;
+        }
+
         try {
             await gameClient.playMeld(cardIds);
             this.selectedCards.clear();
@@ -1405,6 +1669,20 @@ class GameTableUI {
             alert(err.message);
         }
     }
+
+    /**
+     * Take back the last meld, extension or wild swap (the server sends the restored table)
+     */
+    async handleUndo() {
+        try {
+            await gameClient.undoMove();
+            this.selectedCards.clear();
+        } catch (err) {
+            console.error('Undo failed:', err);
+            alert(err.message);
+        }
+    }
+
     /**
      * Handle extend meld action - add selected cards to existing meld
      */
@@ -1426,13 +1704,21 @@ class GameTableUI {
             this.gameState.hand.find(c => c.id === id)
         ).filter(Boolean);
 
-        // Check if adding these cards would violate the "max 1 joker" rule
+        // Check if adding these cards would break the ruleset's wild card limit
+        // (Jokers only - a 2 may still turn out to be natural, so the server decides those)
+        const { maxWilds } = this.meldRules;
         const existingJokers = meld.cards.filter(c => c.rank === 'JOKER').length;
         const newJokers = selectedCardsObjs.filter(c => c.rank === 'JOKER').length;
         const totalJokers = existingJokers + newJokers;
 
-        if (totalJokers > 1) {
-            alert('Cannot add: A meld can have at most 1 Joker!');
+        if (maxWilds !== null && totalJokers > maxWilds) {
+            alert(`Cannot add: A meld can have at most ${maxWilds} wild card${maxWilds === 1 ? '' : 's'}!`);
+            return;
+        }
+
+        const warning = this.closingWarning(this.gameState.hand.length - cardIds.length, meld.cards.length + cardIds.length);
+        if (warning) {
+            alert(warning);
             return;
         }
 
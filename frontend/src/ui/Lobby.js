@@ -5,6 +5,46 @@
 
 import gameClient from '../game/GameClient.js';
 
+// Closing requirements behind each "To Close" option
+const CLOSING_OPTIONS = {
+    anytime: { requirePozzetto: false, requireBurraco: false, requireCleanBurraco: false },
+    burraco: { requirePozzetto: true, requireBurraco: true, requireCleanBurraco: false },
+    clean: { requirePozzetto: true, requireBurraco: true, requireCleanBurraco: true }
+};
+
+// Opening minimum behind each "Opening Minimum" option, by the team's match total
+const OPENING_OPTIONS = {
+    off: [],
+    fixed: [{ fromScore: 0, minPoints: 50 }],
+    rising: [
+        { fromScore: 0, minPoints: 50 },
+        { fromScore: 1500, minPoints: 90 },
+        { fromScore: 3000, minPoints: 120 }
+    ]
+};
+
+// Smallest draw pile a room may leave per player (the server checks the same)
+const MIN_DRAW_PILE_PER_PLAYER = 5;
+
+// Scoring rules behind each "Scoring" profile (Indian keeps the original table)
+const SCORING_PROFILES = {
+    indian: {
+        cleanBurraco: 200, dirtyBurraco: 200, sameRankBurraco: 100, goingOut: 50, pozzetto: 50,
+        burracoCardValues: false, missedPozzetto: 0
+    },
+    standard: {
+        cleanBurraco: 200, dirtyBurraco: 100, sameRankBurraco: null, goingOut: 100, pozzetto: 0,
+        burracoCardValues: true, missedPozzetto: 100
+    }
+};
+
+// Off / on values of each "Scoring Options" toggle
+const SCORING_OPTIONS = {
+    dirtyBurraco: [200, 100],
+    burracoCardValues: [false, true],
+    missedPozzetto: [0, 100]
+};
+
 class LobbyUI {
     constructor() {
         this.selectedPlayerCount = 4;
@@ -16,7 +56,13 @@ class LobbyUI {
             turnTimer: 60,  // seconds (0 = disabled)
             deckCount: 3,
             jokersPerDeck: 2,
-            pozzettoCount: 2  // number of pozzetti
+            pozzettoCount: 2,  // number of pozzetti
+            handSize: 14,      // cards per hand
+            pozzettoSize: 14,  // cards per pozzetto
+            targetScore: 2000,  // points to win the match
+            seed: null,  // fixed deal seed (null = random)
+            teamCount: 2,  // teams at the table (= player count when everyone plays alone)
+            ruleset: { preset: 'indian', overrides: { scoring: { ...SCORING_PROFILES.indian } } }  // rules preset plus custom overrides
         };
 
         // DOM elements
@@ -31,10 +77,31 @@ class LobbyUI {
         this.deckBtns = document.querySelectorAll('.config-btn[data-decks]');
         this.jokerBtns = document.querySelectorAll('.config-btn[data-jokers]');
         this.pozzettiBtns = document.querySelectorAll('.config-btn[data-pozzetti]');
+        this.handSizeBtns = document.querySelectorAll('.config-btn[data-hand-size]');
+        this.pozzettoSizeBtns = document.querySelectorAll('.config-btn[data-pozzetto-size]');
+        this.dealCheck = document.getElementById('deal-check');
+        this.teamCountBtns = document.querySelectorAll('.config-btn[data-team-count]');
+        this.teamChoice = '2'; // '2', '3' or 'all' - kept while the player count changes
+        this.targetBtns = document.querySelectorAll('.config-btn[data-target]');
+        this.seedInput = document.getElementById('seed-input');
+        this.rulesetBtns = document.querySelectorAll('.config-btn[data-ruleset]');
+        this.twosWildBtns = document.querySelectorAll('.config-btn[data-twos-wild]');
+        this.aceAroundBtns = document.querySelectorAll('.config-btn[data-ace-around]');
+        this.maxWildsBtns = document.querySelectorAll('.config-btn[data-max-wilds]');
+        this.closingBtns = document.querySelectorAll('.config-btn[data-closing]');
+        this.openingBtns = document.querySelectorAll('.config-btn[data-opening]');
+        this.discardPickupBtns = document.querySelectorAll('.config-btn[data-discard-pickup]');
+        this.emptyStockBtns = document.querySelectorAll('.config-btn[data-empty-stock]');
+        this.pozzettoAllocationBtns = document.querySelectorAll('.config-btn[data-pozzetto-allocation]');
+        this.pozzettoOnTheFlyBtns = document.querySelectorAll('.config-btn[data-pozzetto-on-the-fly]');
+        this.scoringBtns = document.querySelectorAll('.config-btn[data-scoring]');
+        this.scoringOptionBtns = document.querySelectorAll('.config-btn[data-scoring-option]');
 
         this.onRoomJoined = null; // Callback when room is joined
 
         this.setupEventListeners();
+        this.updateTeamsOption();
+        this.updateDealCheck();
     }
 
     setupEventListeners() {
@@ -44,6 +111,17 @@ class LobbyUI {
                 this.playerCountBtns.forEach(b => b.classList.remove('selected'));
                 btn.classList.add('selected');
                 this.selectedPlayerCount = parseInt(btn.dataset.count);
+                this.updateTeamsOption();
+                this.updateDealCheck();
+            });
+        });
+
+        // Two teams, three teams of two (6 players) or free-for-all
+        this.teamCountBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.teamChoice = btn.dataset.teamCount;
+                this.updateTeamsOption();
+                this.updateDealCheck();
             });
         });
 
@@ -62,6 +140,7 @@ class LobbyUI {
                 this.deckBtns.forEach(b => b.classList.remove('selected'));
                 btn.classList.add('selected');
                 this.roomConfig.deckCount = parseInt(btn.dataset.decks);
+                this.updateDealCheck();
             });
         });
 
@@ -71,6 +150,7 @@ class LobbyUI {
                 this.jokerBtns.forEach(b => b.classList.remove('selected'));
                 btn.classList.add('selected');
                 this.roomConfig.jokersPerDeck = parseInt(btn.dataset.jokers);
+                this.updateDealCheck();
             });
         });
 
@@ -80,9 +160,136 @@ class LobbyUI {
                 this.pozzettiBtns.forEach(b => b.classList.remove('selected'));
                 btn.classList.add('selected');
                 this.roomConfig.pozzettoCount = parseInt(btn.dataset.pozzetti);
+                this.updateDealCheck();
+            });
+        });
+
+        // Hand and pozzetto size config
+        this.handSizeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handSizeBtns.forEach(b => b.classList.remove('selected'));
+                btn.classList.add('selected');
+                this.roomConfig.handSize = parseInt(btn.dataset.handSize);
+                this.updateDealCheck();
+            });
+        });
+        this.pozzettoSizeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.pozzettoSizeBtns.forEach(b => b.classList.remove('selected'));
+                btn.classList.add('selected');
+                this.roomConfig.pozzettoSize = parseInt(btn.dataset.pozzettoSize);
+                this.updateDealCheck();
+            });
+        });
+
+        // Match target config
+        this.targetBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.targetBtns.forEach(b => b.classList.remove('selected'));
+                btn.classList.add('selected');
+                this.roomConfig.targetScore = parseInt(btn.dataset.target);
+            });
+        });
+
+        // Ruleset preset config (resets the rule toggles to the preset's values)
+        this.rulesetBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.rulesetBtns.forEach(b => b.classList.remove('selected'));
+                btn.classList.add('selected');
+                this.roomConfig.ruleset = { preset: btn.dataset.ruleset, overrides: {} };
+                this.selectRule(this.twosWildBtns, 'melds', 'twosWild', JSON.parse(btn.dataset.presetTwosWild));
+                this.selectRule(this.aceAroundBtns, 'melds', 'aceAround', JSON.parse(btn.dataset.presetAceAround));
+                this.selectRule(this.maxWildsBtns, 'melds', 'maxWilds', JSON.parse(btn.dataset.presetMaxWilds));
+                this.selectClosingRule(btn.dataset.presetClosing);
+                this.selectRule(this.pozzettoAllocationBtns, 'closing', 'pozzettoAllocation', btn.dataset.presetPozzettoAllocation);
+                this.selectRule(this.pozzettoOnTheFlyBtns, 'closing', 'pozzettoOnTheFly', JSON.parse(btn.dataset.presetPozzettoOnTheFly));
+                this.selectOpeningRule('off');
+                this.selectRule(this.discardPickupBtns, 'drawing', 'discardPickup', btn.dataset.presetDiscardPickup);
+                this.selectRule(this.emptyStockBtns, 'drawing', 'emptyStock', btn.dataset.presetEmptyStock);
+                this.selectScoringProfile(btn.dataset.presetScoring);
+                this.updateDealCheck();
+            });
+        });
+
+        // 2s wild (pinella) rule override
+        this.twosWildBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.twosWildBtns, 'melds', 'twosWild', JSON.parse(btn.dataset.twosWild));
+            });
+        });
+
+        // Ace-around sequences override (Q-K-A-2-3)
+        this.aceAroundBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.aceAroundBtns, 'melds', 'aceAround', JSON.parse(btn.dataset.aceAround));
+            });
+        });
+
+        // Wild cards per meld override (1, 2 or no limit)
+        this.maxWildsBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.maxWildsBtns, 'melds', 'maxWilds', JSON.parse(btn.dataset.maxWilds));
+            });
+        });
+
+        // Discard pile pickup override (whole pile, top card only, must meld the top card)
+        this.discardPickupBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.discardPickupBtns, 'drawing', 'discardPickup', btn.dataset.discardPickup);
             });
         });
 
+        // Opening minimum override
+        this.openingBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectOpeningRule(btn.dataset.opening));
+        });
+
+        // Empty draw pile override (take the discard pile, pozzetto as new stock, end the hand)
+        this.emptyStockBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.emptyStockBtns, 'drawing', 'emptyStock', btn.dataset.emptyStock);
+            });
+        });
+
+        // Pozzetto allocation override (shared pool, or one reserved per team)
+        this.pozzettoAllocationBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.pozzettoAllocationBtns, 'closing', 'pozzettoAllocation', btn.dataset.pozzettoAllocation);
+                this.updateDealCheck();
+            });
+        });
+
+        // Pozzetto pickup override (on the fly when melding out, or only after discarding)
+        this.pozzettoOnTheFlyBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.selectRule(this.pozzettoOnTheFlyBtns, 'closing', 'pozzettoOnTheFly', JSON.parse(btn.dataset.pozzettoOnTheFly));
+            });
+        });
+
+        // Closing requirements override
+        this.closingBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectClosingRule(btn.dataset.closing));
+        });
+
+        // Scoring profile, then individual scoring options on top of it
+        this.scoringBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.selectScoringProfile(btn.dataset.scoring));
+        });
+        this.scoringOptionBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const rule = btn.dataset.scoringOption;
+                const [off, on] = SCORING_OPTIONS[rule];
+                const scoring = this.roomConfig.ruleset.overrides.scoring;
+                scoring[rule] = scoring[rule] === on ? off : on;
+                this.showScoring();
+            });
+        });
+
+        // Deal seed config (blank = random deals)
+        this.seedInput.addEventListener('input', () => {
+            this.roomConfig.seed = this.seedInput.value.trim() || null;
+        });
+
         // Create room
         this.createRoomBtn.addEventListener('click', () => this.handleCreateRoom());
 
@@ -110,6 +317,103 @@ class LobbyUI {
         return this.nickname;
     }
 
+    /**
+     * Show and set the team count for the chosen table size (the server accepts the same):
+     * 2 or 3 players always play alone, 3 teams need 6 players
+     */
+    updateTeamsOption() {
+        const players = this.selectedPlayerCount;
+        const countFor = choice => choice === 'all' ? players : parseInt(choice);
+        const allowed = players <= 3 ? [players] : players === 6 ? [2, 3, 6] : [2, players];
+
+        const choice = allowed.includes(countFor(this.teamChoice)) ? this.teamChoice : players <= 3 ? 'all' : '2';
+        this.roomConfig.teamCount = countFor(choice);
+        this.teamCountBtns.forEach(b => {
+            b.disabled = !allowed.includes(countFor(b.dataset.teamCount));
+            b.classList.toggle('selected', b.dataset.teamCount === choice);
+        });
+    }
+
+    /**
+     * Show how many cards the deal leaves for the draw pile, and block room creation
+     * when the decks cannot cover every hand and pozzetto, or reserved pozzetti miss a team
+     */
+    updateDealCheck() {
+        const { deckCount, jokersPerDeck, pozzettoCount, handSize, pozzettoSize, teamCount } = this.roomConfig;
+        const players = this.selectedPlayerCount;
+        const totalCards = deckCount * (52 + jokersPerDeck);
+        const dealtCards = players * handSize + pozzettoCount * pozzettoSize + 1;
+        const drawPile = totalCards - dealtCards;
+        const minDrawPile = players * MIN_DRAW_PILE_PER_PLAYER;
+        const enough = drawPile >= minDrawPile;
+        const reserved = this.roomConfig.ruleset.overrides.closing?.pozzettoAllocation === 'reserved';
+        const pozzettoEach = !reserved || pozzettoCount >= teamCount;
+
+        if (!enough) {
+            this.dealCheck.textContent =
+                `Not enough cards: ${deckCount} decks (${totalCards} cards) leave ${Math.max(0, drawPile)} for the draw pile ` +
+                `after dealing, at least ${minDrawPile} needed. Add a deck, or use fewer pozzetti or smaller hands.`;
+        } else if (!pozzettoEach) {
+            this.dealCheck.textContent =
+                `With a pozzetto reserved for each team, ${teamCount} teams need at least ${teamCount} pozzetti.`;
+        } else {
+            this.dealCheck.textContent = `Draw pile: ${drawPile} cards`;
+        }
+        this.dealCheck.classList.toggle('error', !enough || !pozzettoEach);
+        this.createRoomBtn.disabled = !enough || !pozzettoEach;
+    }
+
+    /**
+     * Show and set a rule override - the buttons' data key is the rule name
+     * (an override equal to the preset's value is not "custom")
+     */
+    selectRule(buttons, section, rule, value) {
+        buttons.forEach(b => b.classList.toggle('selected', b.dataset[rule] === String(value)));
+        const overrides = this.roomConfig.ruleset.overrides;
+        overrides[section] = { ...overrides[section], [rule]: value };
+    }
+
+    /**
+     * Show and set the closing requirements for a "To Close" option
+     * (the pozzetto allocation and pickup overrides are kept)
+     */
+    selectClosingRule(option) {
+        this.closingBtns.forEach(b => b.classList.toggle('selected', b.dataset.closing === option));
+        const overrides = this.roomConfig.ruleset.overrides;
+        overrides.closing = { ...overrides.closing, ...CLOSING_OPTIONS[option] };
+    }
+
+    /**
+     * Show and set the opening thresholds for an "Opening Minimum" option
+     */
+    selectOpeningRule(option) {
+        this.openingBtns.forEach(b => b.classList.toggle('selected', b.dataset.opening === option));
+        this.roomConfig.ruleset.overrides.opening = { thresholds: OPENING_OPTIONS[option].map(t => ({ ...t })) };
+    }
+
+    /**
+     * Set every scoring rule from a "Scoring" profile
+     */
+    selectScoringProfile(profile) {
+        this.roomConfig.ruleset.overrides.scoring = { ...SCORING_PROFILES[profile] };
+        this.showScoring();
+    }
+
+    /**
+     * Highlight the scoring profile (if the rules still match one) and the options that are on
+     */
+    showScoring() {
+        const scoring = this.roomConfig.ruleset.overrides.scoring;
+        this.scoringBtns.forEach(b => {
+            const profile = SCORING_PROFILES[b.dataset.scoring];
+            b.classList.toggle('selected', Object.keys(profile).every(rule => profile[rule] === scoring[rule]));
+        });
+        this.scoringOptionBtns.forEach(b => {
+            const rule = b.dataset.scoringOption;
+            b.classList.toggle('selected', scoring[rule] === SCORING_OPTIONS[rule][1]);
+        });
+    }
+
     async handleCreateRoom() {
         const nickname = this.getNickname();
         if (!nickname) return;
@@ -151,7 +455,8 @@ class LobbyUI {
             this.nickname = nickname;
 
             if (this.onRoomJoined) {
-                this.onRoomJoined(response.roomInfo, false);
+                // A rejoin returns the game in progress
+                this.onRoomJoined(response.roomInfo, false, response.gameState);
             }
         } catch (err) {
             this.showError(err.message || 'Failed to join room');
@@ -179,6 +484,7 @@ class LobbyUI {
         } else {
             this.createRoomBtn.textContent = 'Create Room';
             this.joinRoomBtn.textContent = 'Join Room';
+            this.updateDealCheck(); // Keep Create disabled for a deal the decks can't cover
         }
     }
 }
@@ -0,0 +1,185 @@
+/**
+ * Replay Viewer UI Module
+ * Steps through a finished hand event by event with every hand face up
+ */
+
+import gameClient from '../game/GameClient.js';
+import { createCardElement, renderMeld, renderDiscardPile } from '../game/CardRenderer.js';
+
+class ReplayViewerUI {
+    constructor() {
+        this.replay = null;
+        this.frameIndex = 0;
+
+        // DOM elements
+        this.modal = document.getElementById('replay-modal');
+        this.title = document.getElementById('replay-title');
+        this.stepText = document.getElementById('replay-step');
+        this.eventText = document.getElementById('replay-event');
+        this.seatsContainer = document.getElementById('replay-seats');
+        this.meldsContainer = document.getElementById('replay-melds');
+        this.discardContainer = document.getElementById('replay-discard');
+        this.pilesText = document.getElementById('replay-piles');
+        this.firstBtn = document.getElementById('replay-first-btn');
+        this.prevBtn = document.getElementById('replay-prev-btn');
+        this.nextBtn = document.getElementById('replay-next-btn');
+        this.lastBtn = document.getElementById('replay-last-btn');
+        this.closeBtn = document.getElementById('replay-close-btn');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.firstBtn.addEventListener('click', () => this.showFrame(0));
+        this.prevBtn.addEventListener('click', () => this.showFrame(this.frameIndex - 1));
+        this.nextBtn.addEventListener('click', () => this.showFrame(this.frameIndex + 1));
+        this.lastBtn.addEventListener('click', () => this.showFrame(this.replay.frames.length - 1));
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Arrow keys step through the game while the viewer is open
+        document.addEventListener('keydown', (e) => {
+            if (!this.replay || this.modal.classList.contains('hidden')) return;
+            if (e.key === 'ArrowLeft') this.showFrame(this.frameIndex - 1);
+            if (e.key === 'ArrowRight') this.showFrame(this.frameIndex + 1);
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * Load a finished game and show its deal
+     */
+    async open(gameId) {
+        try {
+            this.replay = await gameClient.getReplay(gameId);
+        } catch (err) {
+            console.error('Failed to load replay:', err);
+            alert(err.message);
+            return;
+        }
+
+        this.title.textContent = `Replay - Round ${this.replay.round}`;
+        this.modal.classList.remove('hidden');
+        this.showFrame(0);
+    }
+
+    close() {
+        this.modal.classList.add('hidden');
+        this.replay = null;
+    }
+
+    /**
+     * Render the table as it was after one event
+     */
+    showFrame(index) {
+        const { frames } = this.replay;
+        this.frameIndex = Math.max(0, Math.min(index, frames.length - 1));
+
+        const { event, table } = frames[this.frameIndex];
+
+        this.stepText.textContent = `${this.frameIndex + 1} / ${frames.length}`;
+        this.eventText.textContent = this.describeEvent(event);
+
+        this.renderSeats(table);
+        this.renderMelds(table);
+        renderDiscardPile(this.discardContainer, table.discardPile.map(id => this.replay.cards[id]));
+
+        const pozzetti = table.pozzetti.map(p => p.length).join(' / ');
+        this.pilesText.textContent = `Draw pile: ${table.drawPile.length} · Pozzetti: ${pozzetti}`;
+
+        this.firstBtn.disabled = this.prevBtn.disabled = this.frameIndex === 0;
+        this.nextBtn.disabled = this.lastBtn.disabled = this.frameIndex === frames.length - 1;
+    }
+
+    /**
+     * Every player's hand, face up, with the player to act highlighted
+     */
+    renderSeats(table) {
+        this.seatsContainer.innerHTML = '';
+
+        for (const player of this.replay.players) {
+            const seatEl = document.createElement('div');
+            seatEl.className = 'replay-seat';
+            seatEl.classList.toggle('current-turn', player.seat === table.currentSeat);
+
+            const hand = table.hands[player.seat];
+            const label = document.createElement('div');
+            label.className = 'replay-seat-label';
+            label.textContent = `${player.nickname} (Team ${player.team}) · ${hand.length} cards`;
+            seatEl.appendChild(label);
+
+            const cardsEl = document.createElement('div');
+            cardsEl.className = 'replay-hand';
+            for (const id of hand) {
+                cardsEl.appendChild(createCardElement(this.replay.cards[id], { mini: true, clickable: false }));
+            }
+            seatEl.appendChild(cardsEl);
+
+            this.seatsContainer.appendChild(seatEl);
+        }
+    }
+
+    renderMelds(table) {
+        this.meldsContainer.innerHTML = '';
+
+        for (const [team, melds] of Object.entries(table.melds)) {
+            const teamEl = document.createElement('div');
+            teamEl.className = 'replay-team-melds';
+            teamEl.innerHTML = `<div class="replay-seat-label">Team ${team} melds</div>`;
+
+            const grid = document.createElement('div');
+            grid.className = 'replay-melds-row';
+            for (const meld of melds) {
+                grid.appendChild(renderMeld({ ...meld, cards: meld.cards.map(id => this.replay.cards[id]) }));
+            }
+            teamEl.appendChild(grid);
+
+            this.meldsContainer.appendChild(teamEl);
+        }
+    }
+
+    /**
+     * One line describing what happened in this step
+     */
+    describeEvent(event) {
+        const who = event.nickname || '';
+        const cardName = (card) => card.rank === 'JOKER' ? 'Joker' : `${card.rank} of ${card.suit}`;
+        const cardCount = event.cards?.length || 0;
+
+        switch (event.type) {
+            case 'deal': return 'Cards dealt';
+            case 'draw': return `${who} drew ${cardName(event.card)}`;
+            case 'takeDiscard':
+                return cardCount === 1
+                    ? `${who} took ${cardName(event.cards[0])} from the discard pile`
+                    : `${who} took the discard pile (${cardCount} cards)`;
+            case 'meld': return `${who} played a meld of ${cardCount} cards`;
+            case 'extendMeld': return `${who} added ${cardCount} card(s) to a meld`;
+            case 'replaceWild': return `${who} swapped ${cardName(event.card)} for a Joker`;
+            case 'undo':
+                return event.undone === 'takeDiscard' ? `${who} gave back the discard pile` : `${who} took back their last move`;
+            case 'pozzetto': return `${who} picked up pozzetto ${event.pozzettoIndex + 1}`;
+            case 'discard': return `${who} discarded ${cardName(event.card)}`;
+            case 'restock': return `Draw pile ran out - pozzetto ${event.pozzettoIndex + 1} became the new draw pile`;
+            case 'gameEnd': {
+                const reason = describeEndReason(event.reason);
+                const over = reason ? `Hand over (${reason})` : 'Hand over';
+                return event.winner === 'tie' ? `${over} - tie` : `${over} - Team ${event.winner} wins`;
+            }
+            default: return event.type;
+        }
+    }
+}
+
+/**
+ * Why a hand ended other than a team closing, or null
+ */
+export function describeEndReason(reason) {
+    switch (reason) {
+        case 'stockExhausted': return 'the draw pile ran out';
+        case 'stalemate': return 'nobody could make progress';
+        case 'stuck': return 'a turn could not be finished';
+        default: return null;
+    }
+}
+
+export default ReplayViewerUI;